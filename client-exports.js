@@ -18,9 +18,39 @@ const SHA256 = globalThis.SHA256 || function(message) {
  * 
  * @param {string} N_base10 Safe prime N as decimal string. 
  * @param {string} g_base10 Generator g as decimal string.
- * @param {string} k_base16 Symmetry braking k as hexidecimal string. See https://bitbucket.org/simon_massey/thinbus-srp-js/overview
+ * @param {string} [k_base16] Symmetry braking k as hexidecimal string. See https://bitbucket.org/simon_massey/thinbus-srp-js/overview
+ *        When omitted k = H(N | PAD(g)) is computed. When given it is checked against that value and a mismatch throws SrpConfigurationError.
+ * @param {object} [options] Optional settings.
+ * @param {string|function|object} [options.hash] The hash 'H' as one of 'SHA-1' (RFC 5054 test vectors), 'SHA-256' (the default), 
+ *        'SHA-384' or 'SHA-512', a named function returning the lower case hex digest of its argument, or `{name, H}`. 
+ *        The server must be configured with the same hash.
+ * @param {string} [options.mode] 'thinbus' (the default) hashes hex strings as the Thinbus servers in other languages do,
+ *        'rfc5054' uses the byte level framing of RFC 5054 and RFC 2945 to talk to other SRP-6a implementations. 
+ *        The server must be configured with the same mode.
+ * @param {boolean} [options.async] When true step2, step3, generateVerifier, generateRandomSalt and getSessionKey
+ *        return promises and hash with WebCrypto crypto.subtle.digest so that browsers do not need CryptoJS.
+ *        The outputs are identical to the synchronous session. k is computed, or checked, on the first step2.
+ * @param {boolean} [options.worker] When true each session runs as an async session in a dedicated Web Worker
+ *        which is terminated, after wiping its secrets, once step3 completes or destroy() is called.
+ *        Every method returns a promise. Only the built in hash algorithms can be used.
+ * @param {string|object} [options.kdf] Stretches the password inside generateX as 'pbkdf2-sha256', 'scrypt' or
+ *        'argon2id' with their default settings, or `{name, ...settings}` e.g. `{name: 'scrypt', N: 65536}`.
+ *        Argon2id needs `provider(password, salt, settings)`. Store `session.kdf` with the salt and verifier
+ *        and create the login session with the same settings. See srpKdf.resolve.
+ * @param {function} [options.createWorker] Returns the Worker for a worker session. Defaults to a module worker
+ *        running client.mjs named srpClientWorker.WORKER_NAME.
+ * @param {boolean} [options.autoDestroy] When true the first getSessionKey after step3 destroys the session
+ *        once it has returned the key. Derive any other keys before calling it.
  */
-function srpClientFactory (N_base10, g_base10, k_base16) {
+function srpClientFactory (N_base10, g_base10, k_base16, options) {
+	// allow (N_base10, g_base10, options) when k is to be computed
+	if (typeof k_base16 === 'object' && k_base16 !== null) {
+		options = k_base16;
+		k_base16 = null;
+	}
+	options = options || {};
+	// native BigInt or jsbn BigInteger used for every value of the session
+	var backend = srpBigInt.resolve(options.bigint);
 
 
 	function SRP6JavascriptClientSession() {
@@ -71,13 +101,6 @@ function srpClientFactory (N_base10, g_base10, k_base16) {
 		this.K = null; // shared secret hashed form
 		this.M1str = null; // password proof
 		
-		// private
-		this.check = function(v, name) {
-			if( typeof v === 'undefined' || v === null || v === "" || v === "0" ) {
-				throw new Error(name+" must not be null, empty or zero");
-			}
-		};
-		
 		/** private<p>
 		 * 
 		 * Computes x = H(s | H(I | ":" | P))
@@ -87,40 +110,38 @@ function srpClientFactory (N_base10, g_base10, k_base16) {
 		 * @param salt     The salt 's'. Must not be null or empty.
 		 * @param identity The user identity/email 'I'. Must not be null or empty.
 		 * @param password The user password 'P'. Must not be null or empty
-		 * @return The resulting 'x' value as BigInteger.
+		 * @return The resulting 'x' value as BigInteger, or a promise of it for an async session.
 		 */
 		this.generateX = function(salt, identity, password) {
-			this.check(salt, "salt");
-			this.check(identity, "identity");
-			this.check(password, "password");
+			srpValidation.requireSalt(salt, "salt");
+			srpValidation.requireString(identity, "identity");
+			srpValidation.requireString(password, "password");
 			//console.log("js salt:"+salt);
 			//console.log("js i:"+identity);
 			//console.log("js p:"+password);
 			this.salt = salt;
-			var hash1 = this.H(identity+':'+password);
-			
-			// server BigInteger math will trim leading zeros so we must do likewise to get a match
-			while (hash1.substring(0, 1) === '0') { 
-				//console.log("stripping leading zero from M1");
-				hash1 = hash1.substring(1);
-			}
-			
-			//console.log("js hash1:"+hash1);
-			//console.log("js salt:"+salt);
-			var concat = (salt+hash1).toUpperCase();
-			//console.log("js concat:"+concat);
-			var hash = this.H(concat);
-			
-			// Java BigInteger math will trim leading zeros so we do likewise
-			while (hash.substring(0, 1) === '0') { 
-				//console.log("stripping leading zero from M1");
-				hash = hash.substring(1);
-			}		
-			
-			//console.log("js hash:"+hash)
-			//console.log("js x before modN "+this.fromHex(hash));
-			this.x = this.fromHex(hash).mod(this.N);
-			return this.x;
+			var session = this;
+			// the hex of KDF(P, s) when created with a kdf option, a promise of it or of any hash when async
+			return srpHashes.when(this.stretchPassword(salt, password), function(stretched) {
+				return srpHashes.when(srpHashes.hashOf(session, identity+':'+stretched), function(hash1) {
+					// server BigInteger math will trim leading zeros so we must do likewise to get a match
+					hash1 = srpEncoding.stripLeadingZeros(hash1);
+
+					//console.log("js hash1:"+hash1);
+					//console.log("js salt:"+salt);
+					var concat = (salt+hash1).toUpperCase();
+					//console.log("js concat:"+concat);
+					return srpHashes.when(srpHashes.hashOf(session, concat), function(hash) {
+						// Java BigInteger math will trim leading zeros so we do likewise
+						hash = srpEncoding.stripLeadingZeros(hash);
+
+						//console.log("js hash:"+hash)
+						//console.log("js x before modN "+session.fromHex(hash));
+						session.x = session.fromHex(hash).mod(session.N);
+						return session.x;
+					});
+				});
+			});
 		};
 
 		/**
@@ -142,11 +163,11 @@ function srpClientFactory (N_base10, g_base10, k_base16) {
 		 * @return The resulting session key 'S'.
 		 */
 		this.computeSessionKey = function(k, x, u, a, B) {
-			this.check(k, "k");
-			this.check(x, "x");
-			this.check(u, "u");
-			this.check(a, "a");
-			this.check(B, "B");
+			srpValidation.requireValue(k, "k");
+			srpValidation.requireValue(x, "x");
+			srpValidation.requireNonZero(u, "u");
+			srpValidation.requireNonZero(a, "a");
+			srpValidation.requireNonZero(B, "B");
 
 			var exp = u.multiply(x).add(a);
 			var tmp = this.g.modPow(x, this.N).multiply(k);
@@ -158,7 +179,7 @@ function srpClientFactory (N_base10, g_base10, k_base16) {
 	SRP6JavascriptClientSession.prototype.toHex = function(n) {
 		"use strict";
 		if (n === null || n === undefined || typeof n.toString !== 'function') {
-			throw new Error("Invalid parameter for hex conversion: " + typeof n);
+			throw new SrpInvalidParameterError("n", 'missing', "Invalid parameter for hex conversion: " + typeof n);
 		}
 		return n.toString(16);
 	};
@@ -167,15 +188,15 @@ function srpClientFactory (N_base10, g_base10, k_base16) {
 	SRP6JavascriptClientSession.prototype.fromHex = function(s) {
 		"use strict";
 		if (s === null || s === undefined || typeof s !== 'string') {
-			throw new Error("Invalid hex string for BigInteger conversion: " + typeof s);
+			throw new SrpInvalidParameterError("s", 'not_hex', "Invalid hex string for BigInteger conversion: " + typeof s);
 		}
-		return new BigInteger(""+s, 16); // jdk1.7 rhino requires string concat
+		return new backend.BigInteger(""+s, 16); // jdk1.7 rhino requires string concat
 	};
 
 	// public helper to hide BigInteger from the linter
 	SRP6JavascriptClientSession.prototype.BigInteger = function(string, radix) {
 		"use strict";
-		return new BigInteger(""+string, radix); // jdk1.7 rhino requires string concat
+		return new backend.BigInteger(""+string, radix); // jdk1.7 rhino requires string concat
 	};
 
 
@@ -200,7 +221,7 @@ function srpClientFactory (N_base10, g_base10, k_base16) {
 			return this.SS;
 		} else {
 			if( this.K === null ) {
-				this.K = this.H(this.SS);
+				this.K = this.computeK(this.S);
 			}
 			return this.K;
 		}
@@ -254,6 +275,54 @@ function srpClientFactory (N_base10, g_base10, k_base16) {
 		return this.toHex(this.v);
 	};
 
+	/**
+	 * Generates a new verifier 'v' as with generateVerifier and returns it in
+	 * a versioned record that also names the group, hash, mode and kdf. Serialize
+	 * it with srpVerifierRecord.serialize to store it and pass it to server step1.
+	 *
+	 * @param salt     The salt 's'. Must not be null or empty.
+	 * @param identity The user identity/email 'I'. Must not be null or empty.
+	 * @param password The user password 'P'. Must not be null or empty
+	 * @return The record, or a promise of it when generateVerifier returns a promise.
+	 */
+	SRP6JavascriptClientSession.prototype.generateVerifierRecord = function(salt, identity, password) {
+		"use strict";
+		var session = this;
+		var v = this.generateVerifier(salt, identity, password);
+		if (v !== null && typeof v === 'object' && typeof v.then === 'function') {
+			return v.then(function(verifier) {
+				return srpVerifierRecord.create(session, salt, verifier);
+			});
+		}
+		return srpVerifierRecord.create(session, salt, v);
+	};
+
+	/**
+	 * Registers the user again under new verifier parameters after a login that
+	 * the server flagged with rehashRequired. The new record is sealed with a
+	 * deriveKey subkey so only the server of this login can open it.
+	 *
+	 * @param parameters The server upgradeTo parameters `{group, hash, mode, kdf, kdfParams}`.
+	 * @param password   The user password 'P' which step2 does not keep.
+	 * @param options    Further options of the new session such as a custom hash or an argon2id provider.
+	 * @return A promise of `{iv, ciphertext}` to send to the server acceptVerifierUpgrade.
+	 * @throws SrpStateError If step3 has not completed.
+	 */
+	SRP6JavascriptClientSession.prototype.upgradeVerifier = async function(parameters, password, options) {
+		"use strict";
+		if( this.state !== this.STEP_3 ) {
+			throw new SrpStateError(this.STEP_3, this.state, "IllegalStateException not in state STEP_3");
+		}
+		var target = srpVerifierRecord.parseParameters(parameters);
+		var UpgradeSession = srpClientFactory.apply(null, srpVerifierRecord.factoryArguments(target, options));
+		var session = new UpgradeSession();
+		var salt = await session.generateRandomSalt();
+		var record = await session.generateVerifierRecord(salt, this.I, password);
+		session.x = null;
+		session.v = null;
+		return srpVerifierUpgrade.seal(this, record);
+	};
+
 	/**
 	 * Records the identity 'I' and password 'P' of the authenticating user.
 	 * The session is incremented to {@link State#STEP_1}.
@@ -265,8 +334,9 @@ function srpClientFactory (N_base10, g_base10, k_base16) {
 	 *                 encoded. Must not be {@code null} or empty.
 	 * @param password The user password 'P', UTF-8 encoded. Must not be
 	 *                 {@code null}.
-	 * @throws IllegalStateException If the method is invoked in a state 
-	 *                               other than {@link State#INIT}.
+	 * @throws SrpStateError If the method is invoked in a state 
+	 *                       other than {@link State#INIT}.
+	 * @throws SrpInvalidParameterError If the identity or password is empty.
 	 */
 	SRP6JavascriptClientSession.prototype.step1 = function(identity, password) {
 		"use strict";
@@ -274,13 +344,13 @@ function srpClientFactory (N_base10, g_base10, k_base16) {
 		//console.log("N: "+this.N());
 		//console.log("g: "+this.g());
 		//console.log("k: "+this.toHex(this.k));
-		this.check(identity, "identity");
-		this.check(password, "password");
-		this.I = identity;
-		this.P = password;
 		if( this.state !== this.INIT ) {
-			throw new Error("IllegalStateException not in state INIT");
+			throw new SrpStateError(this.INIT, this.state, "IllegalStateException not in state INIT");
 		}
+		srpValidation.requireString(identity, "identity");
+		srpValidation.requireString(password, "password");
+		this.I = identity;
+		this.P = password;
 		this.state = this.STEP_1;
 	};
 
@@ -292,21 +362,65 @@ function srpClientFactory (N_base10, g_base10, k_base16) {
 	 * @param A      The public client value 'A'. Must not be {@code null}.
 	 * @param B      The public server value 'B'. Must not be {@code null}.
 	 *
-	 * @return The resulting 'u' value.
+	 * @return The resulting 'u' value, or a promise of it for an async session.
 	 */
 	SRP6JavascriptClientSession.prototype.computeU = function(Astr, Bstr) {
 		"use strict";
 		//console.log("SRP6JavascriptClientSession.prototype.computeU");
-		this.check(Astr, "Astr");
-		this.check(Bstr, "Bstr");
-		var output = this.H(Astr+Bstr);
-		//console.log("js raw u:"+output);
-		var u = new BigInteger(""+output,16);
-		//console.log("js u:"+this.toHex(u));
-		if( BigInteger.ZERO.equals(u) ) {
-		throw new Error("SRP6Exception bad shared public value 'u' as u==0");
-		}
-		return u;
+		var maxLength = srpValidation.hexLengthOf(this.N);
+		srpValidation.requireHex(Astr, "A", maxLength);
+		srpValidation.requireHex(Bstr, "B", maxLength);
+		var session = this;
+		return srpHashes.when(srpHashes.hashOf(this, Astr+Bstr), function(output) {
+			//console.log("js raw u:"+output);
+			var u = session.fromHex(""+output);
+			//console.log("js u:"+session.toHex(u));
+			if( u.signum() === 0 ) {
+			throw new SrpProtocolError("SRP6Exception bad shared public value 'u' as u==0");
+			}
+			return u;
+		});
+	};
+
+	/**
+	 * Computes the client evidence message M1 = H(A | B | S)
+	 * <p> Uses string concatenation of the hex values before hashing. 
+	 *
+	 * @param Astr The public client value 'A' as a hex string.
+	 * @param Bstr The public server value 'B' as a hex string.
+	 * @param S    The shared secret 'S'.
+	 * @return The evidence message 'M1' as a hex string without leading zeros, or a promise of it for an async session.
+	 */
+	SRP6JavascriptClientSession.prototype.computeM1 = function(Astr, Bstr, S) {
+		"use strict";
+		// Java BigInteger math will trim leading zeros so we must do likewise to get a match across languages
+		return srpHashes.when(srpHashes.hashOf(this, Astr+Bstr+this.toHex(S)), srpEncoding.stripLeadingZeros);
+	};
+
+	/**
+	 * Computes the server evidence message M2 = H(A | M1 | S)
+	 * <p> Uses string concatenation of the hex values before hashing. 
+	 *
+	 * @param Astr  The public client value 'A' as a hex string.
+	 * @param M1str The client evidence message 'M1' as a hex string.
+	 * @param S     The shared secret 'S'.
+	 * @return The evidence message 'M2' as a hex string without leading zeros, or a promise of it for an async session.
+	 */
+	SRP6JavascriptClientSession.prototype.computeM2 = function(Astr, M1str, S) {
+		"use strict";
+		// Java BigInteger math will trim leading zeros so we must do likewise to get a match across languages
+		return srpHashes.when(srpHashes.hashOf(this, Astr+M1str+this.toHex(S)), srpEncoding.stripLeadingZeros);
+	};
+
+	/**
+	 * Computes the hashed session key K = H(S) hashing the hex string of 'S'.
+	 *
+	 * @param S The shared secret 'S'.
+	 * @return The session key 'K' as a hex string, or a promise of it for an async session.
+	 */
+	SRP6JavascriptClientSession.prototype.computeK = function(S) {
+		"use strict";
+		return srpHashes.hashOf(this, this.toHex(S));
 	};
 
 	SRP6JavascriptClientSession.prototype.random16byteHex = function() {
@@ -387,34 +501,25 @@ function srpClientFactory (N_base10, g_base10, k_base16) {
 	 * @param k      k is H(N,g) with padding by the server. Must not be {@code null}.
 	 * @return The client credentials consisting of the client public key 
 	 *         'A' and the client evidence message 'M1'.
-	 * @throws IllegalStateException If the method is invoked in a state 
-	 *                               other than {@link State#STEP_1}.
-	 * @throws SRP6Exception         If the public server value 'B' is invalid.
+	 * @throws SrpStateError If the method is invoked in a state 
+	 *                       other than {@link State#STEP_1}.
+	 * @throws SrpInvalidParameterError If the salt or public server value 'B' is invalid.
+	 * @throws SrpProtocolError If the scrambling parameter 'u' is zero.
 	 */
 	SRP6JavascriptClientSession.prototype.step2 = function(s, BB) {
 		"use strict";
 
 		//console.log("SRP6JavascriptClientSession.prototype.step2");
 
-		this.check(s, "s");
+		srpValidation.requireSalt(s, "s");
 		//console.log("s:" + s);
-		this.check(BB, "BB");
-		//console.log("BB:" + BB);
 		
 		if( this.state !== this.STEP_1 ) {
-			throw new Error("IllegalStateException not in state STEP_1");
+			throw new SrpStateError(this.STEP_1, this.state, "IllegalStateException not in state STEP_1");
 		}
 		
-		// this is checked when passed to computeSessionKey
-		this.B = this.fromHex(BB); 
-
-		var ZERO = null;
-		
-		ZERO = BigInteger.ZERO;
-		
-		if (this.B.mod(this.N).equals(ZERO)) {
-			throw new Error("SRP6Exception bad server public value 'B' as B == 0 (mod N)");
-		}
+		// rejects B == 0 (mod N) and anything outside of [1, N)
+		this.B = srpValidation.requireGroupElement(BB, "B", this.N, this.fromHex);
 		
 		//console.log("k:" + this.k);
 
@@ -433,27 +538,21 @@ function srpClientFactory (N_base10, g_base10, k_base16) {
 
 		this.A = this.g.modPow(this.a, this.N);
 		//console.log("A:" + this.toHex(this.A));
-		this.check(this.A, "A");
+		srpValidation.requireNonZero(this.A, "A");
 		
 		this.u = this.computeU(this.A.toString(16),BB);
 		//console.log("u:" + this.u);
 		
 		this.S = this.computeSessionKey(this.k, x, this.u, this.a, this.B);
-		this.check(this.S, "S");
+		srpValidation.requireNonZero(this.S, "S");
 		
 		//console.log("jsU:" + this.toHex(this.u));
 		//console.log("jsS:" + this.toHex(this.S));
 		
 		var AA = this.toHex(this.A);
 		
-		this.M1str = this.H(AA+BB+this.toHex(this.S));
-		this.check(this.M1str, "M1str");
-		
-		// server BigInteger math will trim leading zeros so we must do likewise to get a match
-		while (this.M1str.substring(0, 1) === '0') { 
-			//console.log("stripping leading zero from M1");
-			this.M1str = this.M1str.substring(1);
-		}
+		this.M1str = this.computeM1(AA, BB, this.S);
+		srpValidation.requireValue(this.M1str, "M1str");
 		
 		//console.log("M1str:" + this.M1str);
 		
@@ -481,39 +580,34 @@ function srpClientFactory (N_base10, g_base10, k_base16) {
 	 *     <li>From server: evidence message 'M2'.
 	 * </ul>
 	 * @param serverM2 The server evidence message 'M2' as string. Must not be {@code null}.
-	 * @throws IllegalStateException If the method is invoked in a state 
-	 *                               other than {@link State#STEP_2}.
-	 * @throws SRP6Exception         If the session has timed out or the 
-	 *                               server evidence message 'M2' is 
-	 *                               invalid.
+	 * @throws SrpStateError If the method is invoked in a state 
+	 *                       other than {@link State#STEP_2}.
+	 * @throws SrpInvalidParameterError If 'M2' is not a well formed hex string.
+	 * @throws SrpBadCredentialsError If the server evidence message 'M2' 
+	 *                                does not match.
 	 */
 	SRP6JavascriptClientSession.prototype.step3 = function(M2) {
 		"use strict";
-		this.check(M2);
+		srpValidation.requireProof(M2, "M2", this.hashHexLength);
 		//console.log("SRP6JavascriptClientSession.prototype.step3");
 
 		// Check current state
 		if (this.state !== this.STEP_2)
-			throw new Error("IllegalStateException State violation: Session must be in STEP_2 state");
+			throw new SrpStateError(this.STEP_2, this.state, "IllegalStateException State violation: Session must be in STEP_2 state");
 
 		//console.log("js A:" + this.toHex(this.A));
 		//console.log("jsM1:" + this.M1str);
 		//console.log("js S:" + this.toHex(this.S));
 		
-		var computedM2 = this.H(this.toHex(this.A)+this.M1str+this.toHex(this.S));
+		var computedM2 = this.computeM2(this.toHex(this.A), this.M1str, this.S);
 		
 		//console.log("jsServerM2:" + M2);
 		//console.log("jsClientM2:" + computedM2);
 		
-		// server BigInteger math will trim leading zeros so we must do likewise to get a match
-		while (computedM2.substring(0, 1) === '0') { 
-			//console.log("stripping leading zero from computedM2");
-			computedM2 = computedM2.substring(1);
-		}
-		
 		//console.log("server  M2:"+M2+"\ncomputedM2:"+computedM2);
-		if ( ""+computedM2 !== ""+M2) {
-			throw new Error("SRP6Exception Bad server credentials");
+		// compares the canonical forms in constant time so leading zeros and case do not matter
+		if ( !srpEncoding.proofsEqual(M2, computedM2, this.hashHexLength) ) {
+			throw new SrpBadCredentialsError('server', "SRP6Exception Bad server credentials");
 		}
 
 		this.state = this.STEP_3;
@@ -522,26 +616,104 @@ function srpClientFactory (N_base10, g_base10, k_base16) {
 	};
 
 
-	function SRP6JavascriptClientSessionSHA256(){ }
+	var hash = srpHashes.resolve(options.hash);
+	var mode = srpRfc5054.resolveMode(options.mode);
+	var isAsync = options.async === true;
+	var useWorker = options.worker === true;
+	var kdf = srpKdf.resolve(options.kdf);
+
+	function SRP6JavascriptClientSessionWithHash(){ }
+
+	// e.g. SRP6JavascriptClientSessionSHA256 so the algorithm shows up in stack traces and logs
+	Object.defineProperty(SRP6JavascriptClientSessionWithHash, 'name', { value: 'SRP6JavascriptClientSession' + hash.suffix + (useWorker ? 'Worker' : (isAsync ? 'Async' : '')) });
+
+    SRP6JavascriptClientSessionWithHash.prototype = new SRP6JavascriptClientSession();
+
+    SRP6JavascriptClientSessionWithHash.prototype.N = new backend.BigInteger(N_base10, 10);
+
+    SRP6JavascriptClientSessionWithHash.prototype.g = new backend.BigInteger(g_base10, 10);
+
+    // {id, bits} when N and g are one of the named groups else null
+    SRP6JavascriptClientSessionWithHash.prototype.group = srpGroups.find(SRP6JavascriptClientSessionWithHash.prototype.N, SRP6JavascriptClientSessionWithHash.prototype.g);
 
-    SRP6JavascriptClientSessionSHA256.prototype = new SRP6JavascriptClientSession();
+    SRP6JavascriptClientSessionWithHash.prototype.H = hash.H;
 
-    SRP6JavascriptClientSessionSHA256.prototype.N = new BigInteger(N_base10, 10);
+    // the name of 'H' that the server must also be configured with e.g. 'SHA-256'
+    SRP6JavascriptClientSessionWithHash.prototype.hashAlgorithm = hash.name;
 
-    SRP6JavascriptClientSessionSHA256.prototype.g = new BigInteger(g_base10, 10);
+    SRP6JavascriptClientSessionWithHash.prototype.hashHexLength = hash.hexLength;
 
-    SRP6JavascriptClientSessionSHA256.prototype.H = function (x) {
-            return SHA256(x).toString().toLowerCase();
+    // either 'thinbus' or 'rfc5054' which the server must also be configured with
+    SRP6JavascriptClientSessionWithHash.prototype.mode = mode;
+
+    // either 'native' or 'jsbn', the class of N, g, k and every computed value
+    SRP6JavascriptClientSessionWithHash.prototype.bigint = backend.name;
+
+    // labelled subkeys of S once the server evidence M2 has been checked
+    srpDeriveKey.install(SRP6JavascriptClientSessionWithHash.prototype, 'STEP_3', 'client');
+    srpSecureChannel.install(SRP6JavascriptClientSessionWithHash.prototype);
+    srpRequestSigning.install(SRP6JavascriptClientSessionWithHash.prototype, 'client');
+
+    // toState and fromState to finish a login after a reload or redirect
+    srpClientState.install(SRP6JavascriptClientSessionWithHash.prototype);
+
+    // the password stretching of generateX whose settings are stored with the verifier
+    srpKdf.install(SRP6JavascriptClientSessionWithHash.prototype, kdf, isAsync || useWorker);
+
+    // destroy() wipes the password, the private key and everything derived from them
+    srpWipe.install(SRP6JavascriptClientSessionWithHash.prototype, ['x', 'v', 'P', 'a', 'A', 'B', 'u', 'S', 'K', 'SS', 'M1str']);
+
+    if (mode === 'rfc5054') {
+      srpRfc5054.install(SRP6JavascriptClientSessionWithHash.prototype, ['generateX', 'computeU', 'computeK', 'computeM1', 'computeM2']);
     }
 
-    SRP6JavascriptClientSessionSHA256.prototype.k = new BigInteger(k_base16, 16);
+    if (useWorker) {
+      // the worker runs an async session created with the same parameters
+      srpClientWorker.install(SRP6JavascriptClientSessionWithHash.prototype, hash, [N_base10, g_base10, k_base16, srpClientWorker.workerOptions(hash, mode, kdf, options)], options.createWorker);
+    } else if (isAsync) {
+      // k is resolved with the async hash on first use
+      srpClientAsync.install(SRP6JavascriptClientSessionWithHash.prototype, hash, k_base16);
+    } else {
+      // computed from N, g and H when omitted else checked against the computed value
+      SRP6JavascriptClientSessionWithHash.prototype.k = SRP6JavascriptClientSessionWithHash.prototype.fromHex(srpGroups.resolveK(SRP6JavascriptClientSessionWithHash.prototype.N, SRP6JavascriptClientSessionWithHash.prototype.g, hash, k_base16));
+    }
+
+    if (options.autoDestroy === true) {
+      srpWipe.autoDestroy(SRP6JavascriptClientSessionWithHash.prototype, 'STEP_3');
+    }
 
   // return the new session class
-  return SRP6JavascriptClientSessionSHA256;
+  return SRP6JavascriptClientSessionWithHash;
 
 }
 
+/**
+ * Creates a session class for one of the named groups of RFC 5054 Appendix A.
+ * The multiplier k is computed for the chosen hash.
+ * 
+ * @param {string} id The group id e.g. 'rfc5054-3072'. See srpGroups.ids().
+ * @param {object} [options] The same options as srpClientFactory. The server must use the same group and options.
+ */
+srpClientFactory.fromGroup = function(id, options) {
+	var group = srpGroups.get(id);
+	return srpClientFactory(group.N_base10, group.g_base10, null, options);
+};
+
+/**
+ * Creates a session class with the group, hash, mode and kdf of a verifier record.
+ * 
+ * @param {string|object} record A record or its serialized form, see srpVerifierRecord.
+ * @param {object} [options] Further options such as async. A custom hash function or an
+ *        argon2id provider, which a record can only name, must be passed here.
+ */
+srpClientFactory.fromRecord = function(record, options) {
+	return srpClientFactory.apply(null, srpVerifierRecord.factoryArguments(srpVerifierRecord.parse(record), options));
+};
+
+// serve the requests of a worker session when this module is loaded as its worker
+srpClientWorker.serveIfWorker(srpClientFactory);
+
 export default srpClientFactory;
 
 // Export library functions for testing
-export { SHA256, randomStrings, BigInteger };
+export { SHA256, randomStrings, BigInteger, srpValidation, srpEncoding, srpHashes, srpRfc5054, srpGroups, srpBigInt, srpKdf, srpVerifierRecord, srpDeriveKey, srpVerifierUpgrade, srpSecureChannel, srpRequestSigning, srpSealedState, srpClientState, srpWipe, srpClientAsync, srpClientWorker, SrpError, SrpConfigurationError, SrpStateError, SrpProtocolError, SrpBadCredentialsError, SrpInvalidParameterError };
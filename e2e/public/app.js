@@ -3,32 +3,14 @@
 // SRP E2E Test Client Application
 // Uses client.mjs ES module for browser-based SRP authentication
 
-// For browser compatibility, we need to inject CryptoJS if available
-// In a real application, you would include CryptoJS via script tag or import
-if (typeof globalThis.CryptoJS === 'undefined') {
-    // Load CryptoJS dynamically for SHA256 support
-    const script = document.createElement('script');
-    script.src = 'https://cdnjs.cloudflare.com/ajax/libs/crypto-js/4.1.1/crypto-js.min.js';
-    script.onload = () => {
-        console.log('✅ CryptoJS loaded for SHA256 support');
-        initializeApp();
-    };
-    document.head.appendChild(script);
-} else {
-    initializeApp();
-}
+// The async client hashes with WebCrypto so there is no need to load CryptoJS
+initializeApp();
 
 function initializeApp() {
-    // RFC 5054 2048bit constants - must match server
-    const rfc5054 = {
-        N_base10: "21766174458617435773191008891802753781907668374255538511144643224689886235383840957210909013086056401571399717235807266581649606472148410291413364152197364477180887395655483738115072677402235101762521901569820740293149529620419333266262073471054548368736039519702486226506248861060256971802984953561121442680157668000761429988222457090413873973970171927093992114751765168063614761119615476233422096442783117971236371647333871414335895773474667308967050807005509320424799678417036867928316761272274230314067548291133582479583061439577559347101961771406173684378522703483495337037655006751328447510550299250924469288819",
-        g_base10: "2", 
-        k_base16: "5b9e8ef059c6b32ea59fc1d322d37f04aa30bae5aa9003b8321e21ddb04e300"
-    };
-
     // Import client factory (this will be loaded from the built client.mjs)
     import('/client.mjs').then(clientModule => {
-        const SRP6JavascriptClientSession = clientModule.default(rfc5054.N_base10, rfc5054.g_base10, rfc5054.k_base16);
+        // RFC 5054 2048bit group - must match server
+        const SRP6JavascriptClientSession = clientModule.default.fromGroup('rfc5054-2048', { async: true });
         
         console.log('✅ SRP Client module loaded');
         
@@ -217,7 +199,7 @@ function initializeApp() {
                 client.step1(username, password);
                 
                 // Client step 2: Generate A and M1 using server's salt and B
-                const credentials = client.step2(salt, B);
+                const credentials = await client.step2(salt, B);
                 
                 console.log(`   - Client public A = g^a mod N: ${credentials.A.substring(0, 16)}...${credentials.A.substring(credentials.A.length-8)}`);
                 console.log(`🧮 CLIENT: Computing shared secret S = (B - k*g^x)^(a + u*x) mod N`);
@@ -245,14 +227,14 @@ function initializeApp() {
 
                 // Step 4: Verify server's proof M2
                 console.log('🔍 CLIENT: Verifying server proof M2 = H(A + M1 + S)');
-                const serverVerified = client.step3(authResponse.M2);
+                const serverVerified = await client.step3(authResponse.M2);
                 
                 if (!serverVerified) {
                     throw new Error('Server proof verification failed');
                 }
 
                 // Step 5: Get session key and show success
-                const sessionKey = client.getSessionKey();
+                const sessionKey = await client.getSessionKey();
                 
                 console.log('✅ CLIENT: Server proof verified successfully!');
                 console.log('🔑 CLIENT: Generated shared session key');
@@ -2,7 +2,7 @@ import express from 'express';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { createHash } from 'crypto';
-import { randomUUID } from 'crypto';
+import { randomUUID, randomBytes } from 'crypto';
 
 // Get current directory for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -14,15 +14,14 @@ globalThis.nodeCrypto = { createHash };
 // Import our server module
 const serverModule = await import('../server.mjs');
 
-// RFC 5054 2048bit constants
-const rfc5054 = {
-    N_base10: "21766174458617435773191008891802753781907668374255538511144643224689886235383840957210909013086056401571399717235807266581649606472148410291413364152197364477180887395655483738115072677402235101762521901569820740293149529620419333266262073471054548368736039519702486226506248861060256971802984953561121442680157668000761429988222457090413873973970171927093992114751765168063614761119615476233422096442783117971236371647333871414335895773474667308967050807005509320424799678417036867928316761272274230314067548291133582479583061439577559347101961771406173684378522703483495337037655006751328447510550299250924469288819",
-    g_base10: "2", 
-    k_base16: "5b9e8ef059c6b32ea59fc1d322d37f04aa30bae5aa9003b8321e21ddb04e300"
-};
+// RFC 5054 2048bit group - must match the browser client
+const SRP_GROUP = 'rfc5054-2048';
 
-// Create SRP server session factory
-const SRP6JavascriptServerSession = serverModule.default(rfc5054.N_base10, rfc5054.g_base10, rfc5054.k_base16);
+// Create SRP server session factory, with fake challenges for unknown users so that
+// the API does not reveal which usernames exist
+const SRP6JavascriptServerSession = serverModule.default.fromGroup(SRP_GROUP, {
+    fakeChallengeSecret: randomBytes(32)
+});
 
 // Test user data - pre-computed using client.generateVerifier()
 const testUsers = {
@@ -32,8 +31,11 @@ const testUsers = {
     }
 };
 
-// Active sessions storage
-const activeSessions = new Map();
+// Challenges and logins, which expire and are bounded so abandoned handshakes do not leak.
+// Logins have a store of their own so that a flood of challenges cannot evict them.
+const pendingChallenges = serverModule.srpChallengeStore.lruStore({ maxEntries: 10000 });
+const activeSessions = serverModule.srpChallengeStore.lruStore({ maxEntries: 10000 });
+const LOGIN_TTL_MS = 30 * 60 * 1000;
 
 const app = express();
 app.use(express.json());
@@ -57,7 +59,7 @@ app.use((req, res, next) => {
 });
 
 // POST /api/challenge - Initialize authentication challenge
-app.post('/api/challenge', (req, res) => {
+app.post('/api/challenge', async (req, res) => {
     const { username } = req.body;
     
     if (!username) {
@@ -65,9 +67,6 @@ app.post('/api/challenge', (req, res) => {
     }
     
     const user = testUsers[username];
-    if (!user) {
-        return res.status(404).json({ error: 'User not found' });
-    }
     
     try {
         console.log('');
@@ -76,23 +75,18 @@ app.post('/api/challenge', (req, res) => {
         console.log('╚════════════════════════════════════════════════════════════════╝');
         console.log(`📥 SERVER: Received challenge request for user: ${username}`);
         
-        // Create new server session
+        // Create new server session, an unknown user gets a fake record and then fails as a wrong password
         const serverSession = new SRP6JavascriptServerSession();
-        const B = serverSession.step1(username, user.salt, user.verifier);
+        const B = user ? serverSession.step1(username, user.salt, user.verifier) : await serverSession.step1Unknown(username);
+        const salt = user ? user.salt : serverSession.record.salt;
         
         // Generate session ID and store server state
         const sessionId = randomUUID();
         const privateState = serverSession.toPrivateStoreState();
-        activeSessions.set(sessionId, {
-            serverSession,
-            privateState,
-            username,
-            timestamp: Date.now()
-        });
+        await pendingChallenges.set(sessionId, { privateState, username }, serverSession.ttl);
         
-        console.log(`📋 SERVER: User found in database`);
-        console.log(`   - Salt (s): ${user.salt.substring(0, 16)}...${user.salt.substring(user.salt.length-8)}`);
-        console.log(`   - Verifier (v): ${user.verifier.substring(0, 16)}...${user.verifier.substring(user.verifier.length-8)}`);
+        console.log(user ? `📋 SERVER: User found in database` : `🎭 SERVER: Unknown user, sending a fake challenge`);
+        console.log(`   - Salt (s): ${salt.substring(0, 16)}...${salt.substring(salt.length-8)}`);
         console.log(`🔑 SERVER: Generated server ephemeral key pair (b, B)`);
         console.log(`   - Private b: ${privateState.b.substring(0, 16)}...${privateState.b.substring(privateState.b.length-8)}`);
         console.log(`   - Public B = g^b + k*v mod N: ${B.substring(0, 16)}...${B.substring(B.length-8)}`);
@@ -101,7 +95,7 @@ app.post('/api/challenge', (req, res) => {
         console.log('');
         
         res.json({
-            salt: user.salt,
+            salt: salt,
             B: B,
             sessionId: sessionId
         });
@@ -112,14 +106,15 @@ app.post('/api/challenge', (req, res) => {
 });
 
 // POST /api/authenticate - Verify client proof and complete authentication
-app.post('/api/authenticate', (req, res) => {
+app.post('/api/authenticate', async (req, res) => {
     const { sessionId, A, M1 } = req.body;
     
     if (!sessionId || !A || !M1) {
         return res.status(400).json({ error: 'sessionId, A, and M1 required' });
     }
     
-    const sessionData = activeSessions.get(sessionId);
+    // taken so that each challenge is tried once
+    const sessionData = await pendingChallenges.take(sessionId).catch(() => null);
     if (!sessionData) {
         return res.status(404).json({ error: 'Invalid or expired session' });
     }
@@ -144,10 +139,11 @@ app.post('/api/authenticate', (req, res) => {
         // Verify client proof
         const M2 = server.step2(A, M1);
         
-        // Update session with successful authentication
+        // Store the login under the id of the challenge
         sessionData.authenticated = true;
         sessionData.sessionKey = server.getSessionKey();
-        sessionData.timestamp = Date.now();
+        delete sessionData.privateState;
+        await activeSessions.set(sessionId, sessionData, LOGIN_TTL_MS);
         
         console.log(`✅ SERVER: Authentication successful!`);
         console.log(`🔑 SERVER: Generated shared session key: ${sessionData.sessionKey.substring(0, 16)}...${sessionData.sessionKey.substring(sessionData.sessionKey.length-8)}`);
@@ -169,21 +165,15 @@ app.post('/api/authenticate', (req, res) => {
 });
 
 // GET /api/session - Check session validity
-app.get('/api/session/:sessionId', (req, res) => {
+app.get('/api/session/:sessionId', async (req, res) => {
     const { sessionId } = req.params;
     
-    const sessionData = activeSessions.get(sessionId);
+    // null once the login has expired
+    const sessionData = await activeSessions.get(sessionId).catch(() => null);
     if (!sessionData || !sessionData.authenticated) {
         return res.json({ valid: false });
     }
     
-    // Check if session is expired (30 minutes)
-    const isExpired = (Date.now() - sessionData.timestamp) > (30 * 60 * 1000);
-    if (isExpired) {
-        activeSessions.delete(sessionId);
-        return res.json({ valid: false });
-    }
-    
     res.json({
         valid: true,
         username: sessionData.username,
@@ -192,14 +182,14 @@ app.get('/api/session/:sessionId', (req, res) => {
 });
 
 // POST /api/verify-session-key - Compare client and server session keys
-app.post('/api/verify-session-key', (req, res) => {
+app.post('/api/verify-session-key', async (req, res) => {
     const { sessionId, clientSessionKey } = req.body;
     
     if (!sessionId || !clientSessionKey) {
         return res.status(400).json({ error: 'sessionId and clientSessionKey required' });
     }
     
-    const sessionData = activeSessions.get(sessionId);
+    const sessionData = await activeSessions.get(sessionId).catch(() => null);
     if (!sessionData || !sessionData.authenticated) {
         return res.status(404).json({ error: 'Invalid or expired session' });
     }
@@ -236,10 +226,10 @@ app.post('/api/verify-session-key', (req, res) => {
 });
 
 // DELETE /api/session - Logout/clear session
-app.delete('/api/session/:sessionId', (req, res) => {
+app.delete('/api/session/:sessionId', async (req, res) => {
     const { sessionId } = req.params;
     
-    const deleted = activeSessions.delete(sessionId);
+    const deleted = await activeSessions.delete(sessionId).catch(() => false);
     if (deleted) {
         console.log(`  Session ${sessionId} deleted`);
     }
@@ -258,7 +248,7 @@ app.post('/api/dev/generate-verifier', async (req, res) => {
     try {
         // Import client module to generate verifier
         const clientModule = await import('../client.mjs');
-        const SRP6JavascriptClientSession = clientModule.default(rfc5054.N_base10, rfc5054.g_base10, rfc5054.k_base16);
+        const SRP6JavascriptClientSession = clientModule.default.fromGroup(SRP_GROUP);
         
         const client = new SRP6JavascriptClientSession();
         const useSalt = salt || client.generateRandomSalt();
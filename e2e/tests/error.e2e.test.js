@@ -163,17 +163,17 @@ describe('SRP Authentication Error Handling E2E Tests', function() {
 
             await page.click('[data-testid="login-button"]');
 
-            // Wait for error message
+            // An unknown user gets a fake challenge and fails as a wrong password would
             await page.waitForFunction(
                 () => {
                     const statusEl = document.querySelector('[data-testid="status-message"]');
-                    return statusEl && statusEl.textContent.includes('User not found');
+                    return statusEl && statusEl.textContent.includes('Authentication failed');
                 },
                 { timeout: 15000 }
             );
 
             const errorStatus = await page.textContent('[data-testid="status-message"]');
-            expect(errorStatus).to.contain('User not found');
+            expect(errorStatus).to.contain('Authentication failed');
 
             // Verify no session created
             const sessionInfoVisible = await page.isVisible('[data-testid="session-info"]');
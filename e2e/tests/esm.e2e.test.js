@@ -516,7 +516,7 @@ describe('ES Module E2E Tests - Incremental', function() {
 
             await page.click('[data-testid="login-button"]');
 
-            // Wait for error message
+            // An unknown user gets a fake challenge and fails as a wrong password would
             let finalStatus = '';
             let attempts = 0;
             while (attempts < 25) {
@@ -524,14 +524,14 @@ describe('ES Module E2E Tests - Incremental', function() {
                 finalStatus = await page.evaluate(() => 
                     document.querySelector('[data-testid="status-message"]').textContent
                 );
-                if (finalStatus.includes('User not found') || finalStatus.includes('failed')) {
+                if (finalStatus.includes('failed')) {
                     break;
                 }
                 attempts++;
             }
 
             console.log(`📋 Error status: ${finalStatus}`);
-            expect(finalStatus).to.contain('User not found');
+            expect(finalStatus).to.contain('Authentication failed');
 
             // Verify no session created
             const sessionInfoVisible = await page.evaluate(() => {
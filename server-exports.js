@@ -17,9 +17,40 @@ const SHA256 = globalThis.SHA256 || function(message) {
  * 
  * @param {string} N_base10 Safe prime N as decimal string. 
  * @param {string} g_base10 Generator g as decimal string.
- * @param {string} k_base16 Symetry braking k as hexidecimal string. See https://bitbucket.org/simon_massey/thinbus-srp-js/overview
+ * @param {string} [k_base16] Symetry braking k as hexidecimal string. See https://bitbucket.org/simon_massey/thinbus-srp-js/overview
+ *        When omitted k = H(N | PAD(g)) is computed. When given it is checked against that value and a mismatch throws SrpConfigurationError.
+ * @param {object} [options] Optional settings.
+ * @param {string|function|object} [options.hash] The hash 'H' as one of 'SHA-1' (RFC 5054 test vectors), 'SHA-256' (the default), 
+ *        'SHA-384' or 'SHA-512', a named function returning the lower case hex digest of its argument, or `{name, H}`. 
+ *        The client must be configured with the same hash.
+ * @param {string} [options.mode] 'thinbus' (the default) hashes hex strings as the Thinbus servers in other languages do,
+ *        'rfc5054' uses the byte level framing of RFC 5054 and RFC 2945 to talk to other SRP-6a implementations. 
+ *        The client must be configured with the same mode.
+ * @param {string|object} [options.upgradeTo] The verifier parameters `{group, hash, mode, kdf, kdfParams}` of
+ *        new registrations. step2 sets rehashRequired after a login with a record that has other parameters.
+ * @param {number} [options.challengeTtl] How long a challenge from step1 may be restored, default 300000 ms.
+ * @param {function} [options.consumeChallenge] `(cid, expiresAt) => boolean`, true only for the first step2 of
+ *        the challenge id, or a promise of it for step2Async. The default is one memory store for the process,
+ *        which every server session class with the same clock shares.
+ * @param {function} [options.now] Returns the time in milliseconds, default Date.now.
+ * @param {boolean} [options.autoDestroy] When true the first getSessionKey after step2 destroys the session
+ *        once it has returned the key. Derive any other keys before calling it.
+ * @param {object} [options.userStore] A UserStore of verifier records, see srpUserStore. Adds
+ *        step1FromStore(identity) and storeVerifierUpgrade(message).
+ * @param {string|Uint8Array} [options.fakeChallengeSecret] A server secret of at least 16 bytes. Adds
+ *        step1Unknown(identity), which step1FromStore uses for identities that are not registered.
+ * @param {object} [options.fakeChallengeParameters] The `{kdf, kdfParams}` of the records of registered users,
+ *        which the fake records copy so that the parameters of a challenge do not tell them apart.
  */
-function srpServerFactory (N_base10, g_base10, k_base16) {
+function srpServerFactory (N_base10, g_base10, k_base16, options) {
+  // allow (N_base10, g_base10, options) when k is to be computed
+  if (typeof k_base16 === 'object' && k_base16 !== null) {
+    options = k_base16;
+    k_base16 = null;
+  }
+  options = options || {};
+  // native BigInt or jsbn BigInteger used for every value of the session
+  var backend = srpBigInt.resolve(options.bigint);
 
   function SRP6JavascriptServerSession() {
     "use strict";
@@ -57,33 +88,40 @@ function srpServerFactory (N_base10, g_base10, k_base16) {
     
     this.v = null; // verifier
     this.I = null; // identity (used as informational not for any crypto)
-    this.salt = null; // salt
+    this.salt = null; // salt as a hex string
+    this.record = null; // the verifier record passed to step1 if any
+    this.rehashRequired = false; // set by step2 when the record is older than options.upgradeTo
+    this.iat = null; // when step1 issued the challenge in ms since the epoch
+    this.ttl = null; // how long the challenge may be restored in ms
+    this.cid = null; // unique id of the challenge which step2 consumes
     this.b = null; // server private key
     this.B = null; // server public key
     this.k = null; // constant computed by the server
     this.S = null; // shared secret key long form
   	this.K = null; // shared secret hashed form
-    
-    // private
-    this.check = function(v, name) {
-      if( typeof v === 'undefined' || v === null || v === "" || v === "0" ) {
-        throw new Error(name+" must not be null, empty or zero");
-      }
-    };
   }
 
   SRP6JavascriptServerSession.prototype.toPrivateStoreState = function() {
     "use strict";
-      return {I: this.I, v: this.toHex(this.v), s: this.toHex(this.salt), b: this.toHex(this.b)};
+      var state = {I: this.I, v: this.toHex(this.v), s: this.salt, b: this.toHex(this.b), iat: this.iat, ttl: this.ttl, cid: this.cid};
+      if (this.record !== null) {
+        state.record = this.record;
+      }
+      return state;
   }
 
   SRP6JavascriptServerSession.prototype.fromPrivateStoreState = function(obj) {
     "use strict";
-      //return {I: this.I, v: this.toHex(this.v), s: this.toHex(this.salt), b: this.toHex(this.b)};
-      this.I = obj.I;
-      this.v = this.fromHex(obj.v);
-      this.salt = this.fromHex(obj.s);  // Note: stored as 's', not 'salt'
-      this.b = this.fromHex(obj.b);
+      srpValidation.requireValue(obj, "state");
+      this.I = srpValidation.requireString(obj.I, "I");
+      this.v = srpValidation.requireGroupElement(obj.v, "v", this.N, this.fromHex);
+      this.salt = srpValidation.requireSalt(obj.s, "s");  // Note: stored as 's', not 'salt'
+      this.b = srpValidation.requireGroupElement(obj.b, "b", this.N, this.fromHex);
+      srpChallenge.restore(this, obj);
+      if (typeof obj.record !== 'undefined' && obj.record !== null) {
+        this.record = srpVerifierRecord.parse(obj.record);
+        srpVerifierRecord.requireMatch(this, this.record);
+      }
       this.B = this.g.modPow(this.b, this.N).add(this.v.multiply(this.k)).mod(this.N);
       this.state = this.STEP_1;
       return;
@@ -93,7 +131,7 @@ function srpServerFactory (N_base10, g_base10, k_base16) {
   SRP6JavascriptServerSession.prototype.toHex = function(n) {
     "use strict";
     if (n === null || n === undefined || typeof n.toString !== 'function') {
-      throw new Error("Invalid parameter for hex conversion: " + typeof n);
+      throw new SrpInvalidParameterError("n", 'missing', "Invalid parameter for hex conversion: " + typeof n);
     }
     return n.toString(16);
   };
@@ -102,15 +140,15 @@ function srpServerFactory (N_base10, g_base10, k_base16) {
   SRP6JavascriptServerSession.prototype.fromHex = function(s) {
     "use strict";
     if (s === null || s === undefined || typeof s !== 'string') {
-      throw new Error("Invalid hex string for BigInteger conversion: " + typeof s);
+      throw new SrpInvalidParameterError("s", 'not_hex', "Invalid hex string for BigInteger conversion: " + typeof s);
     }
-    return new BigInteger(""+s, 16); // jdk1.7 rhino requires string concat
+    return new backend.BigInteger(""+s, 16); // jdk1.7 rhino requires string concat
   };
 
   // public helper to hide BigInteger from the linter
   SRP6JavascriptServerSession.prototype.BigInteger = function(string, radix) {
     "use strict";
-    return new BigInteger(""+string, radix); // jdk1.7 rhino requires string concat
+    return new backend.BigInteger(""+string, radix); // jdk1.7 rhino requires string concat
   };
 
 
@@ -135,7 +173,7 @@ function srpServerFactory (N_base10, g_base10, k_base16) {
       return this.SS;
     } else {
       if( this.K === null ) {
-        this.K = this.H(this.SS);
+        this.K = this.computeK(this.S);
       }
       return this.K;
     }
@@ -161,13 +199,17 @@ function srpServerFactory (N_base10, g_base10, k_base16) {
    *
    * @param userID The identity 'I' of the authenticating user. Must not
    *               be {@code null} or empty.
-   * @param s      The password salt 's'. Must not be {@code null}.
+   * @param s      The password salt 's'. Must not be {@code null}. Or a verifier
+   *               record, or its serialized form, holding both 's' and 'v'.
    * @param v      The password verifier 'v'. Must not be {@code null}.
+   *               Omitted when 's' is a verifier record.
    *
    * @return The server public value 'B'.
    *
-   * @throws IllegalStateException If the mehod is invoked in a state
-   *                               other than {@link State#INIT}.
+   * @throws SrpStateError If the mehod is invoked in a state
+   *                       other than {@link State#INIT}.
+   * @throws SrpInvalidParameterError If the salt, verifier or record is invalid.
+   * @throws SrpConfigurationError If the record has another group, hash or mode to this session.
    */
   SRP6JavascriptServerSession.prototype.step1 = function(identity, salt, verifier) {
     "use strict";
@@ -177,21 +219,26 @@ function srpServerFactory (N_base10, g_base10, k_base16) {
     //console.log("k: "+this.toHex(this.k));
 
       if( this.state !== this.INIT) {
-          throw new Error("IllegalStateException not in state INIT");
+          throw new SrpStateError(this.INIT, this.state, "IllegalStateException not in state INIT");
       }
 
-    this.check(identity, "identity");
-    this.check(salt, "salt");
-    this.check(verifier, "verifier");
-    this.I = identity;
-    this.v = this.fromHex(verifier);
-    this.salt = this.fromHex(salt);
+    this.I = srpValidation.requireString(identity, "identity");
+    if (srpVerifierRecord.isRecord(salt)) {
+      this.record = srpVerifierRecord.parse(salt);
+      srpVerifierRecord.requireMatch(this, this.record);
+      salt = this.record.salt;
+      verifier = this.record.verifier;
+    }
+    // kept as the original hex string as RFC 5054 mode hashes the exact salt bytes
+    this.salt = srpValidation.requireSalt(salt, "salt");
+    this.v = srpValidation.requireGroupElement(verifier, "verifier", this.N, this.fromHex);
 
     this.state = this.STEP_1;
       this.b = this.randomB();
       //console.log("b: "+this.b);
       this.B = this.g.modPow(this.b, this.N).add(this.v.multiply(this.k)).mod(this.N);
       //console.log("B: "+this.B);
+      srpChallenge.issue(this);
       this.state = this.STEP_1;
       return this.toHex(this.B);
   };
@@ -209,18 +256,60 @@ function srpServerFactory (N_base10, g_base10, k_base16) {
   SRP6JavascriptServerSession.prototype.computeU = function(Astr, Bstr) {
     "use strict";
     //console.log("SRP6JavascriptServerSession.prototype.computeU");
-    this.check(Astr, "Astr");
-    this.check(Bstr, "Bstr");
+    var maxLength = srpValidation.hexLengthOf(this.N);
+    srpValidation.requireHex(Astr, "A", maxLength);
+    srpValidation.requireHex(Bstr, "B", maxLength);
     var output = this.H(Astr+Bstr);
     //console.log("js raw u:"+output);
-    var u = new BigInteger(""+output,16);
+    var u = this.fromHex(""+output);
     //console.log("js u:"+this.toHex(u));
-    if( BigInteger.ZERO.equals(u) ) {
-      throw new Error("SRP6Exception bad shared public value 'u' as u==0");
+    if( u.signum() === 0 ) {
+      throw new SrpProtocolError("SRP6Exception bad shared public value 'u' as u==0");
     }
     return u;
   };
 
+  /**
+   * Computes the client evidence message M1 = H(A | B | S)
+   * <p> Uses string concatenation of the hex values before hashing. 
+   *
+   * @param Astr The public client value 'A' as a hex string.
+   * @param Bstr The public server value 'B' as a hex string.
+   * @param S    The shared secret 'S'.
+   * @return The evidence message 'M1' as a hex string without leading zeros.
+   */
+  SRP6JavascriptServerSession.prototype.computeM1 = function(Astr, Bstr, S) {
+    "use strict";
+    // Java BigInteger math will trim leading zeros so we must do likewise to get a match across languages
+    return srpEncoding.stripLeadingZeros(this.H(Astr+Bstr+this.toHex(S)));
+  };
+
+  /**
+   * Computes the server evidence message M2 = H(A | M1 | S)
+   * <p> Uses string concatenation of the hex values before hashing. 
+   *
+   * @param Astr  The public client value 'A' as a hex string.
+   * @param M1str The client evidence message 'M1' as a hex string.
+   * @param S     The shared secret 'S'.
+   * @return The evidence message 'M2' as a hex string without leading zeros.
+   */
+  SRP6JavascriptServerSession.prototype.computeM2 = function(Astr, M1str, S) {
+    "use strict";
+    // Java BigInteger math will trim leading zeros so we must do likewise to get a match across languages
+    return srpEncoding.stripLeadingZeros(this.H(Astr+M1str+this.toHex(S)));
+  };
+
+  /**
+   * Computes the hashed session key K = H(S) hashing the hex string of 'S'.
+   *
+   * @param S The shared secret 'S'.
+   * @return The session key 'K' as a hex string.
+   */
+  SRP6JavascriptServerSession.prototype.computeK = function(S) {
+    "use strict";
+    return this.H(this.toHex(S));
+  };
+
   SRP6JavascriptServerSession.prototype.random16byteHex = function() {
       "use strict";
 
@@ -296,24 +385,61 @@ function srpServerFactory (N_base10, g_base10, k_base16) {
    *
    * @return The server evidence message 'M2'.
    *
-   * @throws SRP6Exception If the session has timed out, the client public
-   *                       value 'A' is invalid or the user credentials
-   *                       are invalid.
+   * @throws SrpInvalidParameterError If the client public value 'A' or
+   *                                  'M1' is invalid.
+   * @throws SrpProtocolError If the challenge was used before or the
+   *                          scrambling parameter 'u' is zero.
+   * @throws SrpBadCredentialsError If the user credentials are invalid.
+   * @throws SrpConfigurationError If the consumeChallenge option returns
+   *                               a promise, which needs step2Async.
    *
-   * @throws IllegalStateException If the method is invoked in a state
-   *                               other than {@link State#STEP_1}.
+   * @throws SrpStateError If the method is invoked in a state
+   *                       other than {@link State#STEP_1}.
    */
   SRP6JavascriptServerSession.prototype.step2 = function(Astr, M1client) {
     "use strict";
 
+    var A = this.checkStep2(Astr, M1client);
+
+    // one attempt per challenge so each password guess needs a new login
+    return srpChallenge.consume(this, this.checkM1.bind(this, A, Astr, M1client));
+  };
+
+  /**
+   * As step2 for a consumeChallenge option that returns a promise, such as
+   * one that checks a store shared by a cluster. It takes any hook.
+   *
+   * @param A  The client public value. Must not be {@code null}.
+   * @param M1 The client evidence message. Must not be {@code null}.
+   *
+   * @return A promise of the server evidence message 'M2' which rejects
+   *         with the errors of step2.
+   */
+  SRP6JavascriptServerSession.prototype.step2Async = async function(Astr, M1client) {
+    "use strict";
+
+    var A = this.checkStep2(Astr, M1client);
+
+    return srpChallenge.consumeAsync(this, this.checkM1.bind(this, A, Astr, M1client));
+  };
+
+  // checks the state and the arguments of step2 and returns 'A'
+  SRP6JavascriptServerSession.prototype.checkStep2 = function(Astr, M1client) {
+    "use strict";
+
     if( this.state !== this.STEP_1 ) {
-      throw new Error("IllegalStateException not in state STEP_1");
+      throw new SrpStateError(this.STEP_1, this.state, "IllegalStateException not in state STEP_1");
     }
 
-    this.check(Astr, "A");
-    this.check(M1client, "M1");
+    // rejects A == 0 (mod N) and anything outside of [1, N) which would otherwise force S == 0
+    var A = srpValidation.requireGroupElement(Astr, "A", this.N, this.fromHex);
+    srpValidation.requireProof(M1client, "M1", this.hashHexLength);
+    return A;
+  };
 
-    var A = this.fromHex(Astr);
+  // the rest of step2 once the challenge has been consumed
+  SRP6JavascriptServerSession.prototype.checkM1 = function(A, Astr, M1client) {
+    "use strict";
 
     var Bstr = this.toHex(this.B);
 
@@ -325,55 +451,165 @@ function srpServerFactory (N_base10, g_base10, k_base16) {
   //	console.log("sBB:"+Bstr);
   //	console.log("sSS:"+this.toHex(this.S));
 
-      var M1str = this.H(Astr+Bstr+this.toHex(this.S));
+      var M1str = this.computeM1(Astr, Bstr, this.S);
 
-      this.check(M1str, "M1str");
-
-      // Java BigInteger math will trim leading zeros so we must do likewise to get a match across languages
-      while (M1str.substring(0, 1) === '0') {
-          //console.log("stripping leading zero from M1");
-          M1str = M1str.substring(1);
-      }
+      srpValidation.requireValue(M1str, "M1str");
 
   //    console.log("M1client:"+M1client);
   //    console.log("M1str   :"+M1str);
 
-      if( M1client !== M1str ){
-          throw "Bad client credentials";
+      // compares the canonical forms in constant time so leading zeros and case do not matter
+      if( !srpEncoding.proofsEqual(M1client, M1str, this.hashHexLength) ){
+          throw new SrpBadCredentialsError('client', "SRP6Exception Bad client credentials");
       }
 
-      var M2 = this.H(this.toHex(A)+M1str+this.toHex(this.S));
-
-      // Java BigInteger math will trim leading zeros so we must do likewise to get a match across languages
-      while (M2.substring(0, 1) === '0') {
-          //console.log("stripping leading zero from computedM2");
-          M2 = M2.substring(1);
-      }
+      var M2 = this.computeM2(this.toHex(A), M1str, this.S);
 
     this.state = this.STEP_2;
 
+    // only a record passed to step1 says which parameters the verifier has
+    this.rehashRequired = this.record !== null && this.upgradeTo !== null && srpVerifierUpgrade.isOutdated(this.record, this.upgradeTo);
+
     return M2;
   };
 
-  function SRP6JavascriptServerSessionSHA256(){ }
+  /**
+   * Opens the replacement record that the client sent after a login that set
+   * rehashRequired. Send `upgradeTo` with M2 and the client calls
+   * upgradeVerifier with it and the password after step3.
+   *
+   * @param {object} message `{iv, ciphertext}` from the client upgradeVerifier.
+   * @return {Promise<object>} The replacement record to store in place of the old one.
+   * @throws SrpStateError If step2 has not completed.
+   * @throws SrpProtocolError If no upgrade was required, the message was not sealed with this
+   *         session key or the record does not have the upgradeTo parameters.
+   * @throws SrpInvalidParameterError If the record is malformed or its verifier out of range.
+   */
+  SRP6JavascriptServerSession.prototype.acceptVerifierUpgrade = async function(message) {
+    "use strict";
+    if( this.state !== this.STEP_2 ) {
+      throw new SrpStateError(this.STEP_2, this.state, "IllegalStateException not in state STEP_2");
+    }
+    if( !this.rehashRequired ) {
+      throw new SrpProtocolError("No verifier upgrade was required for this login");
+    }
+    var record = await srpVerifierUpgrade.open(this, message);
+    if( srpVerifierUpgrade.isOutdated(record, this.upgradeTo) ) {
+      throw new SrpProtocolError("The replacement record does not have the upgradeTo parameters");
+    }
+    var N = record.group === null ? record.N : srpGroups.get(record.group).N_base10;
+    srpValidation.requireGroupElement(record.verifier, "verifier", this.BigInteger(N, 10), this.fromHex);
+    return record;
+  };
+
+  var hash = srpHashes.resolve(options.hash);
+  var mode = srpRfc5054.resolveMode(options.mode);
+
+  function SRP6JavascriptServerSessionWithHash(){ }
+
+  // e.g. SRP6JavascriptServerSessionSHA256 so the algorithm shows up in stack traces and logs
+  Object.defineProperty(SRP6JavascriptServerSessionWithHash, 'name', { value: 'SRP6JavascriptServerSession' + hash.suffix });
+
+  SRP6JavascriptServerSessionWithHash.prototype = new SRP6JavascriptServerSession();
+
+  SRP6JavascriptServerSessionWithHash.prototype.N = new backend.BigInteger(N_base10, 10);
+
+  SRP6JavascriptServerSessionWithHash.prototype.g = new backend.BigInteger(g_base10, 10);
+
+  // {id, bits} when N and g are one of the named groups else null
+  SRP6JavascriptServerSessionWithHash.prototype.group = srpGroups.find(SRP6JavascriptServerSessionWithHash.prototype.N, SRP6JavascriptServerSessionWithHash.prototype.g);
+
+  SRP6JavascriptServerSessionWithHash.prototype.H = hash.H;
+
+  // the name of 'H' that the client must also be configured with e.g. 'SHA-256'
+  SRP6JavascriptServerSessionWithHash.prototype.hashAlgorithm = hash.name;
+
+  SRP6JavascriptServerSessionWithHash.prototype.hashHexLength = hash.hexLength;
+
+  // either 'thinbus' or 'rfc5054' which the server must also be configured with
+  SRP6JavascriptServerSessionWithHash.prototype.mode = mode;
+
+  // either 'native' or 'jsbn', the class of N, g, k and every computed value
+  SRP6JavascriptServerSessionWithHash.prototype.bigint = backend.name;
 
-  SRP6JavascriptServerSessionSHA256.prototype = new SRP6JavascriptServerSession();
+  // labelled subkeys of S once the client evidence M1 has been checked
+  srpDeriveKey.install(SRP6JavascriptServerSessionWithHash.prototype, 'STEP_2', 'server');
+  srpSecureChannel.install(SRP6JavascriptServerSessionWithHash.prototype);
+  srpRequestSigning.install(SRP6JavascriptServerSessionWithHash.prototype, 'server');
 
-  SRP6JavascriptServerSessionSHA256.prototype.N = new BigInteger(N_base10, 10);
+  // the private store state encrypted under a server secret for shared caches
+  srpSealedState.install(SRP6JavascriptServerSessionWithHash.prototype);
 
-  SRP6JavascriptServerSessionSHA256.prototype.g = new BigInteger(g_base10, 10);
+  // the clock, challengeTtl and consumeChallenge hook that make each challenge expire and single use
+  srpChallenge.install(SRP6JavascriptServerSessionWithHash.prototype, options);
 
-  SRP6JavascriptServerSessionSHA256.prototype.H = function (x) {
-    return SHA256(x).toString().toLowerCase();
+  // fake records for identities that are not registered so that a challenge does not tell
+  if (typeof options.fakeChallengeSecret !== 'undefined') {
+    srpFakeChallenge.install(SRP6JavascriptServerSessionWithHash.prototype, options.fakeChallengeSecret, options.fakeChallengeParameters);
   }
 
-  SRP6JavascriptServerSessionSHA256.prototype.k = new BigInteger(k_base16, 16);
+  // step1 and verifier upgrades with the records of a UserStore
+  if (options.userStore) {
+    srpUserStore.install(SRP6JavascriptServerSessionWithHash.prototype, options.userStore);
+  }
+
+  // destroy() wipes the private key, the verifier and the shared secret
+  srpWipe.install(SRP6JavascriptServerSessionWithHash.prototype, ['v', 'b', 'B', 'S', 'K', 'SS', 'record']);
+  if (options.autoDestroy === true) {
+    srpWipe.autoDestroy(SRP6JavascriptServerSessionWithHash.prototype, 'STEP_2');
+  }
+
+  // the verifier parameters that step2 flags older records to be upgraded to
+  SRP6JavascriptServerSessionWithHash.prototype.upgradeTo = options.upgradeTo ? srpVerifierRecord.parseParameters(options.upgradeTo) : null;
+
+  if (mode === 'rfc5054') {
+    srpRfc5054.install(SRP6JavascriptServerSessionWithHash.prototype, ['computeU', 'computeK', 'computeM1', 'computeM2']);
+  }
+
+  // computed from N, g and H when omitted else checked against the computed value
+  SRP6JavascriptServerSessionWithHash.prototype.k = SRP6JavascriptServerSessionWithHash.prototype.fromHex(srpGroups.resolveK(SRP6JavascriptServerSessionWithHash.prototype.N, SRP6JavascriptServerSessionWithHash.prototype.g, hash, k_base16));
 
   // return the new session class
-  return SRP6JavascriptServerSessionSHA256;
+  return SRP6JavascriptServerSessionWithHash;
+}
+
+/**
+ * Creates a session class for one of the named groups of RFC 5054 Appendix A.
+ * The multiplier k is computed for the chosen hash.
+ * 
+ * @param {string} id The group id e.g. 'rfc5054-3072'. See srpGroups.ids().
+ * @param {object} [options] The same options as srpServerFactory. The client must use the same group and options.
+ */
+srpServerFactory.fromGroup = function(id, options) {
+  var group = srpGroups.get(id);
+  return srpServerFactory(group.N_base10, group.g_base10, null, options);
+};
+
+/**
+ * Creates a session class with the group, hash and mode of a verifier record.
+ * 
+ * @param {string|object} record A record or its serialized form, see srpVerifierRecord.
+ * @param {object} [options] Further options such as bigint. A custom hash function, which a
+ *        record can only name, must be passed here.
+ */
+srpServerFactory.fromRecord = function(record, options) {
+  return srpServerFactory.apply(null, srpVerifierRecord.factoryArguments(srpVerifierRecord.parse(record), options));
+};
+
+/**
+ * Creates a Connect style middleware serving the /register, /challenge, /authenticate
+ * and /logout endpoints for Express, Connect or a Node.js http server.
+ * 
+ * @param {object} options `{userStore, challengeStore, group, hash, mode}` and the other
+ *        options of srpRouter.create. Further session options such as upgradeTo are passed
+ *        to srpServerFactory.fromGroup.
+ * @return {function} The middleware `(req, res, next)`.
+ */
+function createSrpRouter(options) {
+  return srpRouter.create(srpServerFactory, options);
 }
 
 export default srpServerFactory;
 
 // Export library functions for testing  
-export { SHA256, randomStrings, BigInteger };
+export { SHA256, randomStrings, BigInteger, srpValidation, srpEncoding, srpHashes, srpRfc5054, srpGroups, srpBigInt, srpVerifierRecord, srpDeriveKey, srpVerifierUpgrade, srpSecureChannel, srpRequestSigning, srpSealedState, srpChallenge, srpWipe, srpFakeChallenge, srpChallengeStore, srpUserStore, srpThrottle, srpRouter, createSrpRouter, SrpError, SrpConfigurationError, SrpStateError, SrpProtocolError, SrpBadCredentialsError, SrpInvalidParameterError };
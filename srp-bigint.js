@@ -0,0 +1,151 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// The big integer arithmetic backends that the client and server factories
+// accept. 'native' wraps the built in BigInt in the subset of the jsbn
+// BigInteger API that the sessions use so that either can be swapped in.
+// BigInt literals are avoided so that this file still parses in the legacy
+// bundle where 'auto' falls back to jsbn.
+const srpBigInt = (function() {
+
+    const BACKENDS = ['auto', 'native', 'jsbn'];
+
+    function hasNativeBigInt() {
+        return typeof BigInt === 'function';
+    }
+
+    function parse(string, radix) {
+        var s = "" + string;
+        var negative = s.charAt(0) === '-';
+        if (negative) {
+            s = s.substring(1);
+        }
+        var n;
+        if (s === "") {
+            n = BigInt(0);
+        } else if (radix === 16) {
+            n = BigInt('0x' + s);
+        } else if (typeof radix === 'undefined' || radix === 10) {
+            n = BigInt(s);
+        } else {
+            throw new SrpConfigurationError('bigint', 'The native backend only parses radix 10 or 16 but got: ' + radix);
+        }
+        return negative ? -n : n;
+    }
+
+    /**
+     * A native BigInt with the jsbn BigInteger methods used by the sessions.
+     *
+     * @param {string|bigint} value A string in the given radix or a BigInt.
+     * @param {number} [radix] Either 10 (the default) or 16.
+     */
+    function NativeBigInteger(value, radix) {
+        this.value = typeof value === 'bigint' ? value : parse(value, radix);
+    }
+
+    function wrap(n) {
+        return new NativeBigInteger(n);
+    }
+
+    // the non-negative remainder as jsbn returns
+    function reduce(n, m) {
+        var r = n % m;
+        return r < BigInt(0) ? r + m : r;
+    }
+
+    NativeBigInteger.prototype.toString = function(radix) {
+        return this.value.toString(radix || 10);
+    };
+
+    NativeBigInteger.prototype.add = function(a) {
+        return wrap(this.value + a.value);
+    };
+
+    NativeBigInteger.prototype.subtract = function(a) {
+        return wrap(this.value - a.value);
+    };
+
+    NativeBigInteger.prototype.multiply = function(a) {
+        return wrap(this.value * a.value);
+    };
+
+    NativeBigInteger.prototype.mod = function(m) {
+        return wrap(reduce(this.value, m.value));
+    };
+
+    /**
+     * this^e mod m using a fixed window of one hex digit of the exponent.
+     */
+    NativeBigInteger.prototype.modPow = function(e, m) {
+        var modulus = m.value;
+        if (e.value <= BigInt(0)) {
+            return wrap(BigInt(1));
+        }
+        var table = [BigInt(1), reduce(this.value, modulus)];
+        for (var i = 2; i < 16; i++) {
+            table[i] = table[i - 1] * table[1] % modulus;
+        }
+        var digits = e.value.toString(16);
+        var r = BigInt(1);
+        for (var j = 0; j < digits.length; j++) {
+            r = r * r % modulus;
+            r = r * r % modulus;
+            r = r * r % modulus;
+            r = r * r % modulus;
+            var d = parseInt(digits.charAt(j), 16);
+            if (d !== 0) {
+                r = r * table[d] % modulus;
+            }
+        }
+        return wrap(r);
+    };
+
+    NativeBigInteger.prototype.equals = function(a) {
+        return this.value === a.value;
+    };
+
+    NativeBigInteger.prototype.compareTo = function(a) {
+        return this.value < a.value ? -1 : (this.value > a.value ? 1 : 0);
+    };
+
+    NativeBigInteger.prototype.signum = function() {
+        return this.value < BigInt(0) ? -1 : (this.value > BigInt(0) ? 1 : 0);
+    };
+
+    // as jsbn the length of a negative value is that of its two's complement without the sign bit
+    NativeBigInteger.prototype.bitLength = function() {
+        var n = this.value < BigInt(0) ? -this.value - BigInt(1) : this.value;
+        return n === BigInt(0) ? 0 : n.toString(2).length;
+    };
+
+    NativeBigInteger.prototype.testBit = function(n) {
+        return ((this.value >> BigInt(n)) & BigInt(1)) === BigInt(1);
+    };
+
+    /**
+     * Resolves the `bigint` factory option.
+     *
+     * @param {string} [option] 'auto' (the default) for native BigInt where the
+     *        runtime has it else jsbn, 'native' or 'jsbn'.
+     * @return {object} `{name, BigInteger}` where name is 'native' or 'jsbn'.
+     */
+    function resolve(option) {
+        if (typeof option === 'undefined' || option === null) {
+            option = BACKENDS[0];
+        }
+        if (BACKENDS.indexOf(option) < 0) {
+            throw new SrpConfigurationError('bigint', 'Unknown bigint backend ' + option + ', expected one of ' + BACKENDS.join(', '));
+        }
+        if (option === 'native' && !hasNativeBigInt()) {
+            throw new SrpConfigurationError('bigint', 'The native bigint backend needs a runtime with BigInt');
+        }
+        if (option === 'jsbn' || !hasNativeBigInt()) {
+            return { name: 'jsbn', BigInteger: BigInteger };
+        }
+        return { name: 'native', BigInteger: NativeBigInteger };
+    }
+
+    return {
+        NativeBigInteger: NativeBigInteger,
+        resolve: resolve
+    };
+})();
@@ -0,0 +1,400 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// Holds the private state of a server session between step1 and step2, and
+// other short lived entries such as logins, so that abandoned handshakes
+// expire rather than grow a Map without bound. A ChallengeStore is any object
+// with the async methods:
+//
+//   get(key)               the value or null once expired or deleted
+//   set(key, value, ttlMs) stores a JSON value for ttlMs milliseconds
+//   take(key)              get and delete as one step so that only one caller gets the value
+//   delete(key)            true when there was a value
+//
+// lruStore keeps at most maxEntries in this process and evicts the least
+// recently used. fileStore keeps one file per key in a directory so that the
+// processes of one host share challenges, and take renames the file away so
+// that two processes cannot both use a challenge. sealedStore seals the values
+// of any store with srpSealedState, which fileStore always does as the values
+// hold the 'b' and 'v' of sessions and the session keys of logins.
+const srpChallengeStore = (function() {
+
+    const METHODS = ['get', 'set', 'take', 'delete'];
+    const DEFAULT_MAX_ENTRIES = 10000;
+    const MAX_KEY_LENGTH = 128;
+    // how many writes of a process between sweeps of the directory of a fileStore
+    const SWEEP_EVERY = 64;
+    // how many files one sweep reads, so that a large directory takes several sweeps
+    const SWEEP_FILES = 256;
+
+    /**
+     * Checks that a store has the ChallengeStore methods.
+     *
+     * @param {object} store The store.
+     * @param {string} [name] The name of the option in errors, default 'challengeStore'.
+     * @return {object} The store.
+     * @throws SrpConfigurationError If a method is missing.
+     */
+    function requireStore(store, name) {
+        name = name || 'challengeStore';
+        if (!store || METHODS.some(function(method) { return typeof store[method] !== 'function'; })) {
+            throw new SrpConfigurationError(name, name + ' must have the async methods ' + METHODS.join(', '));
+        }
+        return store;
+    }
+
+    function requireKey(key) {
+        srpValidation.requireString(key, "key");
+        if (key.length > MAX_KEY_LENGTH) {
+            throw new SrpInvalidParameterError('key', 'too_long', 'key must be at most ' + MAX_KEY_LENGTH + ' characters');
+        }
+        return key;
+    }
+
+    function requireTtl(ttl) {
+        if (typeof ttl !== 'number' || !isFinite(ttl) || ttl <= 0) {
+            throw new SrpInvalidParameterError('ttl', 'out_of_range', 'ttl must be a positive number of milliseconds but got: ' + ttl);
+        }
+        return ttl;
+    }
+
+    function requireMaxEntries(options) {
+        var maxEntries = typeof options.maxEntries === 'undefined' ? DEFAULT_MAX_ENTRIES : options.maxEntries;
+        if (typeof maxEntries !== 'number' || maxEntries % 1 !== 0 || maxEntries < 1) {
+            throw new SrpConfigurationError('maxEntries', 'maxEntries must be a positive integer but got: ' + maxEntries);
+        }
+        return maxEntries;
+    }
+
+    /**
+     * A ChallengeStore in the memory of this process. A Map keeps its entries
+     * in the order of their last use, so the first entry is the one evicted
+     * when a set would exceed maxEntries. Expired entries are dropped as they
+     * are met and before any eviction.
+     *
+     * @param {object} [options] Optional settings.
+     * @param {number} [options.maxEntries] The most entries kept, default 10000.
+     * @param {function} [options.now] Returns the time in milliseconds, default Date.now.
+     * @return {object} The store with a `size()` of the live entries.
+     */
+    function lruStore(options) {
+        options = options || {};
+        var maxEntries = requireMaxEntries(options);
+        var now = typeof options.now === 'function' ? options.now : Date.now;
+        var entries = new Map();
+
+        function live(key) {
+            var entry = entries.get(key);
+            if (typeof entry === 'undefined') {
+                return null;
+            }
+            entries.delete(key);
+            if (entry.expiresAt <= now()) {
+                return null;
+            }
+            // move to the end as the most recently used
+            entries.set(key, entry);
+            return entry;
+        }
+
+        function sweep() {
+            var time = now();
+            entries.forEach(function(entry, key) {
+                if (entry.expiresAt <= time) {
+                    entries.delete(key);
+                }
+            });
+        }
+
+        return {
+            get: async function(key) {
+                var entry = live(requireKey(key));
+                return entry === null ? null : JSON.parse(entry.json);
+            },
+            set: async function(key, value, ttl) {
+                requireKey(key);
+                var entry = { json: JSON.stringify(value), expiresAt: now() + requireTtl(ttl) };
+                entries.delete(key);
+                if (entries.size >= maxEntries) {
+                    sweep();
+                }
+                while (entries.size >= maxEntries) {
+                    entries.delete(entries.keys().next().value);
+                }
+                entries.set(key, entry);
+            },
+            take: async function(key) {
+                var entry = live(requireKey(key));
+                entries.delete(key);
+                return entry === null ? null : JSON.parse(entry.json);
+            },
+            delete: async function(key) {
+                return live(requireKey(key)) !== null && entries.delete(key);
+            },
+            size: function() {
+                sweep();
+                return entries.size;
+            }
+        };
+    }
+
+    /**
+     * Wraps a ChallengeStore so that it only holds values sealed with a server
+     * secret, for a store outside of the process such as a shared cache. Each
+     * value is sealed with its key, so a value copied to another key does not
+     * open.
+     *
+     * @param {object} store The ChallengeStore.
+     * @param {string|Uint8Array|Array} secrets A secret of at least 16 bytes or
+     *        an array of secrets with the newest first, see srpSealedState.
+     * @return {object} The ChallengeStore, with the `size()` of store when it has one.
+     * @throws SrpConfigurationError If store is not a ChallengeStore or there is no secret.
+     */
+    function sealedStore(store, secrets) {
+        requireStore(store, 'store');
+        if (typeof secrets === 'undefined' || secrets === null || secrets === "") {
+            throw new SrpConfigurationError('secret', 'A sealed store needs a secret of at least 16 bytes');
+        }
+
+        async function opened(key, token) {
+            if (token === null || typeof token === 'undefined') {
+                return null;
+            }
+            var sealed = await srpSealedState.open(token, secrets);
+            if (sealed.key !== key) {
+                throw new SrpProtocolError("The stored value was sealed for another key");
+            }
+            return sealed.value;
+        }
+
+        var sealedMethods = {
+            get: async function(key) {
+                return opened(key, await store.get(requireKey(key)));
+            },
+            set: async function(key, value, ttl) {
+                requireTtl(ttl);
+                await store.set(requireKey(key), await srpSealedState.seal({ key: key, value: value }, secrets), ttl);
+            },
+            take: async function(key) {
+                return opened(key, await store.take(requireKey(key)));
+            },
+            delete: async function(key) {
+                return store.delete(requireKey(key));
+            }
+        };
+        if (typeof store.size === 'function') {
+            sealedMethods.size = function() {
+                return store.size();
+            };
+        }
+        return sealedMethods;
+    }
+
+    /**
+     * A ChallengeStore in a directory that the processes of one host share.
+     * Each key is a file named by the SHA-256 of the key, which keeps names
+     * short whatever the characters of the key, holding
+     * `{"expiresAt":...,"value":...}`, written to a temporary file and renamed
+     * into place. The values are sealed with options.secret. take renames the
+     * file to a name of its own before reading it, which only one process can
+     * do. Every 64 writes of a process it starts a sweep, which the write does
+     * not wait for, of the next 256 files of the directory. The sweep deletes
+     * expired files and temporary files older than the longest ttl of the
+     * process, then the least recently used of those files while the directory
+     * holds more than maxEntries, so it may hold more for a while. Needs Node.js.
+     *
+     * @param {string} directory The directory, which is created when missing.
+     * @param {object} options Settings with the secret.
+     * @param {string|Uint8Array|Array} options.secret The secret that seals the values, see sealedStore.
+     * @param {number} [options.maxEntries] The most entries kept, default 10000.
+     * @param {function} [options.now] Returns the time in milliseconds, default Date.now.
+     * @param {function} [options.onSweepError] Takes the error of a failed sweep, default console.warn.
+     * @return {object} The store with an async `size()` of the live entries,
+     *         which sweeps the whole directory.
+     * @throws SrpConfigurationError If there is no secret.
+     */
+    function fileStore(directory, options) {
+        srpValidation.requireString(directory, "directory");
+        options = options || {};
+        if (typeof options.secret === 'undefined') {
+            throw new SrpConfigurationError('secret', 'A fileStore writes the private state of sessions to disk, pass options.secret to seal it');
+        }
+        var maxEntries = requireMaxEntries(options);
+        var now = typeof options.now === 'function' ? options.now : Date.now;
+        var onSweepError = typeof options.onSweepError === 'function' ? options.onSweepError : function(e) {
+            console.warn('srpChallengeStore.fileStore could not sweep ' + directory + ': ' + e.message);
+        };
+        var writes = 0;
+        // the longest ttl written by this process, after which a temporary file is left over
+        var longestTtl = 0;
+        // where the next sweep starts among the files of the directory
+        var cursor = 0;
+        var sweeping = null;
+        var fs = null;
+        var created = null;
+
+        async function fsPromises() {
+            fs = fs || await import('node:fs/promises');
+            // private as the files hold the b and v of sessions
+            created = created || fs.mkdir(directory, { recursive: true, mode: 448 });
+            await created;
+            return fs;
+        }
+
+        function fileOf(key) {
+            return directory + '/' + srpHashes.resolve('SHA-256').H(key) + '.json';
+        }
+
+        function isEntryFile(name) {
+            return /^[0-9a-f]{64}\.json$/.test(name);
+        }
+
+        function isTemporaryFile(name) {
+            return /^[0-9a-f]{64}\.json\.[0-9a-f]{16}\.(tmp|taken)$/.test(name);
+        }
+
+        function ignoreMissing(e) {
+            if (e.code !== 'ENOENT') {
+                throw e;
+            }
+            return null;
+        }
+
+        function unreadable() {
+            return null;
+        }
+
+        // the entry of a file or null once it is missing or expired
+        async function read(file) {
+            var fsp = await fsPromises();
+            var text = await fsp.readFile(file, 'utf8').catch(ignoreMissing);
+            if (text === null) {
+                return null;
+            }
+            var entry = JSON.parse(text);
+            return entry.expiresAt > now() ? entry : null;
+        }
+
+        // deletes a temporary file left by a process that died between its steps
+        async function sweepTemporary(fsp, file) {
+            var stats = await fsp.stat(file).catch(ignoreMissing);
+            if (stats !== null && longestTtl > 0 && stats.mtimeMs < Date.now() - longestTtl) {
+                await fsp.unlink(file).catch(ignoreMissing);
+            }
+        }
+
+        // sweeps the next limit files and returns the count of entries left
+        async function sweep(limit) {
+            var fsp = await fsPromises();
+            var names = (await fsp.readdir(directory)).filter(function(name) {
+                return isEntryFile(name) || isTemporaryFile(name);
+            }).sort();
+            var count = Math.min(limit, names.length);
+            var start = cursor < names.length ? cursor : 0;
+            cursor = start + count;
+            var entries = names.filter(isEntryFile).length;
+            var kept = [];
+            for (var i = 0; i < count; i++) {
+                var name = names[(start + i) % names.length];
+                var file = directory + '/' + name;
+                if (isTemporaryFile(name)) {
+                    await sweepTemporary(fsp, file);
+                    continue;
+                }
+                var entry = await read(file).catch(unreadable);
+                var stats = entry === null ? null : await fsp.stat(file).catch(ignoreMissing);
+                if (stats === null) {
+                    await fsp.unlink(file).catch(ignoreMissing);
+                    entries--;
+                } else {
+                    kept.push({ file: file, used: stats.mtimeMs });
+                }
+            }
+            kept.sort(function(left, right) {
+                return left.used - right.used;
+            });
+            for (var evict = 0; evict < kept.length && entries > maxEntries; evict++) {
+                await fsp.unlink(kept[evict].file).catch(ignoreMissing);
+                entries--;
+            }
+            return entries;
+        }
+
+        // one sweep at a time which the write that starts it does not wait for
+        function startSweep() {
+            if (sweeping === null) {
+                sweeping = sweep(SWEEP_FILES).catch(function(e) {
+                    // a directory removed with its store has nothing left to sweep
+                    if (e.code !== 'ENOENT') {
+                        onSweepError(e);
+                    }
+                }).then(function() {
+                    sweeping = null;
+                });
+            }
+        }
+
+        var files = {
+            get: async function(key) {
+                var file = fileOf(requireKey(key));
+                var entry = await read(file);
+                if (entry === null) {
+                    return null;
+                }
+                // the modification time orders the sweep as the last use
+                var time = new Date();
+                await fs.utimes(file, time, time).catch(ignoreMissing);
+                return entry.value;
+            },
+            set: async function(key, value, ttl) {
+                var file = fileOf(requireKey(key));
+                var text = JSON.stringify({ expiresAt: now() + requireTtl(ttl), value: value });
+                longestTtl = Math.max(longestTtl, ttl);
+                var fsp = await fsPromises();
+                var temporary = file + '.' + randomStrings.hex(16) + '.tmp';
+                await fsp.writeFile(temporary, text, { mode: 384, flag: 'wx' });
+                try {
+                    await fsp.rename(temporary, file);
+                } catch (e) {
+                    await fsp.unlink(temporary).catch(unreadable);
+                    throw e;
+                }
+                if (writes++ % SWEEP_EVERY === 0) {
+                    startSweep();
+                }
+            },
+            take: async function(key) {
+                var file = fileOf(requireKey(key));
+                var fsp = await fsPromises();
+                var taken = file + '.' + randomStrings.hex(16) + '.taken';
+                if (await fsp.rename(file, taken).catch(ignoreMissing) === null) {
+                    return null;
+                }
+                try {
+                    var entry = await read(taken);
+                    return entry === null ? null : entry.value;
+                } finally {
+                    await fsp.unlink(taken).catch(ignoreMissing);
+                }
+            },
+            delete: async function(key) {
+                var file = fileOf(requireKey(key));
+                var fsp = await fsPromises();
+                var entry = await read(file);
+                return await fsp.unlink(file).catch(ignoreMissing) !== null && entry !== null;
+            },
+            size: function() {
+                return sweep(Infinity);
+            }
+        };
+        return sealedStore(files, options.secret);
+    }
+
+    return {
+        METHODS: METHODS,
+        DEFAULT_MAX_ENTRIES: DEFAULT_MAX_ENTRIES,
+        requireStore: requireStore,
+        lruStore: lruStore,
+        sealedStore: sealedStore,
+        fileStore: fileStore
+    };
+})();
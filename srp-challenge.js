@@ -0,0 +1,161 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// Expiry and single use of the server challenge. step1 stamps the challenge
+// with an issued-at time 'iat', a time to live 'ttl' in milliseconds and a
+// random challenge id 'cid' which toPrivateStoreState stores with 'b'.
+// fromPrivateStoreState rejects an expired challenge and step2 asks
+// `consumeChallenge(cid, expiresAt)` whether it is the first use of the id, so
+// a challenge cannot be replayed or used to guess passwords without bound.
+// The default remembers consumed ids in one memory store for the process,
+// which every session class with the same clock shares, and that is only
+// enough for a single process. A cluster passes a hook that checks a shared
+// store and calls step2Async, as step2 only takes a hook that returns a boolean:
+//
+//   consumeChallenge: (cid, expiresAt) => redis.set('srp:' + cid, 1, { NX: true, PXAT: expiresAt }).then(ok => ok !== null)
+const srpChallenge = (function() {
+
+    // five minutes for the user to type their password
+    const DEFAULT_TTL_MS = 300000;
+    const CID_HEX_LENGTH = 32;
+
+    /**
+     * A consumeChallenge hook which remembers ids in memory until they expire.
+     * A Map keeps the ids in the order they were consumed, which is close to
+     * the order they expire, so expired ids are dropped from the front and each
+     * consume only touches the ids that have expired. An id consumed out of
+     * order is kept until those before it expire, which only delays its removal.
+     *
+     * @param {function} [now] Returns the time in milliseconds.
+     * @return {function} `(cid, expiresAt) => boolean` which is true on the first use of cid.
+     */
+    function memoryStore(now) {
+        now = now || Date.now;
+        var consumed = new Map();
+        return function(cid, expiresAt) {
+            var time = now();
+            var oldest = consumed.entries().next();
+            while (!oldest.done && oldest.value[1] < time) {
+                consumed.delete(oldest.value[0]);
+                oldest = consumed.entries().next();
+            }
+            if (consumed.has(cid)) {
+                return false;
+            }
+            consumed.set(cid, expiresAt);
+            return true;
+        };
+    }
+
+    // the default stores of the process by clock, as the ids expire by the clock of their class
+    var processStores = new Map();
+
+    function processStore(now) {
+        if (!processStores.has(now)) {
+            processStores.set(now, memoryStore(now));
+        }
+        return processStores.get(now);
+    }
+
+    /**
+     * Stamps a new challenge at step1.
+     *
+     * @param {object} session The server session.
+     */
+    function issue(session) {
+        session.iat = session.now();
+        session.ttl = session.challengeTtl;
+        session.cid = randomStrings.hex(CID_HEX_LENGTH);
+    }
+
+    /**
+     * Restores the stamp of a stored challenge and checks that it has not expired.
+     *
+     * @param {object} session The server session.
+     * @param {object} state The private store state.
+     * @throws SrpInvalidParameterError If the state has no valid iat, ttl or cid.
+     * @throws SrpProtocolError If the challenge has expired.
+     */
+    function restore(session, state) {
+        ['iat', 'ttl'].forEach(function(field) {
+            if (typeof state[field] !== 'number' || !isFinite(state[field]) || state[field] < 0) {
+                throw new SrpInvalidParameterError(field, 'missing', field + " must be a time in milliseconds, store the state of toPrivateStoreState");
+            }
+        });
+        srpValidation.requireHex(state.cid, "cid", CID_HEX_LENGTH);
+        var expiresAt = state.iat + state.ttl;
+        if (session.now() > expiresAt) {
+            throw new SrpProtocolError("The challenge expired at " + new Date(expiresAt).toISOString());
+        }
+        session.iat = state.iat;
+        session.ttl = state.ttl;
+        session.cid = state.cid;
+    }
+
+    function requireFirstUse(first) {
+        if (first !== true) {
+            throw new SrpProtocolError("The challenge has already been used, start a new login");
+        }
+    }
+
+    /**
+     * Consumes the challenge of a session then runs the rest of step2.
+     *
+     * @param {object} session The server session.
+     * @param {function} next The rest of step2.
+     * @return {*} The result of next.
+     * @throws SrpProtocolError If the challenge was consumed before.
+     * @throws SrpConfigurationError If the hook returns a promise, which needs consumeAsync.
+     */
+    function consume(session, next) {
+        var first = session.consumeChallenge(session.cid, session.iat + session.ttl);
+        if (first !== null && typeof first === 'object' && typeof first.then === 'function') {
+            throw new SrpConfigurationError('consumeChallenge', 'consumeChallenge returned a promise, call step2Async instead of step2');
+        }
+        requireFirstUse(first);
+        return next();
+    }
+
+    /**
+     * As consume for a hook that may return a promise.
+     *
+     * @param {object} session The server session.
+     * @param {function} next The rest of step2.
+     * @return {Promise} A promise of the result of next.
+     * @throws SrpProtocolError If the challenge was consumed before.
+     */
+    async function consumeAsync(session, next) {
+        requireFirstUse(await session.consumeChallenge(session.cid, session.iat + session.ttl));
+        return next();
+    }
+
+    /**
+     * Sets the clock, the time to live and the consumeChallenge hook of a
+     * server session class.
+     *
+     * @param {object} prototype The server session class prototype.
+     * @param {object} options The factory options `{now, challengeTtl, consumeChallenge}`.
+     */
+    function install(prototype, options) {
+        var now = typeof options.now === 'function' ? options.now : Date.now;
+        var ttl = typeof options.challengeTtl === 'undefined' ? DEFAULT_TTL_MS : options.challengeTtl;
+        if (typeof ttl !== 'number' || isNaN(ttl) || ttl <= 0) {
+            throw new SrpConfigurationError('challengeTtl', 'challengeTtl must be a positive number of milliseconds but got: ' + ttl);
+        }
+        if (typeof options.consumeChallenge !== 'undefined' && typeof options.consumeChallenge !== 'function') {
+            throw new SrpConfigurationError('consumeChallenge', 'consumeChallenge must be a function (cid, expiresAt) => boolean');
+        }
+        prototype.now = now;
+        prototype.challengeTtl = ttl;
+        prototype.consumeChallenge = options.consumeChallenge || processStore(now);
+    }
+
+    return {
+        DEFAULT_TTL_MS: DEFAULT_TTL_MS,
+        memoryStore: memoryStore,
+        issue: issue,
+        restore: restore,
+        consume: consume,
+        consumeAsync: consumeAsync,
+        install: install
+    };
+})();
@@ -0,0 +1,141 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// Awaitable client session methods that the client factory installs when created
+// with `{async: true}`. They hash with WebCrypto `crypto.subtle.digest` so that a
+// browser does not need CryptoJS. The routines x, u, k, M1 and M2 of
+// client-exports.js and srp-rfc5054.js hash with srpHashes.hashOf, which uses
+// the HAsync installed here, so both paths run the same code and the outputs are
+// identical. The steps below await them.
+const srpClientAsync = (function() {
+
+    function subtle() {
+        return (typeof globalThis.crypto !== 'undefined' && globalThis.crypto.subtle) || null;
+    }
+
+    /**
+     * Hashes a string as UTF-8, or bytes, with crypto.subtle.digest. Custom hash
+     * functions, and runtimes without WebCrypto, use the synchronous 'H'.
+     *
+     * @param {object} hash The resolved hash, see srpHashes.resolve.
+     * @param {string|Uint8Array} message The message.
+     * @return {Promise<string>} The lower case hex digest.
+     */
+    async function digest(hash, message) {
+        var impl = subtle();
+        if (!hash.webCrypto || !impl) {
+            return hash.H(message);
+        }
+        var bytes = typeof message === 'string' ? srpEncoding.utf8Bytes(message) : message;
+        return srpEncoding.bytesToHex(new Uint8Array(await impl.digest(hash.webCrypto, bytes)));
+    }
+
+    // the public methods of client-exports.js that hash
+    const session = {
+        generateRandomSalt: async function(opionalServerSalt) {
+            var s = randomStrings.hex(32); // 16 bytes
+            return this.HAsync((new Date()) + ':' + opionalServerSalt + ':' + s);
+        },
+
+        generateVerifier: async function(salt, identity, password) {
+            var x = await this.generateX(salt, identity, password);
+            this.v = this.g.modPow(x, this.N);
+            return this.toHex(this.v);
+        },
+
+        randomA: async function() {
+            var hexLength = this.toHex(this.N).length;
+            var ZERO = this.BigInteger("0", 10);
+            var ONE = this.BigInteger("1", 10);
+            var r = ZERO;
+            while (ZERO.equals(r)) {
+                var rBi = this.BigInteger(randomStrings.hex(hexLength), 16);
+                var oneTimeBi = this.BigInteger(await this.HAsync(this.I + ":" + this.salt + ':' + (new Date()).getTime()), 16);
+                r = (oneTimeBi.add(rBi)).modPow(ONE, this.N);
+            }
+            return r;
+        },
+
+        getSessionKey: async function(hash) {
+            if (this.S === null) {
+                return null;
+            }
+            this.SS = this.toHex(this.S);
+            if (typeof hash !== 'undefined' && hash === false) {
+                return this.SS;
+            }
+            if (this.K === null) {
+                this.K = await this.computeK(this.S);
+            }
+            return this.K;
+        },
+
+        step2: async function(s, BB) {
+            srpValidation.requireSalt(s, "s");
+            if (this.state !== this.STEP_1) {
+                throw new SrpStateError(this.STEP_1, this.state, "IllegalStateException not in state STEP_1");
+            }
+            this.B = srpValidation.requireGroupElement(BB, "B", this.N, this.fromHex);
+            var k = await this.resolveK();
+            var x = await this.generateX(s, this.I, this.P);
+            this.P = null;
+            this.a = await this.randomA();
+            this.A = this.g.modPow(this.a, this.N);
+            srpValidation.requireNonZero(this.A, "A");
+            this.u = await this.computeU(this.A.toString(16), BB);
+            this.S = this.computeSessionKey(k, x, this.u, this.a, this.B);
+            srpValidation.requireNonZero(this.S, "S");
+            var AA = this.toHex(this.A);
+            this.M1str = await this.computeM1(AA, BB, this.S);
+            srpValidation.requireValue(this.M1str, "M1str");
+            this.state = this.STEP_2;
+            return { A: AA, M1: this.M1str };
+        },
+
+        step3: async function(M2) {
+            srpValidation.requireProof(M2, "M2", this.hashHexLength);
+            if (this.state !== this.STEP_2) {
+                throw new SrpStateError(this.STEP_2, this.state, "IllegalStateException State violation: Session must be in STEP_2 state");
+            }
+            var computedM2 = await this.computeM2(this.toHex(this.A), this.M1str, this.S);
+            if (!srpEncoding.proofsEqual(M2, computedM2, this.hashHexLength)) {
+                throw new SrpBadCredentialsError('server', "SRP6Exception Bad server credentials");
+            }
+            this.state = this.STEP_3;
+            return true;
+        }
+    };
+
+    /**
+     * Copies the awaitable methods onto a client session prototype. As the
+     * hash is async the multiplier k is computed, and any given `k_base16`
+     * checked, on first use by `resolveK()` rather than by the factory.
+     *
+     * @param {object} prototype The session class prototype with N and g set.
+     * @param {object} hash The resolved hash, see srpHashes.resolve.
+     * @param {string} [k_base16] The multiplier k as hex.
+     */
+    function install(prototype, hash, k_base16) {
+        var pending = null;
+        Object.keys(session).forEach(function(name) {
+            prototype[name] = session[name];
+        });
+        prototype.k = null;
+        prototype.HAsync = function(x) {
+            return digest(hash, x);
+        };
+        prototype.resolveK = function() {
+            if (pending === null) {
+                pending = digest(hash, srpGroups.multiplierInput(prototype.N, prototype.g)).then(function(hex) {
+                    prototype.k = prototype.fromHex(srpGroups.checkK(srpEncoding.stripLeadingZeros(hex), hash, k_base16));
+                    return prototype.k;
+                });
+            }
+            return pending;
+        };
+    }
+
+    return {
+        digest: digest,
+        install: install
+    };
+})();
@@ -0,0 +1,141 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// Saves a client session after step2 so that a login can finish step3 after a
+// page reload, a redirect or a service worker restart, or after step3 to keep
+// the session key. The state never holds the password, 'x' or 'a':
+//
+//   {"version":1,"hash":"SHA-256","mode":"thinbus","group":"rfc5054-2048",
+//    "state":2,"I":"alice","A":"...","M1":"...","S":"..."}
+//
+// A and M1 are only kept before step3 where M2 is checked against them.
+// Pass secrets to toState to seal it with srpSealedState instead.
+const srpClientState = (function() {
+
+    const VERSION = 1;
+
+    function malformed(message) {
+        throw new SrpInvalidParameterError('state', 'malformed', 'state ' + message);
+    }
+
+    /**
+     * The plain state of a session.
+     *
+     * @param {object} session A client session after step2 or step3.
+     * @return {object} The state.
+     * @throws SrpStateError If the session is not in state STEP_2 or STEP_3.
+     */
+    function capture(session) {
+        if (session.state !== session.STEP_2 && session.state !== session.STEP_3) {
+            throw new SrpStateError(session.STEP_2, session.state, "IllegalStateException toState needs a session in state STEP_2 or STEP_3");
+        }
+        var state = {
+            version: VERSION,
+            hash: session.hashAlgorithm,
+            mode: session.mode,
+            group: session.group ? session.group.id : null,
+            state: session.state,
+            I: session.I
+        };
+        if (session.state === session.STEP_2) {
+            state.A = session.toHex(session.A);
+            state.M1 = session.M1str;
+        }
+        state.S = session.toHex(session.S);
+        return state;
+    }
+
+    /**
+     * Checks the version, parameters and step of a state.
+     *
+     * @param {object} session A client session in state INIT.
+     * @param {object} state The state from capture.
+     * @throws SrpStateError If the session has started a login.
+     * @throws SrpInvalidParameterError If the state is malformed.
+     * @throws SrpConfigurationError If the state has another group, hash or mode to the session.
+     */
+    function check(session, state) {
+        if (session.state !== session.INIT) {
+            throw new SrpStateError(session.INIT, session.state, "IllegalStateException fromState needs a new session");
+        }
+        if (typeof state !== 'object' || state === null) {
+            malformed('must be an object');
+        }
+        if (state.version !== VERSION) {
+            throw new SrpInvalidParameterError('state', 'unsupported_version', 'state version ' + state.version + ' is not supported, expected ' + VERSION);
+        }
+        var group = session.group ? session.group.id : null;
+        var mismatch = state.hash !== session.hashAlgorithm ? 'hash' : (state.mode !== session.mode ? 'mode' : (state.group !== group ? 'group' : null));
+        if (mismatch !== null) {
+            throw new SrpConfigurationError('state', 'The state has a different ' + mismatch + ' to this session');
+        }
+        if (state.state !== session.STEP_2 && state.state !== session.STEP_3) {
+            malformed('must be of a session in state STEP_2 or STEP_3');
+        }
+    }
+
+    /**
+     * Restores a session from its plain state.
+     *
+     * @param {object} session A client session in state INIT.
+     * @param {object} state The state from capture.
+     */
+    function restore(session, state) {
+        check(session, state);
+        var I = srpValidation.requireString(state.I, "I");
+        var S = srpValidation.requireGroupElement(state.S, "S", session.N, session.fromHex);
+        if (state.state === session.STEP_2) {
+            session.A = srpValidation.requireGroupElement(state.A, "A", session.N, session.fromHex);
+            session.M1str = srpValidation.requireProof(state.M1, "M1", session.hashHexLength);
+        }
+        session.I = I;
+        session.S = S;
+        session.K = null;
+        session.state = state.state;
+    }
+
+    /**
+     * Copies `toState(secrets)` and `fromState(state, secrets)` onto a client
+     * session prototype.
+     *
+     * @param {object} prototype The client session class prototype.
+     */
+    function install(prototype) {
+        /**
+         * Saves the session after step2 or step3.
+         *
+         * @param {string|Uint8Array|Array} [secrets] Seals the state under these secrets, see srpSealedState.
+         * @return {object|Promise<string>} The state, or a promise of the sealed token when secrets are given.
+         * @throws SrpStateError If the session is not in state STEP_2 or STEP_3.
+         */
+        prototype.toState = function(secrets) {
+            var state = capture(this);
+            return typeof secrets === 'undefined' ? state : srpSealedState.seal(state, secrets);
+        };
+
+        /**
+         * Restores a new session from toState.
+         *
+         * @param {object|string} state The state, or the sealed token when secrets are given.
+         * @param {string|Uint8Array|Array} [secrets] The secrets that sealed the token.
+         * @return {undefined|Promise} A promise when secrets are given.
+         */
+        prototype.fromState = function(state, secrets) {
+            if (typeof secrets === 'undefined') {
+                restore(this, state);
+                return;
+            }
+            var session = this;
+            return srpSealedState.open(state, secrets).then(function(opened) {
+                restore(session, opened);
+            });
+        };
+    }
+
+    return {
+        VERSION: VERSION,
+        capture: capture,
+        check: check,
+        restore: restore,
+        install: install
+    };
+})();
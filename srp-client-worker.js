@@ -0,0 +1,340 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// Runs the client session in a dedicated Web Worker so that the modPow work of
+// step2 and generateVerifier does not freeze the page. The client factory
+// installs the proxy methods when created with `{worker: true}`. The worker
+// loads client.mjs itself which serves the requests as an async session.
+const srpClientWorker = (function() {
+
+    // the name of the worker which tells client.mjs to serve requests when loaded in it
+    const WORKER_NAME = 'thinbus-srp-client';
+
+    // the methods the worker may be asked to run
+    const METHODS = ['step1', 'step2', 'step3', 'generateVerifier', 'generateRandomSalt', 'getSessionKey', 'toState', 'fromState'];
+
+    // browser workers are EventTargets, Node.js worker_threads are EventEmitters
+    function onMessage(target, handler) {
+        if (typeof target.addEventListener === 'function') {
+            target.addEventListener('message', function(event) {
+                handler(event.data);
+            });
+        } else {
+            target.on('message', handler);
+        }
+    }
+
+    function onError(target, handler) {
+        if (typeof target.addEventListener === 'function') {
+            target.addEventListener('error', handler);
+        } else {
+            target.on('error', handler);
+        }
+    }
+
+    // errors do not keep their class across postMessage so are sent as plain objects
+    function serializeError(error) {
+        var plain = { name: error.name || 'Error', message: "" + (error.message || error) };
+        ['code', 'parameter', 'reason', 'party', 'expected', 'actual'].forEach(function(field) {
+            if (typeof error[field] !== 'undefined') {
+                plain[field] = error[field];
+            }
+        });
+        return plain;
+    }
+
+    function rebuildError(plain) {
+        switch (plain.name) {
+            case 'SrpStateError':
+                return new SrpStateError(plain.expected, plain.actual, plain.message);
+            case 'SrpProtocolError':
+                return new SrpProtocolError(plain.message);
+            case 'SrpBadCredentialsError':
+                return new SrpBadCredentialsError(plain.party, plain.message);
+            case 'SrpConfigurationError':
+                return new SrpConfigurationError(plain.parameter, plain.message);
+            case 'SrpInvalidParameterError':
+                return new SrpInvalidParameterError(plain.parameter, plain.reason, plain.message);
+            default:
+                return new Error(plain.message);
+        }
+    }
+
+    /**
+     * Serves session requests posted to a worker. Requests are handled one at
+     * a time in the order they arrive.
+     *
+     * @param {object} scope The worker global scope, or a Node.js worker_threads parentPort.
+     * @param {function} factory The client factory.
+     */
+    function serve(scope, factory) {
+        var session = null;
+        var queue = Promise.resolve();
+
+        function handle(request) {
+            if (request.method === 'init') {
+                var Session = factory.apply(null, request.args);
+                session = new Session();
+                return null;
+            }
+            if (request.method === 'destroy') {
+                if (session !== null) {
+                    session.destroy();
+                    session = null;
+                }
+                return null;
+            }
+            if (session === null || METHODS.indexOf(request.method) < 0) {
+                throw new SrpProtocolError('The worker cannot run ' + request.method);
+            }
+            return session[request.method].apply(session, request.args);
+        }
+
+        onMessage(scope, function(request) {
+            queue = queue.then(function() {
+                return handle(request);
+            }).then(function(result) {
+                scope.postMessage({ id: request.id, result: result });
+            }, function(error) {
+                scope.postMessage({ id: request.id, error: serializeError(error) });
+            });
+        });
+    }
+
+    /**
+     * Serves session requests when client.mjs has been loaded as the worker
+     * of a `{worker: true}` session.
+     *
+     * @param {function} factory The client factory.
+     */
+    function serveIfWorker(factory) {
+        if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope && self.name === WORKER_NAME) {
+            serve(self, factory);
+        }
+    }
+
+    function createModuleWorker() {
+        if (typeof Worker === 'undefined') {
+            throw new SrpConfigurationError('worker', 'Web Workers are not available, pass options.createWorker');
+        }
+        return new Worker(import.meta.url, { type: 'module', name: WORKER_NAME }); // jshint ignore:line
+    }
+
+    // a request and response channel to one worker
+    function Channel(worker) {
+        var channel = this;
+        this.worker = worker;
+        this.nextId = 1;
+        this.pending = {};
+        onMessage(worker, function(response) {
+            var pending = channel.pending[response.id];
+            if (!pending) {
+                return;
+            }
+            delete channel.pending[response.id];
+            if (response.error) {
+                pending.reject(rebuildError(response.error));
+            } else {
+                pending.resolve(response.result);
+            }
+        });
+        onError(worker, function(event) {
+            channel.failAll(new SrpConfigurationError('worker', 'The SRP worker failed: ' + (event.message || event)));
+        });
+    }
+
+    Channel.prototype.call = function(method, args) {
+        var channel = this;
+        return new Promise(function(resolve, reject) {
+            var id = channel.nextId++;
+            channel.pending[id] = { resolve: resolve, reject: reject };
+            channel.worker.postMessage({ id: id, method: method, args: args || [] });
+        });
+    };
+
+    Channel.prototype.failAll = function(error) {
+        var pending = this.pending;
+        this.pending = {};
+        Object.keys(pending).forEach(function(id) {
+            pending[id].reject(error);
+        });
+    };
+
+    Channel.prototype.terminate = function() {
+        this.failAll(new SrpStateError(null, null, 'The SRP worker has been terminated'));
+        this.worker.terminate();
+    };
+
+    /**
+     * The options passed to the factory inside the worker. Functions cannot be
+     * posted to a worker so only the built in hash algorithms are supported
+     * and argon2id, which needs a provider function, is not.
+     *
+     * @param {object} hash The resolved hash, see srpHashes.resolve.
+     * @param {string} mode Either 'thinbus' or 'rfc5054'.
+     * @param {object} kdf The resolved kdf, see srpKdf.resolve, or null.
+     * @param {object} options The factory options.
+     * @return {object} The options for an async session.
+     */
+    function workerOptions(hash, mode, kdf, options) {
+        if (!hash.webCrypto) {
+            throw new SrpConfigurationError('hash', 'A worker session needs one of the built in hash algorithms but got: ' + hash.name);
+        }
+        if (kdf !== null && kdf.provider !== null) {
+            throw new SrpConfigurationError('kdf', 'A worker session cannot post the ' + kdf.params.name + ' provider function to the worker');
+        }
+        return { hash: hash.name, mode: mode, bigint: options.bigint, kdf: kdf === null ? null : kdf.params, async: true };
+    }
+
+    // the proxies of the public session methods
+    const proxies = {
+        call: function(method, args) {
+            if (!this.channel) {
+                this.channel = new Channel(this.createWorker());
+                // a failed init rejects every call rather than going unhandled
+                this.channelReady = this.channel.call('init', this.workerInit);
+            }
+            var channel = this.channel;
+            return this.channelReady.then(function() {
+                return channel.call(method, args);
+            });
+        },
+
+        step1: async function(identity, password) {
+            await this.call('step1', [identity, password]);
+            this.I = identity;
+            this.state = this.STEP_1;
+        },
+
+        step2: async function(s, B) {
+            var credentials = await this.call('step2', [s, B]);
+            this.state = this.STEP_2;
+            return credentials;
+        },
+
+        step3: async function(M2) {
+            try {
+                var verified = await this.call('step3', [M2]);
+                // keep the keys as the worker is terminated
+                this.K = await this.call('getSessionKey', []);
+                this.SS = await this.call('getSessionKey', [false]);
+                this.S = this.fromHex(this.SS);
+                this.state = this.STEP_3;
+                return verified;
+            } finally {
+                await this.terminateWorker();
+            }
+        },
+
+        generateVerifier: async function(salt, identity, password) {
+            try {
+                return await this.call('generateVerifier', [salt, identity, password]);
+            } finally {
+                if (this.state === this.INIT) {
+                    await this.terminateWorker();
+                }
+            }
+        },
+
+        generateRandomSalt: async function(opionalServerSalt) {
+            try {
+                return await this.call('generateRandomSalt', [opionalServerSalt]);
+            } finally {
+                if (this.state === this.INIT) {
+                    await this.terminateWorker();
+                }
+            }
+        },
+
+        getSessionKey: async function(hash) {
+            if (this.channel) {
+                return this.call('getSessionKey', [hash]);
+            }
+            if (this.S === null) {
+                return null;
+            }
+            return (typeof hash !== 'undefined' && hash === false) ? this.SS : this.K;
+        },
+
+        // the worker holds the state before step3 and this session after it
+        toState: async function(secrets) {
+            var state = this.channel ? await this.call('toState', []) : srpClientState.capture(this);
+            return typeof secrets === 'undefined' ? state : srpSealedState.seal(state, secrets);
+        },
+
+        fromState: async function(state, secrets) {
+            if (typeof secrets !== 'undefined') {
+                state = await srpSealedState.open(state, secrets);
+            }
+            srpClientState.check(this, state);
+            if (state.state !== this.STEP_2) {
+                // as after step3 the keys are kept here without a worker
+                srpClientState.restore(this, state);
+                this.SS = this.toHex(this.S);
+                this.K = await this.computeK(this.S);
+                return;
+            }
+            await this.call('fromState', [state]);
+            this.I = state.I;
+            this.state = this.STEP_2;
+        },
+
+        // wipes the secrets held by the worker and terminates it which step3 does
+        // whether or not it succeeds
+        terminateWorker: async function() {
+            var channel = this.channel;
+            if (!channel) {
+                return;
+            }
+            this.channel = null;
+            try {
+                await channel.call('destroy', []);
+            } catch (e) {
+                // the worker is terminated below whatever went wrong
+            }
+            channel.terminate();
+        }
+    };
+
+    /**
+     * Copies the proxy methods onto a client session prototype.
+     *
+     * @param {object} prototype The session class prototype.
+     * @param {object} hash The resolved hash, see srpHashes.resolve.
+     * @param {Array} init The factory arguments for the worker session.
+     * @param {function} [createWorker] Returns a new Worker that serves requests
+     *        defaulting to a module worker running client.mjs.
+     */
+    function install(prototype, hash, init, createWorker) {
+        var wipe = prototype.destroy;
+        Object.keys(proxies).forEach(function(name) {
+            prototype[name] = proxies[name];
+        });
+
+        /**
+         * Terminates the worker, after wiping its secrets, then wipes the
+         * session key kept in the page. Only needed to abandon a login part way
+         * through or once the session key is no longer needed.
+         */
+        prototype.destroy = async function() {
+            await this.terminateWorker();
+            wipe.call(this);
+        };
+        prototype.k = null;
+        // what the page hashes, such as K of a restored login, uses WebCrypto as the worker does
+        prototype.HAsync = function(x) {
+            return srpClientAsync.digest(hash, x);
+        };
+        prototype.channel = null;
+        prototype.channelReady = null;
+        prototype.workerInit = init;
+        prototype.createWorker = createWorker || createModuleWorker;
+    }
+
+    return {
+        WORKER_NAME: WORKER_NAME,
+        serve: serve,
+        serveIfWorker: serveIfWorker,
+        workerOptions: workerOptions,
+        install: install
+    };
+})();
@@ -0,0 +1,112 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// Labelled subkeys of the shared secret 'S' that both factories install as
+// `deriveKey(info, length, format)`. Client and server derive the same key for
+// the same label and unrelated keys for different labels:
+//
+//   key = HKDF(H, IKM = PAD(S), salt = "", info = UTF-8(label), length)
+//
+// H is the hash of the session, or SHA-256 for a custom hash, and PAD() pads
+// to the byte length of N. It runs on WebCrypto so it returns promises.
+const srpDeriveKey = (function() {
+
+    // the key usages of a CryptoKey of each algorithm
+    const USAGES = {
+        'AES-GCM': ['encrypt', 'decrypt'],
+        'AES-CBC': ['encrypt', 'decrypt'],
+        'AES-CTR': ['encrypt', 'decrypt'],
+        'AES-KW': ['wrapKey', 'unwrapKey'],
+        'HMAC': ['sign', 'verify']
+    };
+
+    function subtle() {
+        var impl = (typeof globalThis.crypto !== 'undefined' && globalThis.crypto.subtle) || null;
+        if (!impl) {
+            throw new SrpConfigurationError('deriveKey', 'deriveKey needs WebCrypto crypto.subtle');
+        }
+        return impl;
+    }
+
+    /**
+     * HKDF of RFC 5869 with an empty salt.
+     *
+     * @param {string} hash The WebCrypto hash name e.g. 'SHA-256'.
+     * @param {Uint8Array} ikm The input keying material.
+     * @param {string} info The label.
+     * @param {number} length The number of bytes.
+     * @return {Promise<Uint8Array>} The output keying material.
+     */
+    async function hkdf(hash, ikm, info, length) {
+        var impl = subtle();
+        var key = await impl.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+        var bits = await impl.deriveBits({ name: 'HKDF', hash: hash, salt: new Uint8Array(0), info: srpEncoding.utf8Bytes(info) }, key, length * 8);
+        return new Uint8Array(bits);
+    }
+
+    // hex, bytes or a CryptoKey for an algorithm such as {name: 'AES-GCM'}
+    async function toFormat(bytes, format, usages) {
+        if (typeof format === 'undefined' || format === null || format === 'hex') {
+            return srpEncoding.bytesToHex(bytes);
+        }
+        if (format === 'bytes') {
+            return bytes;
+        }
+        var algorithm = typeof format === 'string' ? { name: format } : format;
+        if (typeof algorithm !== 'object' || !algorithm.name) {
+            throw new SrpConfigurationError('deriveKey', "The format must be 'hex', 'bytes' or a WebCrypto algorithm but got: " + format);
+        }
+        if (algorithm.name === 'HMAC' && !algorithm.hash) {
+            algorithm = { name: 'HMAC', hash: 'SHA-256' };
+        }
+        usages = usages || USAGES[algorithm.name];
+        if (!usages) {
+            throw new SrpConfigurationError('deriveKey', 'Pass the key usages of a ' + algorithm.name + ' key');
+        }
+        return subtle().importKey('raw', bytes, algorithm, false, usages);
+    }
+
+    /**
+     * Copies `deriveKey` onto a session prototype.
+     *
+     * @param {object} prototype The session class prototype with N and hashAlgorithm set.
+     * @param {string} ready The name of the state after which the keys may be used
+     *        e.g. 'STEP_3' for a client which has checked the server evidence M2.
+     * @param {string} party Either 'client' or 'server' which keys that differ by direction use.
+     */
+    function install(prototype, ready, party) {
+        prototype.party = party;
+        var builtIn = srpHashes.normalise(prototype.hashAlgorithm) === prototype.hashAlgorithm;
+        var hash = builtIn ? prototype.hashAlgorithm : 'SHA-256';
+        // HKDF can expand to 255 blocks of the hash output
+        var maxLength = 255 * (builtIn ? prototype.hashHexLength / 2 : 32);
+
+        /**
+         * Derives a labelled subkey of the shared secret.
+         *
+         * @param {string} info The label e.g. 'myapp vault key'. Each use of a key needs its own label.
+         * @param {number} [length] The number of bytes, default 32.
+         * @param {string|object} [format] 'hex' (the default), 'bytes' for a Uint8Array, or a WebCrypto
+         *        algorithm such as 'AES-GCM' or {name: 'HMAC', hash: 'SHA-256'} for a non-extractable CryptoKey.
+         * @param {string[]} [usages] The CryptoKey usages when they are not the usual ones of the algorithm.
+         * @return {Promise} The key in the requested format.
+         * @throws SrpStateError If the session has not authenticated the peer.
+         */
+        prototype.deriveKey = async function(info, length, format, usages) {
+            if (this.state !== this[ready] || this.S === null) {
+                throw new SrpStateError(this[ready], this.state, "IllegalStateException deriveKey needs a session in state " + ready);
+            }
+            srpValidation.requireString(info, "info");
+            length = typeof length === 'undefined' || length === null ? 32 : length;
+            if (typeof length !== 'number' || length < 1 || length > maxLength || Math.floor(length) !== length) {
+                throw new SrpInvalidParameterError("length", 'out_of_range', "length must be between 1 and " + maxLength + " bytes but got: " + length);
+            }
+            var ikm = srpEncoding.bigIntegerToBytes(this.S, Math.ceil(this.N.bitLength() / 8));
+            return toFormat(await hkdf(hash, ikm, info, length), format, usages);
+        };
+    }
+
+    return {
+        hkdf: hkdf,
+        install: install
+    };
+})();
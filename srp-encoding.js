@@ -0,0 +1,246 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// Canonical encodings of hex values, constant-time comparison of them and
+// the byte encodings used by the RFC 5054 routines.
+const srpEncoding = (function() {
+
+    const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+    /**
+     * The Thinbus wire format of a hex value. Java BigInteger math trims leading
+     * zeros so every implementation must do likewise to get a match across languages.
+     *
+     * @param {string} hex A hex string.
+     * @return {string} The lower case hex string without leading zeros.
+     */
+    function stripLeadingZeros(hex) {
+        var stripped = ("" + hex).toLowerCase().replace(/^0+/, "");
+        return stripped === "" ? "0" : stripped;
+    }
+
+    /**
+     * Left pads a hex string with zeros.
+     *
+     * @param {string} hex A hex string.
+     * @param {number} length The length to pad to.
+     * @return {string} The padded hex string.
+     */
+    function padHex(hex, length) {
+        var padded = "" + hex;
+        while (padded.length < length) {
+            padded = "0" + padded;
+        }
+        return padded;
+    }
+
+    /**
+     * The canonical form of an evidence message used for comparisons. This
+     * is the lower case hash output padded to the full length of the hash so
+     * that the stripped and unstripped encodings of the same value are equal
+     * and so that comparing them takes the same time whatever the value.
+     *
+     * @param {string} hex The evidence message 'M1' or 'M2'.
+     * @param {number} hashHexLength The length in hex characters of the hash output.
+     * @return {string} The canonical form.
+     */
+    function canonicalProof(hex, hashHexLength) {
+        return padHex(stripLeadingZeros(hex), hashHexLength);
+    }
+
+    /**
+     * Compares two strings in time that depends only on their length and not
+     * on the position of the first difference.
+     *
+     * @param {string} a A string.
+     * @param {string} b A string.
+     * @return {boolean} True if the strings are equal.
+     */
+    function constantTimeEqual(a, b) {
+        a = "" + a;
+        b = "" + b;
+        var length = Math.max(a.length, b.length);
+        var diff = a.length ^ b.length;
+        for (var i = 0; i < length; i++) {
+            // charCodeAt past the end is NaN which becomes 0 in the bitwise or
+            diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return diff === 0;
+    }
+
+    /**
+     * Compares two evidence messages in constant time using their canonical form.
+     *
+     * @param {string} a The evidence message received from the peer.
+     * @param {string} b The locally computed evidence message.
+     * @param {number} hashHexLength The length in hex characters of the hash output.
+     * @return {boolean} True if the evidence messages encode the same value.
+     */
+    function proofsEqual(a, b, hashHexLength) {
+        return constantTimeEqual(canonicalProof(a, hashHexLength), canonicalProof(b, hashHexLength));
+    }
+
+    /**
+     * Converts a hex string into bytes. An odd length string is treated as
+     * having a leading zero as BigInteger.toString(16) drops it.
+     *
+     * @param {string} hex A hex string.
+     * @return {Uint8Array} The bytes.
+     */
+    function hexToBytes(hex) {
+        hex = "" + hex;
+        if (hex.length % 2 === 1) {
+            hex = "0" + hex;
+        }
+        var bytes = new Uint8Array(hex.length / 2);
+        for (var i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    /**
+     * Converts bytes into a lower case hex string.
+     *
+     * @param {Uint8Array} bytes The bytes.
+     * @return {string} The hex string with two characters per byte.
+     */
+    function bytesToHex(bytes) {
+        var hex = "";
+        for (var i = 0; i < bytes.length; i++) {
+            hex += (bytes[i] < 16 ? "0" : "") + bytes[i].toString(16);
+        }
+        return hex;
+    }
+
+    /**
+     * Encodes a string as UTF-8 bytes.
+     *
+     * @param {string} string The string.
+     * @return {Uint8Array} The UTF-8 bytes.
+     */
+    function utf8Bytes(string) {
+        if (typeof TextEncoder !== 'undefined') {
+            return new TextEncoder().encode("" + string);
+        }
+        var binary = unescape(encodeURIComponent("" + string));
+        var bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Decodes UTF-8 bytes as a string.
+     *
+     * @param {Uint8Array} bytes The UTF-8 bytes.
+     * @return {string} The string.
+     */
+    function utf8String(bytes) {
+        if (typeof TextDecoder !== 'undefined') {
+            return new TextDecoder().decode(bytes);
+        }
+        var binary = "";
+        for (var i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return decodeURIComponent(escape(binary));
+    }
+
+    /**
+     * Encodes bytes as unpadded base64url of RFC 4648.
+     *
+     * @param {Uint8Array} bytes The bytes.
+     * @return {string} The base64url string.
+     */
+    function bytesToBase64url(bytes) {
+        var out = "";
+        for (var i = 0; i < bytes.length; i += 3) {
+            var n = (bytes[i] << 16) | ((i + 1 < bytes.length ? bytes[i + 1] : 0) << 8) | (i + 2 < bytes.length ? bytes[i + 2] : 0);
+            var chars = Math.min(4, Math.ceil((bytes.length - i) * 4 / 3));
+            for (var j = 0; j < chars; j++) {
+                out += BASE64URL.charAt((n >>> (18 - j * 6)) & 63);
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Decodes unpadded base64url of RFC 4648.
+     *
+     * @param {string} string The base64url string.
+     * @return {Uint8Array} The bytes.
+     * @throws SrpInvalidParameterError If the string is not base64url.
+     */
+    function base64urlToBytes(string) {
+        if (typeof string !== 'string' || !/^[A-Za-z0-9_-]*$/.test(string) || string.length % 4 === 1) {
+            throw new SrpInvalidParameterError('message', 'malformed', "message must be a base64url string");
+        }
+        var bytes = new Uint8Array(Math.floor(string.length * 3 / 4));
+        var bits = 0;
+        var value = 0;
+        var index = 0;
+        for (var i = 0; i < string.length; i++) {
+            value = (value << 6) | BASE64URL.indexOf(string.charAt(i));
+            bits += 6;
+            if (bits >= 8) {
+                bits -= 8;
+                bytes[index++] = (value >>> bits) & 0xff;
+            }
+        }
+        return bytes;
+    }
+
+    /**
+     * Concatenates byte arrays.
+     *
+     * @param {...Uint8Array} arrays The byte arrays.
+     * @return {Uint8Array} The concatenation.
+     */
+    function concatBytes() {
+        var length = 0;
+        var i;
+        for (i = 0; i < arguments.length; i++) {
+            length += arguments[i].length;
+        }
+        var result = new Uint8Array(length);
+        var offset = 0;
+        for (i = 0; i < arguments.length; i++) {
+            result.set(arguments[i], offset);
+            offset += arguments[i].length;
+        }
+        return result;
+    }
+
+    /**
+     * The big-endian bytes of a non-negative BigInteger. This is PAD() in
+     * RFC 5054 when a length is given, otherwise the minimal encoding.
+     *
+     * @param {BigInteger} n The value.
+     * @param {number} [length] The number of bytes to left pad with zeros to.
+     * @return {Uint8Array} The bytes.
+     */
+    function bigIntegerToBytes(n, length) {
+        var hex = n.toString(16);
+        if (typeof length === 'number') {
+            hex = padHex(hex, length * 2);
+        }
+        return hexToBytes(hex);
+    }
+
+    return {
+        stripLeadingZeros: stripLeadingZeros,
+        padHex: padHex,
+        canonicalProof: canonicalProof,
+        constantTimeEqual: constantTimeEqual,
+        proofsEqual: proofsEqual,
+        hexToBytes: hexToBytes,
+        bytesToHex: bytesToHex,
+        utf8Bytes: utf8Bytes,
+        utf8String: utf8String,
+        bytesToBase64url: bytesToBase64url,
+        base64urlToBytes: base64urlToBytes,
+        concatBytes: concatBytes,
+        bigIntegerToBytes: bigIntegerToBytes
+    };
+})();
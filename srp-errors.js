@@ -0,0 +1,92 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// Typed errors shared by the client and server sessions. The name is set
+// explicitly rather than read from the constructor so that it survives the
+// minification of the legacy bundle.
+
+/**
+ * Base class of every error thrown by the SRP sessions.
+ *
+ * @param {string} name The error class name.
+ * @param {string} code A stable machine readable error code.
+ * @param {string} message A human readable description.
+ */
+class SrpError extends Error {
+    constructor(name, code, message) {
+        super(message);
+        this.name = name;
+        this.code = code;
+    }
+}
+
+/**
+ * Thrown when a session method is invoked out of order e.g. `step2` before `step1`.
+ *
+ * @param {number} expected The state the session needed to be in.
+ * @param {number} actual The state the session was in.
+ * @param {string} message A human readable description.
+ */
+class SrpStateError extends SrpError {
+    constructor(expected, actual, message) {
+        super('SrpStateError', 'SRP_STATE', message);
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+/**
+ * Thrown when the protocol cannot continue because a computed value is
+ * unusable such as the scrambling parameter u being zero.
+ *
+ * @param {string} message A human readable description.
+ */
+class SrpProtocolError extends SrpError {
+    constructor(message) {
+        super('SrpProtocolError', 'SRP_PROTOCOL', message);
+    }
+}
+
+/**
+ * Thrown when the evidence message of the peer does not match. On the server
+ * this means a wrong password (or unknown user), on the client it means the
+ * server does not know the verifier.
+ *
+ * @param {string} party Either 'client' or 'server', the party whose evidence was rejected.
+ * @param {string} message A human readable description.
+ */
+class SrpBadCredentialsError extends SrpError {
+    constructor(party, message) {
+        super('SrpBadCredentialsError', 'SRP_BAD_CREDENTIALS', message);
+        this.party = party;
+    }
+}
+
+/**
+ * Thrown by the factories when the SRP parameters or options are unusable
+ * e.g. an unknown hash algorithm.
+ *
+ * @param {string} parameter The name of the offending option e.g. 'hash'.
+ * @param {string} message A human readable description.
+ */
+class SrpConfigurationError extends SrpError {
+    constructor(parameter, message) {
+        super('SrpConfigurationError', 'SRP_CONFIGURATION', message);
+        this.parameter = parameter;
+    }
+}
+
+/**
+ * Thrown when a value received from the peer, or passed in by the caller,
+ * is missing, malformed or out of range.
+ *
+ * @param {string} parameter The name of the offending parameter e.g. 'A'.
+ * @param {string} reason One of 'missing', 'not_hex', 'too_long', 'out_of_range', 'malformed' or 'unsupported_version'.
+ * @param {string} message A human readable description.
+ */
+class SrpInvalidParameterError extends SrpError {
+    constructor(parameter, reason, message) {
+        super('SrpInvalidParameterError', 'SRP_INVALID_PARAMETER', message);
+        this.parameter = parameter;
+        this.reason = reason;
+    }
+}
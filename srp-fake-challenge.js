@@ -0,0 +1,101 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// Answers a challenge for an identity that is not registered as if it were,
+// so that neither a 404 nor the time taken tells an attacker which accounts
+// exist. The salt and verifier of a fake record are HKDF (HMAC-SHA-256)
+// outputs of a server secret and the identity:
+//
+//   salt     = HKDF(secret, "thinbus-srp fake salt " + I, hashHexLength / 2)
+//   verifier = HKDF(secret, "thinbus-srp fake verifier " + I, |N| + 16) mod N
+//
+// so repeated challenges for one identity return the same salt, while step1
+// computes a real B from the fake verifier. Nobody knows a password for the
+// verifier so step2 throws SrpBadCredentialsError after the same work as a
+// wrong password. Keep the secret for as long as the salts should be stable.
+// The kdf and kdfParams of a fake record must be those of the real records, or
+// the parameters sent with the salt tell the two apart, so set them with the
+// fakeChallengeParameters option or upgradeTo.
+const srpFakeChallenge = (function() {
+
+    const SALT_INFO = 'thinbus-srp fake salt ';
+    const VERIFIER_INFO = 'thinbus-srp fake verifier ';
+    const MIN_SECRET_LENGTH = 16;
+
+    function secretBytes(secret) {
+        var bytes = typeof secret === 'string' ? srpEncoding.utf8Bytes(secret) : secret;
+        if (!(bytes instanceof Uint8Array) || bytes.length < MIN_SECRET_LENGTH) {
+            throw new SrpConfigurationError('fakeChallengeSecret', 'fakeChallengeSecret must be a string or a Uint8Array of at least ' + MIN_SECRET_LENGTH + ' bytes');
+        }
+        return bytes;
+    }
+
+    function requireParameters(parameters) {
+        if (typeof parameters === 'undefined') {
+            return null;
+        }
+        if (parameters === null || typeof parameters !== 'object' || (parameters.kdf !== null && typeof parameters.kdf !== 'string') ||
+            (parameters.kdf !== null && (typeof parameters.kdfParams !== 'object' || parameters.kdfParams === null))) {
+            throw new SrpConfigurationError('fakeChallengeParameters', 'fakeChallengeParameters must be {kdf, kdfParams} of the records of registered users, or {kdf: null}');
+        }
+        return { kdf: parameters.kdf, kdfParams: parameters.kdf === null ? null : Object.assign({}, parameters.kdfParams) };
+    }
+
+    /**
+     * The fake verifier record of an identity. It has the group, hash and mode
+     * of the session and the kdf of fakeChallengeParameters. Without those it
+     * has the kdf of upgradeTo when that has the same group, hash and mode, as
+     * a new registration would.
+     *
+     * @param {object} session The server session.
+     * @param {string} identity The username.
+     * @param {string|Uint8Array} secret The server secret of at least 16 bytes.
+     * @return {Promise<object>} The record.
+     */
+    async function fakeRecord(session, identity, secret) {
+        srpValidation.requireString(identity, "identity");
+        var ikm = secretBytes(secret);
+        var salt = await srpDeriveKey.hkdf('SHA-256', ikm, SALT_INFO + identity, session.hashHexLength / 2);
+        var length = srpValidation.hexLengthOf(session.N) / 2 + 16;
+        var v = await srpDeriveKey.hkdf('SHA-256', ikm, VERIFIER_INFO + identity, length);
+        var record = srpVerifierRecord.create(session, srpEncoding.bytesToHex(salt),
+            session.toHex(session.fromHex(srpEncoding.bytesToHex(v)).mod(session.N)));
+        var parameters = session.fakeChallengeParameters;
+        var target = session.upgradeTo;
+        if (parameters) {
+            record.kdf = parameters.kdf;
+            record.kdfParams = parameters.kdfParams;
+        } else if (target && target.group === record.group && target.hash === record.hash && target.mode === record.mode) {
+            record.kdf = target.kdf;
+            record.kdfParams = target.kdfParams;
+        }
+        return srpVerifierRecord.parse(record);
+    }
+
+    /**
+     * Copies `step1Unknown(identity)` onto a server session prototype.
+     *
+     * @param {object} prototype The server session class prototype.
+     * @param {string|Uint8Array} secret The server secret of at least 16 bytes.
+     * @param {object} [parameters] The `{kdf, kdfParams}` of the records of registered users.
+     */
+    function install(prototype, secret, parameters) {
+        secretBytes(secret);
+        prototype.fakeChallengeParameters = requireParameters(parameters);
+
+        /**
+         * Runs step1 with the fake record of an identity that is not
+         * registered. Send `record.salt` and B as for a registered user.
+         *
+         * @param {string} identity The username.
+         * @return {Promise<string>} B as hex.
+         */
+        prototype.step1Unknown = async function(identity) {
+            return this.step1(identity, await fakeRecord(this, identity, secret));
+        };
+    }
+
+    return {
+        fakeRecord: fakeRecord,
+        install: install
+    };
+})();
@@ -0,0 +1,175 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// Registry of the hash algorithms 'H' that the client and server factories accept.
+// Both factories resolve the `hash` option through this registry so that the
+// same option always gives the same algorithm on both sides.
+const srpHashes = (function() {
+
+    const ALGORITHMS = {
+        'SHA-1': { name: 'SHA-1', suffix: 'SHA1', node: 'sha1', cryptoJs: 'SHA1', hexLength: 40 },
+        'SHA-256': { name: 'SHA-256', suffix: 'SHA256', node: 'sha256', cryptoJs: 'SHA256', hexLength: 64 },
+        'SHA-384': { name: 'SHA-384', suffix: 'SHA384', node: 'sha384', cryptoJs: 'SHA384', hexLength: 96 },
+        'SHA-512': { name: 'SHA-512', suffix: 'SHA512', node: 'sha512', cryptoJs: 'SHA512', hexLength: 128 }
+    };
+
+    const DEFAULT = 'SHA-256';
+
+    // custom hash names, which may not be a SHA name such as 'SHA-224' as those name built in algorithms
+    const CUSTOM_NAME = /^[A-Za-z][A-Za-z0-9_-]*$/;
+    const SHA_NAME = /^sha-?[0-9]+$/i;
+
+    // accepts 'SHA-256', 'sha256', 'SHA256' and 'sha-256' as the same name
+    function normalise(name) {
+        var match = /^sha-?(1|256|384|512)$/i.exec(("" + name).trim());
+        return match ? 'SHA-' + match[1] : null;
+    }
+
+    // CryptoJS hashes WordArrays of 32-bit big-endian words
+    function toWordArray(bytes) {
+        var words = [];
+        for (var i = 0; i < bytes.length; i++) {
+            words[i >>> 2] |= bytes[i] << (24 - (i % 4) * 8);
+        }
+        return CryptoJS.lib.WordArray.create(words, bytes.length);
+    }
+
+    // hex digest of a UTF-8 string or of bytes using Node.js crypto or browser CryptoJS
+    function digestHex(algorithm, message) {
+        var impl = nodeCrypto || globalThis.nodeCrypto;
+        if (impl) {
+            return impl.createHash(algorithm.node).update(message).digest('hex');
+        } else if (typeof CryptoJS !== 'undefined' && CryptoJS[algorithm.cryptoJs]) {
+            var input = message instanceof Uint8Array ? toWordArray(message) : message;
+            return CryptoJS[algorithm.cryptoJs](input).toString().toLowerCase();
+        }
+        throw new SrpConfigurationError('hash', 'No ' + algorithm.name + ' implementation available - need Node.js crypto or browser CryptoJS');
+    }
+
+    function builtIn(algorithm) {
+        return {
+            name: algorithm.name,
+            suffix: algorithm.suffix,
+            hexLength: algorithm.hexLength,
+            // the name for crypto.subtle.digest which custom hashes do not have
+            webCrypto: algorithm.name,
+            H: function(x) {
+                return digestHex(algorithm, x);
+            }
+        };
+    }
+
+    function custom(name, fn) {
+        if (typeof name !== 'string' || !CUSTOM_NAME.test(name)) {
+            throw new SrpConfigurationError('hash', 'A custom hash function must have a name made of letters, digits, "-" or "_" but got: ' + name);
+        }
+        if (SHA_NAME.test(name)) {
+            throw new SrpConfigurationError('hash', 'A custom hash function may not take the SHA name ' + name + ' of a built in algorithm, pass the name instead');
+        }
+        var H = function(x) {
+            return ("" + fn(x)).toLowerCase();
+        };
+        return {
+            name: name,
+            suffix: name.replace(/-/g, ''),
+            hexLength: H("").length,
+            H: H
+        };
+    }
+
+    /**
+     * Resolves the `hash` factory option.
+     *
+     * @param option Undefined for SHA-256, one of 'SHA-1', 'SHA-256', 'SHA-384'
+     *        or 'SHA-512', a named function returning a lower case hex digest
+     *        of its argument, or an object `{name, H}`. The argument is a string
+     *        or a Uint8Array.
+     * @return {object} `{name, suffix, hexLength, H}` where suffix names the session class
+     *         plus `webCrypto` for the built in algorithms.
+     */
+    function resolve(option) {
+        if (typeof option === 'undefined' || option === null) {
+            return builtIn(ALGORITHMS[DEFAULT]);
+        }
+        if (typeof option === 'string') {
+            var name = normalise(option);
+            if (name === null) {
+                throw new SrpConfigurationError('hash', 'Unknown hash algorithm ' + option + ', expected one of ' + Object.keys(ALGORITHMS).join(', '));
+            }
+            return builtIn(ALGORITHMS[name]);
+        }
+        if (typeof option === 'function') {
+            return custom(option.hashName || option.name, option);
+        }
+        if (typeof option === 'object' && typeof option.H === 'function') {
+            return custom(option.name, option.H);
+        }
+        throw new SrpConfigurationError('hash', 'The hash option must be an algorithm name, a named function or {name, H}');
+    }
+
+    /**
+     * The name that sessions and verifier records use for a hash.
+     *
+     * @param {string} name A hash name such as 'sha256' or a custom hash name.
+     * @return {string|null} The name of a built in algorithm such as 'SHA-256',
+     *         a custom hash name unchanged, or null if no hash can have the name.
+     */
+    function canonicalName(name) {
+        var builtInName = normalise(name);
+        if (builtInName !== null) {
+            return builtInName;
+        }
+        return typeof name === 'string' && CUSTOM_NAME.test(name) && !SHA_NAME.test(name) ? name : null;
+    }
+
+    function isPromise(value) {
+        return value !== null && typeof value === 'object' && typeof value.then === 'function';
+    }
+
+    /**
+     * Hashes with the awaitable 'HAsync' of a session created with
+     * `{async: true}` and else with 'H', so that one routine serves both.
+     *
+     * @param {object} session The session.
+     * @param {string|Uint8Array} message The message.
+     * @return {string|Promise<string>} The lower case hex digest or a promise of it.
+     */
+    function hashOf(session, message) {
+        return typeof session.HAsync === 'function' ? session.HAsync(message) : session.H(message);
+    }
+
+    /**
+     * Passes a value to next at once, or a promise of it once it resolves, so
+     * that a routine written once is synchronous with 'H' and async with 'HAsync'.
+     *
+     * @param {*} value The value or a promise of it.
+     * @param {function} next Takes the value.
+     * @return {*} The result of next or a promise of it.
+     */
+    function when(value, next) {
+        return isPromise(value) ? value.then(next) : next(value);
+    }
+
+    /**
+     * As when for an array of values any of which may be a promise.
+     *
+     * @param {Array} values The values.
+     * @param {function} next Takes the array of values.
+     * @return {*} The result of next or a promise of it.
+     */
+    function whenAll(values, next) {
+        return values.some(isPromise) ? Promise.all(values).then(next) : next(values);
+    }
+
+    return {
+        DEFAULT: DEFAULT,
+        names: function() {
+            return Object.keys(ALGORITHMS);
+        },
+        normalise: normalise,
+        canonicalName: canonicalName,
+        resolve: resolve,
+        hashOf: hashOf,
+        when: when,
+        whenAll: whenAll
+    };
+})();
@@ -0,0 +1,343 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// Password stretching that the client factory applies inside generateX when
+// created with a `kdf` option. The password is replaced by the hex of
+// KDF(P, s) keyed with the bytes of the SRP salt before 'x' is computed so
+// that registration and login always stretch in the same way:
+//
+//   x = H(s | H(I | ":" | hex(KDF(P, s))))
+//
+// PBKDF2-HMAC-SHA256 and scrypt are built in and use Node.js crypto when it is
+// available, WebCrypto PBKDF2 in async sessions, else the pure JavaScript
+// versions below, where async scrypt yields between blocks. Argon2id needs a
+// provider function such as argon2-browser.
+const srpKdf = (function() {
+
+    const ALGORITHMS = {
+        'pbkdf2-sha256': { iterations: 600000, dkLen: 32 },
+        'scrypt': { N: 32768, r: 8, p: 1, dkLen: 32 },
+        'argon2id': { memory: 19456, iterations: 2, parallelism: 1, dkLen: 32 }
+    };
+
+    // how many scrypt blocks the pure JavaScript version mixes between turns of the event loop
+    const YIELD_EVERY = 1024;
+
+    function fail(message) {
+        throw new SrpConfigurationError('kdf', message);
+    }
+
+    function nodeImpl() {
+        return nodeCrypto || globalThis.nodeCrypto || null;
+    }
+
+    function sha256(bytes) {
+        return srpEncoding.hexToBytes(srpEncoding.padHex(srpHashes.resolve('SHA-256').H(bytes), 64));
+    }
+
+    function hmacSha256(key, message) {
+        if (key.length > 64) {
+            key = sha256(key);
+        }
+        var inner = new Uint8Array(64);
+        var outer = new Uint8Array(64);
+        for (var i = 0; i < 64; i++) {
+            var b = i < key.length ? key[i] : 0;
+            inner[i] = b ^ 0x36;
+            outer[i] = b ^ 0x5c;
+        }
+        return sha256(srpEncoding.concatBytes(outer, sha256(srpEncoding.concatBytes(inner, message))));
+    }
+
+    /**
+     * PBKDF2-HMAC-SHA256 of RFC 8018 using the SHA-256 of srpHashes.
+     */
+    function pbkdf2(password, salt, iterations, dkLen) {
+        var impl = nodeImpl();
+        if (impl && typeof impl.pbkdf2Sync === 'function') {
+            return new Uint8Array(impl.pbkdf2Sync(password, salt, iterations, dkLen, 'sha256'));
+        }
+        var out = new Uint8Array(dkLen);
+        for (var block = 1, offset = 0; offset < dkLen; block++, offset += 32) {
+            var u = hmacSha256(password, srpEncoding.concatBytes(salt, new Uint8Array([block >>> 24, (block >>> 16) & 0xff, (block >>> 8) & 0xff, block & 0xff])));
+            var t = u.slice();
+            for (var i = 1; i < iterations; i++) {
+                u = hmacSha256(password, u);
+                for (var j = 0; j < 32; j++) {
+                    t[j] ^= u[j];
+                }
+            }
+            out.set(t.subarray(0, Math.min(32, dkLen - offset)), offset);
+        }
+        return out;
+    }
+
+    function rotl(a, b) {
+        return (a << b) | (a >>> (32 - b));
+    }
+
+    // the Salsa20/8 core applied in place to sixteen words
+    function salsa20_8(B) {
+        var x = B.slice();
+        for (var i = 0; i < 8; i += 2) {
+            x[4] ^= rotl(x[0] + x[12], 7); x[8] ^= rotl(x[4] + x[0], 9);
+            x[12] ^= rotl(x[8] + x[4], 13); x[0] ^= rotl(x[12] + x[8], 18);
+            x[9] ^= rotl(x[5] + x[1], 7); x[13] ^= rotl(x[9] + x[5], 9);
+            x[1] ^= rotl(x[13] + x[9], 13); x[5] ^= rotl(x[1] + x[13], 18);
+            x[14] ^= rotl(x[10] + x[6], 7); x[2] ^= rotl(x[14] + x[10], 9);
+            x[6] ^= rotl(x[2] + x[14], 13); x[10] ^= rotl(x[6] + x[2], 18);
+            x[3] ^= rotl(x[15] + x[11], 7); x[7] ^= rotl(x[3] + x[15], 9);
+            x[11] ^= rotl(x[7] + x[3], 13); x[15] ^= rotl(x[11] + x[7], 18);
+            x[1] ^= rotl(x[0] + x[3], 7); x[2] ^= rotl(x[1] + x[0], 9);
+            x[3] ^= rotl(x[2] + x[1], 13); x[0] ^= rotl(x[3] + x[2], 18);
+            x[6] ^= rotl(x[5] + x[4], 7); x[7] ^= rotl(x[6] + x[5], 9);
+            x[4] ^= rotl(x[7] + x[6], 13); x[5] ^= rotl(x[4] + x[7], 18);
+            x[11] ^= rotl(x[10] + x[9], 7); x[8] ^= rotl(x[11] + x[10], 9);
+            x[9] ^= rotl(x[8] + x[11], 13); x[10] ^= rotl(x[9] + x[8], 18);
+            x[12] ^= rotl(x[15] + x[14], 7); x[13] ^= rotl(x[12] + x[15], 9);
+            x[14] ^= rotl(x[13] + x[12], 13); x[15] ^= rotl(x[14] + x[13], 18);
+        }
+        for (var j = 0; j < 16; j++) {
+            B[j] += x[j];
+        }
+    }
+
+    // scryptBlockMix of RFC 7914 from B into Y
+    function blockMix(B, Y, r) {
+        var X = B.slice((2 * r - 1) * 16, 2 * r * 16);
+        for (var i = 0; i < 2 * r; i++) {
+            for (var j = 0; j < 16; j++) {
+                X[j] ^= B[i * 16 + j];
+            }
+            salsa20_8(X);
+            // even blocks go to the first half and odd blocks to the second
+            Y.set(X, ((i & 1) * r + (i >>> 1)) * 16);
+        }
+    }
+
+    // scryptROMix of RFC 7914 applied in place, pausing every YIELD_EVERY blocks
+    function* roMix(B, N, r) {
+        var words = 32 * r;
+        var V = new Uint32Array(words * N);
+        var X = B.slice();
+        var Y = new Uint32Array(words);
+        for (var i = 0; i < N; i++) {
+            V.set(X, i * words);
+            blockMix(X, Y, r);
+            X.set(Y);
+            if (i % YIELD_EVERY === YIELD_EVERY - 1) {
+                yield;
+            }
+        }
+        for (var n = 0; n < N; n++) {
+            var j = X[(2 * r - 1) * 16] & (N - 1);
+            for (var k = 0; k < words; k++) {
+                X[k] ^= V[j * words + k];
+            }
+            blockMix(X, Y, r);
+            X.set(Y);
+            if (n % YIELD_EVERY === YIELD_EVERY - 1) {
+                yield;
+            }
+        }
+        B.set(X);
+    }
+
+    // the pure JavaScript scrypt as steps that run it and then return the key
+    function* scryptSteps(password, salt, N, r, p, dkLen) {
+        var bytes = pbkdf2(password, salt, 1, p * 128 * r);
+        // the blocks are little-endian words
+        var B = new Uint32Array(bytes.length / 4);
+        for (var i = 0; i < B.length; i++) {
+            B[i] = bytes[i * 4] | (bytes[i * 4 + 1] << 8) | (bytes[i * 4 + 2] << 16) | (bytes[i * 4 + 3] << 24);
+        }
+        for (var j = 0; j < p; j++) {
+            yield* roMix(B.subarray(j * 32 * r, (j + 1) * 32 * r), N, r);
+        }
+        for (var k = 0; k < B.length; k++) {
+            bytes[k * 4] = B[k] & 0xff;
+            bytes[k * 4 + 1] = (B[k] >>> 8) & 0xff;
+            bytes[k * 4 + 2] = (B[k] >>> 16) & 0xff;
+            bytes[k * 4 + 3] = B[k] >>> 24;
+        }
+        return pbkdf2(password, bytes, 1, dkLen);
+    }
+
+    function scryptOptions(N, r, p) {
+        return { N: N, r: r, p: p, maxmem: 256 * N * r + 1024 * p * r };
+    }
+
+    /**
+     * scrypt of RFC 7914.
+     */
+    function scrypt(password, salt, N, r, p, dkLen) {
+        var impl = nodeImpl();
+        if (impl && typeof impl.scryptSync === 'function') {
+            return new Uint8Array(impl.scryptSync(password, salt, dkLen, scryptOptions(N, r, p)));
+        }
+        var steps = scryptSteps(password, salt, N, r, p, dkLen);
+        var step = steps.next();
+        while (!step.done) {
+            step = steps.next();
+        }
+        return step.value;
+    }
+
+    function pause() {
+        return new Promise(function(resolve) {
+            setTimeout(resolve, 0);
+        });
+    }
+
+    /**
+     * scrypt of RFC 7914 which does not block. Node.js crypto runs it in its
+     * thread pool, else the pure JavaScript version gives the event loop a
+     * turn every YIELD_EVERY blocks. It still holds 128 * N * r bytes, 32 MiB
+     * with the defaults, and takes the same CPU time in the page, so a browser
+     * session that should not slow the page at all uses `{worker: true}`.
+     */
+    async function scryptAsync(password, salt, N, r, p, dkLen) {
+        var impl = nodeImpl();
+        if (impl && typeof impl.scrypt === 'function') {
+            return new Uint8Array(await new Promise(function(resolve, reject) {
+                impl.scrypt(password, salt, dkLen, scryptOptions(N, r, p), function(e, key) {
+                    return e ? reject(e) : resolve(key);
+                });
+            }));
+        }
+        var steps = scryptSteps(password, salt, N, r, p, dkLen);
+        var step = steps.next();
+        while (!step.done) {
+            await pause();
+            step = steps.next();
+        }
+        return step.value;
+    }
+
+    // PBKDF2 with WebCrypto else the synchronous version
+    async function pbkdf2Async(password, salt, iterations, dkLen) {
+        var subtle = (typeof globalThis.crypto !== 'undefined' && globalThis.crypto.subtle) || null;
+        if (!subtle) {
+            return pbkdf2(password, salt, iterations, dkLen);
+        }
+        var key = await subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+        var bits = await subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations }, key, dkLen * 8);
+        return new Uint8Array(bits);
+    }
+
+    // a provider may return bytes or hex
+    function providerHex(name, output) {
+        if (output instanceof Uint8Array) {
+            return srpEncoding.bytesToHex(output);
+        }
+        if (typeof output === 'string' && /^[0-9a-fA-F]+$/.test(output)) {
+            return output.toLowerCase();
+        }
+        fail('The ' + name + ' provider must return a Uint8Array or a hex string');
+    }
+
+    function requirePositiveInteger(params, field) {
+        var value = params[field];
+        if (typeof value !== 'number' || value < 1 || Math.floor(value) !== value) {
+            fail('The kdf ' + field + ' must be a positive integer but got: ' + value);
+        }
+    }
+
+    /**
+     * Resolves the `kdf` factory option.
+     *
+     * @param option Undefined for no stretching, a name in ALGORITHMS for its
+     *        defaults, or an object `{name, ...params}` that overrides them. Argon2id
+     *        needs `provider(password, salt, params)` returning a Uint8Array or hex
+     *        string, or a promise of one in async sessions.
+     * @return {object} Null or `{params, derive, deriveAsync}` where params are
+     *         the settings to store with the verifier and derive maps a password
+     *         and hex salt to the hex of the stretched password.
+     */
+    function resolve(option) {
+        if (typeof option === 'undefined' || option === null) {
+            return null;
+        }
+        if (typeof option === 'string') {
+            option = { name: option };
+        }
+        if (typeof option !== 'object' || !ALGORITHMS.hasOwnProperty(option.name)) {
+            fail('Unknown kdf ' + (option && option.name) + ', expected one of ' + Object.keys(ALGORITHMS).join(', '));
+        }
+        var name = option.name;
+        var params = { name: name };
+        Object.keys(ALGORITHMS[name]).forEach(function(field) {
+            params[field] = typeof option[field] === 'undefined' ? ALGORITHMS[name][field] : option[field];
+            requirePositiveInteger(params, field);
+        });
+        if (name === 'scrypt' && (params.N < 2 || (params.N & (params.N - 1)) !== 0)) {
+            fail('The scrypt N must be a power of two greater than one but got: ' + params.N);
+        }
+        var provider = option.provider;
+        if (name === 'argon2id' && typeof provider !== 'function') {
+            fail('argon2id needs a provider function, e.g. one wrapping argon2-browser or the argon2 package');
+        }
+
+        function inputs(password, salt) {
+            return [srpEncoding.utf8Bytes(password), srpEncoding.hexToBytes(salt)];
+        }
+
+        return {
+            params: params,
+            provider: provider || null,
+            derive: function(password, salt) {
+                var bytes = inputs(password, salt);
+                if (name === 'pbkdf2-sha256') {
+                    return srpEncoding.bytesToHex(pbkdf2(bytes[0], bytes[1], params.iterations, params.dkLen));
+                }
+                if (name === 'scrypt') {
+                    return srpEncoding.bytesToHex(scrypt(bytes[0], bytes[1], params.N, params.r, params.p, params.dkLen));
+                }
+                var output = provider(bytes[0], bytes[1], params);
+                if (output && typeof output.then === 'function') {
+                    fail('The argon2id provider returned a promise, use {async: true} or a synchronous provider');
+                }
+                return providerHex(name, output);
+            },
+            deriveAsync: async function(password, salt) {
+                var bytes = inputs(password, salt);
+                if (name === 'pbkdf2-sha256') {
+                    return srpEncoding.bytesToHex(await pbkdf2Async(bytes[0], bytes[1], params.iterations, params.dkLen));
+                }
+                if (name === 'scrypt') {
+                    return srpEncoding.bytesToHex(await scryptAsync(bytes[0], bytes[1], params.N, params.r, params.p, params.dkLen));
+                }
+                return providerHex(name, await provider(bytes[0], bytes[1], params));
+            }
+        };
+    }
+
+    /**
+     * Copies the KDF onto a client session prototype as `kdf`, the settings to
+     * store with the salt and verifier, and `stretchPassword(salt, password)`
+     * which generateX applies before hashing.
+     *
+     * @param {object} prototype The session class prototype.
+     * @param {object} kdf The resolved kdf or null.
+     * @param {boolean} isAsync Whether stretchPassword returns a promise.
+     */
+    function install(prototype, kdf, isAsync) {
+        prototype.kdf = kdf ? kdf.params : null;
+        prototype.stretchPassword = function(salt, password) {
+            if (kdf === null) {
+                return password;
+            }
+            return isAsync ? kdf.deriveAsync(password, salt) : kdf.derive(password, salt);
+        };
+    }
+
+    return {
+        names: function() {
+            return Object.keys(ALGORITHMS);
+        },
+        pbkdf2: pbkdf2,
+        scrypt: scrypt,
+        scryptAsync: scryptAsync,
+        resolve: resolve,
+        install: install
+    };
+})();
@@ -0,0 +1,165 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// Signs API requests after a login so that every call proves possession of
+// the SRP session key rather than of a cookie. The client signs with an
+// HMAC-SHA-256 key from deriveKey and sends the signature as an Authorization
+// header. The server recomputes it and rejects stale timestamps and nonces
+// that it has already seen:
+//
+//   Authorization: SRP-HMAC t=<ms since epoch>, n=<nonce>, s=<base64url signature>
+//   signature = HMAC(key, METHOD "\n" path "\n" hex(SHA-256(body)) "\n" t "\n" n)
+const srpRequestSigning = (function() {
+
+    const SCHEME = 'SRP-HMAC';
+    const INFO = 'thinbus-srp request signing';
+    const HEADER_PATTERN = /^SRP-HMAC t=([0-9]{1,16}), n=([0-9a-f]{32}), s=([A-Za-z0-9_-]{43})$/;
+    // five minutes either side of the server clock
+    const DEFAULT_WINDOW_MS = 300000;
+
+    function subtle() {
+        var impl = (typeof globalThis.crypto !== 'undefined' && globalThis.crypto.subtle) || null;
+        if (!impl) {
+            throw new SrpConfigurationError('signing', 'Request signing needs WebCrypto crypto.subtle');
+        }
+        return impl;
+    }
+
+    async function canonical(request, timestamp, nonce) {
+        srpValidation.requireString(request.method, "method");
+        srpValidation.requireString(request.path, "path");
+        var body = typeof request.body === 'undefined' || request.body === null ? new Uint8Array(0) : request.body;
+        if (typeof body === 'string') {
+            body = srpEncoding.utf8Bytes(body);
+        } else if (!(body instanceof Uint8Array)) {
+            throw new SrpInvalidParameterError('body', 'malformed', "body must be a string or a Uint8Array");
+        }
+        var bodyHash = srpEncoding.bytesToHex(new Uint8Array(await subtle().digest('SHA-256', body)));
+        return srpEncoding.utf8Bytes([request.method.toUpperCase(), request.path, bodyHash, timestamp, nonce].join('\n'));
+    }
+
+    /**
+     * Signs the requests of a client after step3. Use createRequestSigner
+     * rather than this constructor.
+     *
+     * @param {CryptoKey} key The HMAC key.
+     * @param {function} now Returns the time in milliseconds.
+     */
+    function RequestSigner(key, now) {
+        this.key = key;
+        this.now = now;
+    }
+
+    /**
+     * Signs a request.
+     *
+     * @param {object} request `{method, path, body}` where path includes any query
+     *        string and body is a string, Uint8Array or absent.
+     * @return {Promise<string>} The value of the Authorization header.
+     */
+    RequestSigner.prototype.sign = async function(request) {
+        var timestamp = "" + this.now();
+        var nonce = randomStrings.hex(32);
+        var signature = await subtle().sign('HMAC', this.key, await canonical(request, timestamp, nonce));
+        return SCHEME + ' t=' + timestamp + ', n=' + nonce + ', s=' + srpEncoding.bytesToBase64url(new Uint8Array(signature));
+    };
+
+    /**
+     * Checks the signed requests of a client at a server after step2. Use
+     * createRequestVerifier rather than this constructor.
+     *
+     * @param {CryptoKey} key The HMAC key.
+     * @param {function} now Returns the time in milliseconds.
+     * @param {number} windowMs How far a timestamp may be from now.
+     */
+    function RequestVerifier(key, now, windowMs) {
+        this.key = key;
+        this.now = now;
+        this.windowMs = windowMs;
+        // nonce to timestamp of the requests inside the window
+        this.seen = {};
+    }
+
+    RequestVerifier.prototype.forget = function(now) {
+        var seen = this.seen;
+        var oldest = now - this.windowMs;
+        Object.keys(seen).forEach(function(nonce) {
+            if (seen[nonce] < oldest) {
+                delete seen[nonce];
+            }
+        });
+    };
+
+    /**
+     * Checks the signature of a request.
+     *
+     * @param {object} request `{method, path, body, authorization}` as received.
+     * @return {Promise<boolean>} True when the request is signed by the client of this login.
+     * @throws SrpInvalidParameterError If the authorization header is missing or malformed.
+     * @throws SrpProtocolError If the timestamp is outside the window or the nonce was seen before.
+     * @throws SrpBadCredentialsError If the signature is wrong.
+     */
+    RequestVerifier.prototype.verify = async function(request) {
+        srpValidation.requireValue(request, "request");
+        srpValidation.requireString(request.authorization, "authorization");
+        var match = HEADER_PATTERN.exec(request.authorization);
+        if (match === null) {
+            throw new SrpInvalidParameterError('authorization', 'malformed', "authorization must be " + SCHEME + " t=<timestamp>, n=<nonce>, s=<signature>");
+        }
+        var now = this.now();
+        var timestamp = parseInt(match[1], 10);
+        if (Math.abs(now - timestamp) > this.windowMs) {
+            throw new SrpProtocolError("The request timestamp " + timestamp + " is more than " + this.windowMs + "ms from the server time " + now);
+        }
+        this.forget(now);
+        if (Object.prototype.hasOwnProperty.call(this.seen, match[2])) {
+            throw new SrpProtocolError("The request nonce has been used before");
+        }
+        var valid = await subtle().verify('HMAC', this.key, srpEncoding.base64urlToBytes(match[3]), await canonical(request, match[1], match[2]));
+        if (!valid) {
+            throw new SrpBadCredentialsError('client', "The request signature is wrong");
+        }
+        // only a valid request uses up its nonce and concurrent replays are caught here
+        if (Object.prototype.hasOwnProperty.call(this.seen, match[2])) {
+            throw new SrpProtocolError("The request nonce has been used before");
+        }
+        this.seen[match[2]] = timestamp;
+        return true;
+    };
+
+    function clock(options) {
+        return typeof options.now === 'function' ? options.now : function() {
+            return Date.now();
+        };
+    }
+
+    /**
+     * Copies `createRequestSigner(options)` onto a client session prototype or
+     * `createRequestVerifier(options)` onto a server session prototype. The
+     * options may have `now()` returning milliseconds and, for the verifier,
+     * `windowMs` which defaults to five minutes.
+     *
+     * @param {object} prototype The session class prototype with deriveKey installed.
+     * @param {string} party Either 'client' or 'server'.
+     */
+    function install(prototype, party) {
+        if (party === 'client') {
+            prototype.createRequestSigner = async function(options) {
+                options = options || {};
+                return new RequestSigner(await this.deriveKey(INFO, 32, 'HMAC'), clock(options));
+            };
+        } else {
+            prototype.createRequestVerifier = async function(options) {
+                options = options || {};
+                var windowMs = typeof options.windowMs === 'number' ? options.windowMs : DEFAULT_WINDOW_MS;
+                return new RequestVerifier(await this.deriveKey(INFO, 32, 'HMAC'), clock(options), windowMs);
+            };
+        }
+    }
+
+    return {
+        SCHEME: SCHEME,
+        RequestSigner: RequestSigner,
+        RequestVerifier: RequestVerifier,
+        install: install
+    };
+})();
@@ -0,0 +1,160 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// RFC 5054 routines that the factories mix into the session classes when
+// created with `{mode: 'rfc5054'}`. The default Thinbus routines hash hex strings
+// with leading zeros stripped, these hash the big-endian bytes as the RFCs do
+// so that a client can talk to any standard SRP-6a server:
+//
+//   x  = H(s | H(I | ":" | P))
+//   u  = H(PAD(A) | PAD(B))
+//   K  = H(S)
+//   M1 = H(H(N) xor H(g) | H(I) | s | A | B | K)
+//   M2 = H(A | M1 | K)
+//
+// k = H(N | PAD(g)) is the same in both modes. Evidence messages are sent as
+// full length hex strings. The routines serve the synchronous sessions and,
+// through srpHashes.hashOf, the awaitable sessions of `{async: true}`.
+const srpRfc5054 = (function() {
+
+    const MODES = ['thinbus', 'rfc5054'];
+
+    // PAD() pads to the byte length of N
+    function padLength(session) {
+        return Math.ceil(session.N.bitLength() / 8);
+    }
+
+    // H of bytes as bytes, or a promise of them for an async session
+    function hashBytes(session, bytes) {
+        return srpHashes.when(srpHashes.hashOf(session, bytes), function(hex) {
+            return srpEncoding.hexToBytes(srpEncoding.padHex(hex, session.hashHexLength));
+        });
+    }
+
+    function valueBytes(session, hex) {
+        return srpEncoding.bigIntegerToBytes(session.fromHex(hex));
+    }
+
+    // each routine hashes with srpHashes.hashOf so it returns a promise for a session created with {async: true}
+    const routines = {
+        /**
+         * Computes x = H(s | H(I | ":" | P)) over the salt bytes and the UTF-8
+         * bytes of the identity and password. Unlike the Thinbus routine 'x'
+         * is not reduced mod N. The password is first stretched by any kdf.
+         */
+        generateX: function(salt, identity, password) {
+            srpValidation.requireSalt(salt, "salt");
+            srpValidation.requireString(identity, "identity");
+            srpValidation.requireString(password, "password");
+            this.salt = salt;
+            var session = this;
+            return srpHashes.when(this.stretchPassword(salt, password), function(stretched) {
+                return srpHashes.when(hashBytes(session, srpEncoding.utf8Bytes(identity + ':' + stretched)), function(inner) {
+                    return srpHashes.when(srpHashes.hashOf(session, srpEncoding.concatBytes(srpEncoding.hexToBytes(salt), inner)), function(hash) {
+                        session.x = session.fromHex(hash);
+                        return session.x;
+                    });
+                });
+            });
+        },
+
+        /**
+         * Computes u = H(PAD(A) | PAD(B)).
+         */
+        computeU: function(Astr, Bstr) {
+            var maxLength = srpValidation.hexLengthOf(this.N);
+            srpValidation.requireHex(Astr, "A", maxLength);
+            srpValidation.requireHex(Bstr, "B", maxLength);
+            var length = padLength(this);
+            var session = this;
+            return srpHashes.when(srpHashes.hashOf(this, srpEncoding.concatBytes(
+                srpEncoding.bigIntegerToBytes(this.fromHex(Astr), length),
+                srpEncoding.bigIntegerToBytes(this.fromHex(Bstr), length))), function(hash) {
+                var u = session.fromHex(hash);
+                if (u.signum() === 0) {
+                    throw new SrpProtocolError("SRP6Exception bad shared public value 'u' as u==0");
+                }
+                return u;
+            });
+        },
+
+        /**
+         * Computes K = H(S) over the bytes of 'S'.
+         */
+        computeK: function(S) {
+            return srpHashes.hashOf(this, srpEncoding.bigIntegerToBytes(S));
+        },
+
+        /**
+         * Computes M1 = H(H(N) xor H(g) | H(I) | s | A | B | K) as in RFC 2945.
+         */
+        computeM1: function(Astr, Bstr, S) {
+            var session = this;
+            return srpHashes.whenAll([
+                hashBytes(this, srpEncoding.bigIntegerToBytes(this.N)),
+                hashBytes(this, srpEncoding.bigIntegerToBytes(this.g)),
+                hashBytes(this, srpEncoding.utf8Bytes(this.I)),
+                this.computeK(S)
+            ], function(hashes) {
+                var hN = hashes[0];
+                var hg = hashes[1];
+                var hNxorg = new Uint8Array(hN.length);
+                for (var i = 0; i < hN.length; i++) {
+                    hNxorg[i] = hN[i] ^ hg[i];
+                }
+                return srpHashes.hashOf(session, srpEncoding.concatBytes(
+                    hNxorg,
+                    hashes[2],
+                    srpEncoding.hexToBytes(session.salt),
+                    valueBytes(session, Astr),
+                    valueBytes(session, Bstr),
+                    srpEncoding.hexToBytes(hashes[3])));
+            });
+        },
+
+        /**
+         * Computes M2 = H(A | M1 | K) as in RFC 2945.
+         */
+        computeM2: function(Astr, M1str, S) {
+            var session = this;
+            return srpHashes.when(this.computeK(S), function(K) {
+                return srpHashes.hashOf(session, srpEncoding.concatBytes(
+                    valueBytes(session, Astr),
+                    srpEncoding.hexToBytes(srpEncoding.padHex(M1str, session.hashHexLength)),
+                    srpEncoding.hexToBytes(K)));
+            });
+        }
+    };
+
+    /**
+     * Resolves the `mode` factory option.
+     *
+     * @param {string} [option] Either 'thinbus' (the default) or 'rfc5054'.
+     * @return {string} The mode.
+     */
+    function resolveMode(option) {
+        if (typeof option === 'undefined' || option === null) {
+            return MODES[0];
+        }
+        if (MODES.indexOf(option) < 0) {
+            throw new SrpConfigurationError('mode', 'Unknown mode ' + option + ', expected one of ' + MODES.join(', '));
+        }
+        return option;
+    }
+
+    /**
+     * Copies the RFC 5054 routines onto a session prototype.
+     *
+     * @param {object} prototype The session class prototype.
+     * @param {string[]} names The routines the session uses.
+     */
+    function install(prototype, names) {
+        names.forEach(function(name) {
+            prototype[name] = routines[name];
+        });
+    }
+
+    return {
+        resolveMode: resolveMode,
+        install: install
+    };
+})();
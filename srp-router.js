@@ -0,0 +1,415 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// A Connect style middleware that serves the SRP endpoints so that services do
+// not each copy the e2e test server. It works with Express, Connect or a bare
+// Node.js http server and needs no other package. Every endpoint is a POST of
+// JSON relative to where the router is mounted:
+//
+//   /register      {username, record}       201 {username}
+//   /challenge     {username, [captcha]}    200 {challengeId, salt, B, parameters}
+//   /authenticate  {challengeId, A, M1}     200 {M2, sessionId, expiresAt}
+//   /logout        {sessionId}              204
+//
+// Failures are JSON `{error, message}` with a stable error code. Failed logins
+// are throttled by username and client address with srpThrottle.
+const srpRouter = (function() {
+
+    const DEFAULT_GROUP = 'rfc5054-2048';
+    // thirty minutes as the e2e test server
+    const DEFAULT_SESSION_TTL_MS = 1800000;
+    const DEFAULT_BODY_LIMIT = 16384;
+    const SESSION_PREFIX = 'session:';
+
+    const USERNAME = { type: 'string', minLength: 1, maxLength: 256 };
+    const HEX = { type: 'string', minLength: 1, maxLength: 8192, pattern: '^[0-9a-fA-F]+$' };
+    const ID = { type: 'string', pattern: '^[0-9a-f]{32}$' };
+
+    // the JSON Schemas of the request bodies
+    const SCHEMAS = {
+        register: {
+            type: 'object',
+            properties: { username: USERNAME, record: { type: 'object' } },
+            required: ['username', 'record'],
+            additionalProperties: false
+        },
+        challenge: {
+            type: 'object',
+            properties: { username: USERNAME, captcha: { type: 'string', minLength: 1, maxLength: 4096 } },
+            required: ['username'],
+            additionalProperties: false
+        },
+        authenticate: {
+            type: 'object',
+            properties: { challengeId: ID, A: HEX, M1: HEX },
+            required: ['challengeId', 'A', 'M1'],
+            additionalProperties: false
+        },
+        logout: {
+            type: 'object',
+            properties: { sessionId: ID },
+            required: ['sessionId'],
+            additionalProperties: false
+        }
+    };
+
+    /**
+     * An error response.
+     *
+     * @param {number} status The HTTP status.
+     * @param {string} error A stable error code e.g. 'invalid_request'.
+     * @param {string} message A human readable description.
+     * @param {object} [details] Further fields of the response body.
+     */
+    class SrpHttpError extends Error {
+        constructor(status, error, message, details) {
+            super(message);
+            this.name = 'SrpHttpError';
+            this.status = status;
+            this.error = error;
+            this.details = details || {};
+        }
+    }
+
+    function invalid(message) {
+        return new SrpHttpError(400, 'invalid_request', message);
+    }
+
+    function typeOf(value) {
+        return value === null ? 'null' : (Array.isArray(value) ? 'array' : typeof value);
+    }
+
+    /**
+     * Checks a value against the subset of JSON Schema used by SCHEMAS.
+     *
+     * @param {*} value The parsed JSON.
+     * @param {object} schema The schema.
+     * @param {string} [path] The name of the value in errors.
+     * @throws SrpHttpError 400 invalid_request If the value does not match.
+     */
+    function validate(value, schema, path) {
+        path = path || 'body';
+        if (typeOf(value) !== schema.type) {
+            throw invalid(path + ' must be of type ' + schema.type);
+        }
+        if (schema.type === 'string') {
+            if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+                throw invalid(path + ' must not be empty');
+            }
+            if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+                throw invalid(path + ' must be at most ' + schema.maxLength + ' characters');
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                throw invalid(path + ' must match ' + schema.pattern);
+            }
+        }
+        if (schema.type === 'object' && schema.properties) {
+            (schema.required || []).forEach(function(name) {
+                if (!Object.prototype.hasOwnProperty.call(value, name)) {
+                    throw invalid(path + '.' + name + ' is required');
+                }
+            });
+            Object.keys(value).forEach(function(name) {
+                if (!Object.prototype.hasOwnProperty.call(schema.properties, name)) {
+                    if (schema.additionalProperties === false) {
+                        throw invalid(path + '.' + name + ' is not allowed');
+                    }
+                    return;
+                }
+                validate(value[name], schema.properties[name], path + '.' + name);
+            });
+        }
+        return value;
+    }
+
+    // the parsed body of Express or Connect with a JSON parser, else read here
+    function readBody(req, limit) {
+        if (typeof req.body !== 'undefined') {
+            return Promise.resolve(req.body);
+        }
+        return new Promise(function(resolve, reject) {
+            var chunks = [];
+            var length = 0;
+            req.on('data', function(chunk) {
+                length += chunk.length;
+                if (length > limit) {
+                    reject(new SrpHttpError(413, 'payload_too_large', 'The body must be at most ' + limit + ' bytes'));
+                    return;
+                }
+                chunks.push(typeof chunk === 'string' ? srpEncoding.utf8Bytes(chunk) : new Uint8Array(chunk));
+            });
+            req.on('error', reject);
+            req.on('end', function() {
+                if (length > limit) {
+                    return;
+                }
+                var text = srpEncoding.utf8String(srpEncoding.concatBytes.apply(null, chunks));
+                try {
+                    resolve(text === '' ? {} : JSON.parse(text));
+                } catch (e) {
+                    reject(invalid('The body is not JSON: ' + e.message));
+                }
+            });
+        });
+    }
+
+    function send(res, status, body) {
+        res.statusCode = status;
+        if (typeof body === 'undefined') {
+            res.end();
+            return;
+        }
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-store');
+        res.end(JSON.stringify(body));
+    }
+
+    // the status and error code of a failure of the sessions or stores
+    function toHttpError(e) {
+        if (e instanceof SrpHttpError) {
+            return e;
+        }
+        if (e instanceof SrpInvalidParameterError) {
+            return new SrpHttpError(400, 'invalid_request', e.message);
+        }
+        if (e instanceof SrpBadCredentialsError || e instanceof SrpProtocolError || e instanceof SrpStateError) {
+            // one response for a wrong password, a replay or an expired challenge
+            return new SrpHttpError(401, 'authentication_failed', 'Authentication failed');
+        }
+        return null;
+    }
+
+    // the verifier parameters that the client needs to register or log in
+    function parametersOf(record) {
+        var parameters = {};
+        Object.keys(record).forEach(function(field) {
+            if (field !== 'version' && field !== 'salt' && field !== 'verifier') {
+                parameters[field] = record[field];
+            }
+        });
+        return parameters;
+    }
+
+    /**
+     * Creates the middleware.
+     *
+     * @param {function} factory The server session factory.
+     * @param {object} options `{userStore, challengeStore, group, hash, mode}` and further options:
+     * @param {object} options.userStore The UserStore of verifier records, see srpUserStore.
+     * @param {object} [options.challengeStore] The ChallengeStore of challenges, see srpChallengeStore.
+     *        The default is an lruStore in the memory of this process.
+     * @param {object} [options.sessionStore] The ChallengeStore of logins, default another lruStore, so
+     *        that a flood of challenges cannot evict the logins.
+     * @param {string} [options.group] The group id, default 'rfc5054-2048'.
+     * @param {number} [options.sessionTtl] How long a login lasts, default thirty minutes.
+     * @param {boolean} [options.registration] False to turn off /register.
+     * @param {function} [options.onAuthenticated] `(login, req)` after a login where login is
+     *        `{username, sessionId, sessionKey, server}`. An object it resolves is added to the response.
+     * @param {number} [options.limit] The largest body read in bytes, default 16384.
+     * @param {object|boolean} [options.throttle] A throttle from srpThrottle.create, or false to not throttle.
+     *        The default counts failures in the memory of this process.
+     * @param {function} [options.clientAddress] `(req)` the address to throttle, default req.ip or the socket address.
+     * @param {function} [options.verifyCaptcha] `(captcha, req)` resolving true for a solved CAPTCHA. Without it
+     *        the throttle does not ask for a CAPTCHA.
+     * @param {string|Uint8Array} [options.fakeChallengeSecret] The secret of the fake challenges of unknown
+     *        usernames, see srpFakeChallenge. Required with a challengeStore, as processes that share challenges
+     *        must give an unknown username the same salt. The default is random so their salts change when the
+     *        process restarts.
+     * @param {object} [options.fakeChallengeParameters] The `{kdf, kdfParams}` of the records of registered users
+     *        for the fake challenges. Without it they take the kdf of upgradeTo.
+     * @return {function} `(req, res, next)` with `getSession(sessionId)` resolving `{username, sessionKey, expiresAt}` or null.
+     * @throws SrpConfigurationError If a store is missing a method, or there is a challengeStore without a fakeChallengeSecret.
+     */
+    function create(factory, options) {
+        options = options || {};
+        var userStore = srpUserStore.requireStore(options.userStore);
+        if (options.challengeStore && !options.fakeChallengeSecret) {
+            throw new SrpConfigurationError('fakeChallengeSecret', 'A router with a challengeStore needs the fakeChallengeSecret that every process shares, else each process gives an unknown username another salt');
+        }
+        var now = typeof options.now === 'function' ? options.now : Date.now;
+        var challengeStore = srpChallengeStore.requireStore(options.challengeStore || srpChallengeStore.lruStore({ now: now }));
+        var sessionStore = srpChallengeStore.requireStore(options.sessionStore || srpChallengeStore.lruStore({ now: now }), 'sessionStore');
+        var sessionTtl = typeof options.sessionTtl === 'number' ? options.sessionTtl : DEFAULT_SESSION_TTL_MS;
+        var limit = typeof options.limit === 'number' ? options.limit : DEFAULT_BODY_LIMIT;
+        var factoryOptions = { userStore: userStore, fakeChallengeSecret: options.fakeChallengeSecret || randomStrings.hex(64) };
+        ['hash', 'mode', 'bigint', 'upgradeTo', 'fakeChallengeParameters', 'challengeTtl', 'consumeChallenge', 'now'].forEach(function(name) {
+            if (typeof options[name] !== 'undefined') {
+                factoryOptions[name] = options[name];
+            }
+        });
+        var Session = factory.fromGroup(options.group || DEFAULT_GROUP, factoryOptions);
+        var throttle = options.throttle === false ? null : (options.throttle || srpThrottle.create({ now: now }));
+
+        function clientOf(req) {
+            if (typeof options.clientAddress === 'function') {
+                return options.clientAddress(req);
+            }
+            return req.ip || (req.socket && req.socket.remoteAddress) || null;
+        }
+
+        // refuses an attempt that the throttle does not allow, where begin also claims it for one step2
+        async function requireAllowed(attempt, begin) {
+            if (throttle === null) {
+                return;
+            }
+            var decision = begin ? await throttle.begin(attempt) : await throttle.check(attempt);
+            if (!decision.allowed) {
+                var captcha = decision.reason === 'captcha_required';
+                throw new SrpHttpError(429, captcha ? 'captcha_required' : 'too_many_attempts',
+                    captcha ? 'Solve the CAPTCHA and try again' :
+                        decision.reason === 'in_progress' ? 'Another login is in progress, try again later' : 'Too many failed logins, try again later',
+                    { retryAfter: Math.ceil(decision.retryAfter / 1000), captchaRequired: decision.captchaRequired });
+            }
+        }
+
+        function parseRecord(record) {
+            var parsed;
+            try {
+                parsed = srpVerifierRecord.parse(record);
+                srpVerifierRecord.requireMatch(Session.prototype, parsed);
+            } catch (e) {
+                throw invalid('record ' + e.message);
+            }
+            return parsed;
+        }
+
+        var handlers = {
+            register: async function(body) {
+                if (options.registration === false) {
+                    throw new SrpHttpError(404, 'not_found', 'Registration is turned off');
+                }
+                var record = parseRecord(body.record);
+                var created = false;
+                // one update so that two registrations of a name cannot both succeed
+                await userStore.update(body.username, function(current) {
+                    created = current === null;
+                    return created ? record : undefined;
+                });
+                if (!created) {
+                    throw new SrpHttpError(409, 'user_exists', 'The username is already registered');
+                }
+                return [201, { username: body.username }];
+            },
+
+            challenge: async function(body, req) {
+                var solved = typeof options.verifyCaptcha !== 'function' ||
+                    (typeof body.captcha === 'string' && await options.verifyCaptcha(body.captcha, req) === true);
+                await requireAllowed({ identity: body.username, client: clientOf(req), captchaSolved: solved });
+                var server = new Session();
+                // an unknown username gets a fake challenge that fails at /authenticate as a wrong password
+                var B = await server.step1FromStore(body.username);
+                var record = server.record;
+                var challengeId = randomStrings.hex(32);
+                await challengeStore.set(challengeId, server.toPrivateStoreState(), server.ttl);
+                return [200, { challengeId: challengeId, salt: record.salt, B: B, parameters: parametersOf(record) }];
+            },
+
+            authenticate: async function(body, req) {
+                // taken so that a challenge id is only ever tried once
+                var state = await challengeStore.take(body.challengeId);
+                if (state === null || typeof state === 'undefined') {
+                    throw new SrpHttpError(401, 'authentication_failed', 'Authentication failed');
+                }
+                var server = new Session();
+                server.fromPrivateStoreState(state);
+                // the CAPTCHA was checked for the challenge
+                var attempt = { identity: server.getUserID(), client: clientOf(req), captchaSolved: true };
+                // one step2 of the identity and client at a time so that each sees the failures before it
+                await requireAllowed(attempt, true);
+                var M2;
+                try {
+                    M2 = await server.step2Async(body.A, body.M1);
+                    if (throttle !== null) {
+                        await throttle.success(attempt);
+                    }
+                } catch (e) {
+                    if (throttle !== null && e instanceof SrpBadCredentialsError) {
+                        await throttle.failure(attempt);
+                    }
+                    throw e;
+                } finally {
+                    if (throttle !== null) {
+                        await throttle.end(attempt);
+                    }
+                }
+                var sessionId = randomStrings.hex(32);
+                var login = { username: server.getUserID(), sessionKey: server.getSessionKey(), expiresAt: now() + sessionTtl };
+                await sessionStore.set(SESSION_PREFIX + sessionId, login, sessionTtl);
+                var response = { M2: M2, sessionId: sessionId, expiresAt: login.expiresAt };
+                if (typeof options.onAuthenticated === 'function') {
+                    var extra = await options.onAuthenticated({ username: login.username, sessionId: sessionId, sessionKey: login.sessionKey, server: server }, req);
+                    Object.keys(extra || {}).forEach(function(name) {
+                        response[name] = extra[name];
+                    });
+                }
+                return [200, response];
+            },
+
+            logout: async function(body) {
+                await sessionStore.delete(SESSION_PREFIX + body.sessionId);
+                return [204];
+            }
+        };
+
+        async function handle(name, req, res) {
+            var body = validate(await readBody(req, limit), SCHEMAS[name]);
+            var result = await handlers[name](body, req);
+            send(res, result[0], result[1]);
+        }
+
+        function router(req, res, next) {
+            var name = (req.url || '').split('?')[0].replace(/^\/+|\/+$/g, '');
+            if (!Object.prototype.hasOwnProperty.call(handlers, name)) {
+                if (typeof next === 'function') {
+                    next();
+                } else {
+                    send(res, 404, { error: 'not_found', message: 'No SRP endpoint ' + req.url });
+                }
+                return;
+            }
+            if (req.method !== 'POST') {
+                res.setHeader('Allow', 'POST');
+                send(res, 405, { error: 'method_not_allowed', message: 'Use POST' });
+                return;
+            }
+            handle(name, req, res).catch(function(e) {
+                var failure = toHttpError(e);
+                if (failure !== null) {
+                    if (failure.details.retryAfter > 0) {
+                        res.setHeader('Retry-After', String(failure.details.retryAfter));
+                    }
+                    send(res, failure.status, Object.assign({ error: failure.error, message: failure.message }, failure.details));
+                } else if (typeof next === 'function') {
+                    next(e);
+                } else {
+                    send(res, 500, { error: 'server_error', message: 'Internal server error' });
+                }
+            });
+        }
+
+        // the throttle to listen to its events, or null
+        router.throttle = throttle;
+
+        /**
+         * Looks up a login by the sessionId that /authenticate returned.
+         *
+         * @param {string} sessionId The session id.
+         * @return {Promise<object>} `{username, sessionKey, expiresAt}` or null when unknown, logged out or expired.
+         */
+        router.getSession = async function(sessionId) {
+            if (typeof sessionId !== 'string' || !new RegExp(ID.pattern).test(sessionId)) {
+                return null;
+            }
+            var login = await sessionStore.get(SESSION_PREFIX + sessionId);
+            return login && login.expiresAt >= now() ? login : null;
+        };
+
+        return router;
+    }
+
+    return {
+        SCHEMAS: SCHEMAS,
+        SrpHttpError: SrpHttpError,
+        validate: validate,
+        create: create
+    };
+})();
@@ -0,0 +1,128 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// Seals the private store state of a server session between step1 and step2
+// so that it can be kept in a shared cache, or even sent through the client,
+// without exposing 'b' and 'v'. The client seals its toState the same way. The
+// secret is stretched with HKDF into an AES-256-GCM key and a key id. A token
+// is the base64url of:
+//
+//   version (1) | key id (4) | iv (12) | AES-GCM ciphertext and tag (16)
+//
+// where the version and key id are authenticated. To rotate keys pass an array
+// of secrets: the first seals and any of them opens a token by its key id.
+const srpSealedState = (function() {
+
+    const VERSION = 1;
+    const HEADER_LENGTH = 5;
+    const IV_LENGTH = 12;
+    const MIN_SECRET_LENGTH = 16;
+
+    function subtle() {
+        var impl = (typeof globalThis.crypto !== 'undefined' && globalThis.crypto.subtle) || null;
+        if (!impl) {
+            throw new SrpConfigurationError('secret', 'A sealed state needs WebCrypto crypto.subtle');
+        }
+        return impl;
+    }
+
+    function secretBytes(secret) {
+        var bytes = typeof secret === 'string' ? srpEncoding.utf8Bytes(secret) : secret;
+        if (!(bytes instanceof Uint8Array) || bytes.length < MIN_SECRET_LENGTH) {
+            throw new SrpConfigurationError('secret', 'Each secret must be a string or a Uint8Array of at least ' + MIN_SECRET_LENGTH + ' bytes');
+        }
+        return bytes;
+    }
+
+    /**
+     * The keys of one or more server secrets.
+     *
+     * @param {string|Uint8Array|Array} secrets A secret or an array of secrets with the newest first.
+     * @return {Promise<Array>} `[{id, key}]` in the same order where id is the key id as hex.
+     */
+    async function keyring(secrets) {
+        var list = Array.isArray(secrets) ? secrets : [secrets];
+        if (list.length === 0) {
+            throw new SrpConfigurationError('secret', 'Pass at least one secret');
+        }
+        return Promise.all(list.map(async function(secret) {
+            var ikm = secretBytes(secret);
+            var id = await srpDeriveKey.hkdf('SHA-256', ikm, 'thinbus-srp sealed state key id', 4);
+            var raw = await srpDeriveKey.hkdf('SHA-256', ikm, 'thinbus-srp sealed state', 32);
+            return { id: srpEncoding.bytesToHex(id), key: await subtle().importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']) };
+        }));
+    }
+
+    /**
+     * Encrypts and authenticates a state object with the first secret.
+     *
+     * @param {object} state The state e.g. from toPrivateStoreState.
+     * @param {string|Uint8Array|Array} secrets A secret or an array of secrets with the newest first.
+     * @return {Promise<string>} The token as base64url.
+     */
+    async function seal(state, secrets) {
+        var current = (await keyring(secrets))[0];
+        var headerBytes = srpEncoding.concatBytes(new Uint8Array([VERSION]), srpEncoding.hexToBytes(current.id));
+        var iv = srpEncoding.hexToBytes(randomStrings.hex(IV_LENGTH * 2));
+        var ciphertext = await subtle().encrypt({ name: 'AES-GCM', iv: iv, additionalData: headerBytes },
+            current.key, srpEncoding.utf8Bytes(JSON.stringify(state)));
+        return srpEncoding.bytesToBase64url(srpEncoding.concatBytes(headerBytes, iv, new Uint8Array(ciphertext)));
+    }
+
+    /**
+     * Checks and decrypts a token with whichever secret sealed it.
+     *
+     * @param {string} token The token from seal.
+     * @param {string|Uint8Array|Array} secrets A secret or an array of secrets.
+     * @return {Promise<object>} The state.
+     * @throws SrpInvalidParameterError If the token is malformed.
+     * @throws SrpProtocolError If no secret sealed the token or it fails authentication.
+     */
+    async function open(token, secrets) {
+        srpValidation.requireString(token, "state");
+        var bytes = srpEncoding.base64urlToBytes(token);
+        if (bytes.length < HEADER_LENGTH + IV_LENGTH + 16 || bytes[0] !== VERSION) {
+            throw new SrpInvalidParameterError('state', 'malformed', "state is not a version " + VERSION + " sealed state");
+        }
+        var headerBytes = bytes.subarray(0, HEADER_LENGTH);
+        var id = srpEncoding.bytesToHex(headerBytes.subarray(1));
+        var entry = (await keyring(secrets)).find(function(candidate) {
+            return candidate.id === id;
+        });
+        if (!entry) {
+            throw new SrpProtocolError("The state was sealed with a secret that is not in the keyring");
+        }
+        var plaintext;
+        try {
+            plaintext = await subtle().decrypt({ name: 'AES-GCM', iv: bytes.subarray(HEADER_LENGTH, HEADER_LENGTH + IV_LENGTH), additionalData: headerBytes },
+                entry.key, bytes.subarray(HEADER_LENGTH + IV_LENGTH));
+        } catch (e) {
+            throw new SrpProtocolError("The state failed authentication");
+        }
+        return JSON.parse(srpEncoding.utf8String(new Uint8Array(plaintext)));
+    }
+
+    /**
+     * Copies `toSealedState(secrets)` and `fromSealedState(token, secrets)` onto
+     * a server session prototype.
+     *
+     * @param {object} prototype The server session class prototype.
+     */
+    function install(prototype) {
+        prototype.toSealedState = async function(secrets) {
+            if (this.state !== this.STEP_1) {
+                throw new SrpStateError(this.STEP_1, this.state, "IllegalStateException not in state STEP_1");
+            }
+            return seal(this.toPrivateStoreState(), secrets);
+        };
+        prototype.fromSealedState = async function(token, secrets) {
+            this.fromPrivateStoreState(await open(token, secrets));
+        };
+    }
+
+    return {
+        VERSION: VERSION,
+        seal: seal,
+        open: open,
+        install: install
+    };
+})();
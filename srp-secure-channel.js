@@ -0,0 +1,166 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// An authenticated encrypted message channel between the client and server of
+// a completed login. Each direction has its own AES-256-GCM key from deriveKey
+// and its own sequence number which is the nonce, so a message cannot be
+// replayed, reordered or reflected back to its sender. A message is the
+// base64url of:
+//
+//   version (1) | type (1) | sequence (8) | AES-GCM ciphertext and tag
+//
+// where the first ten bytes are authenticated with any associated data.
+const srpSecureChannel = (function() {
+
+    const VERSION = 1;
+    const HEADER_LENGTH = 10;
+    const TYPE_BYTES = 0;
+    const TYPE_TEXT = 1;
+
+    function subtle() {
+        var impl = (typeof globalThis.crypto !== 'undefined' && globalThis.crypto.subtle) || null;
+        if (!impl) {
+            throw new SrpConfigurationError('channel', 'A secure channel needs WebCrypto crypto.subtle');
+        }
+        return impl;
+    }
+
+    function header(type, sequence) {
+        var bytes = new Uint8Array(HEADER_LENGTH);
+        bytes[0] = VERSION;
+        bytes[1] = type;
+        // sequence numbers stay below 2^53 so split into two 32-bit words
+        var high = Math.floor(sequence / 0x100000000);
+        var low = sequence >>> 0;
+        for (var i = 0; i < 4; i++) {
+            bytes[2 + i] = (high >>> (24 - i * 8)) & 0xff;
+            bytes[6 + i] = (low >>> (24 - i * 8)) & 0xff;
+        }
+        return bytes;
+    }
+
+    function readSequence(bytes) {
+        var high = 0;
+        var low = 0;
+        for (var i = 0; i < 4; i++) {
+            high = high * 256 + bytes[2 + i];
+            low = low * 256 + bytes[6 + i];
+        }
+        return high * 0x100000000 + low;
+    }
+
+    // the GCM nonce is the sequence number which is unique for each key
+    function nonce(headerBytes) {
+        var iv = new Uint8Array(12);
+        iv.set(headerBytes.subarray(2, HEADER_LENGTH), 4);
+        return iv;
+    }
+
+    function additionalData(headerBytes, aad) {
+        if (typeof aad === 'undefined' || aad === null) {
+            return headerBytes;
+        }
+        return srpEncoding.concatBytes(headerBytes, typeof aad === 'string' ? srpEncoding.utf8Bytes(aad) : aad);
+    }
+
+    /**
+     * A channel from one side of a login to the other. Use create rather than
+     * this constructor.
+     *
+     * @param {CryptoKey} sendKey The AES-GCM key of the messages this side seals.
+     * @param {CryptoKey} receiveKey The AES-GCM key of the messages this side opens.
+     */
+    function SecureChannel(sendKey, receiveKey) {
+        this.sendKey = sendKey;
+        this.receiveKey = receiveKey;
+        this.sendSequence = 0;
+        this.receiveSequence = 0;
+    }
+
+    /**
+     * Encrypts and authenticates a message for the other side.
+     *
+     * @param {string|Uint8Array} data The payload. open returns the same type.
+     * @param {string|Uint8Array} [aad] Associated data, such as the request path,
+     *        that is authenticated but not sent. open must be given the same.
+     * @return {Promise<string>} The message as base64url.
+     */
+    SecureChannel.prototype.seal = async function(data, aad) {
+        var isText = typeof data === 'string';
+        if (!isText && !(data instanceof Uint8Array)) {
+            throw new SrpInvalidParameterError('data', 'missing', "data must be a string or a Uint8Array");
+        }
+        // taken before any await so concurrent calls get consecutive numbers
+        var headerBytes = header(isText ? TYPE_TEXT : TYPE_BYTES, this.sendSequence++);
+        var ciphertext = await subtle().encrypt({ name: 'AES-GCM', iv: nonce(headerBytes), additionalData: additionalData(headerBytes, aad) },
+            this.sendKey, isText ? srpEncoding.utf8Bytes(data) : data);
+        return srpEncoding.bytesToBase64url(srpEncoding.concatBytes(headerBytes, new Uint8Array(ciphertext)));
+    };
+
+    /**
+     * Decrypts and checks the next message from the other side. Messages must
+     * be opened in the order that they were sealed.
+     *
+     * @param {string} message The base64url message from seal.
+     * @param {string|Uint8Array} [aad] The associated data given to seal.
+     * @return {Promise<string|Uint8Array>} The payload.
+     * @throws SrpInvalidParameterError If the message is malformed.
+     * @throws SrpProtocolError If the message is replayed, out of order or fails authentication.
+     */
+    SecureChannel.prototype.open = async function(message, aad) {
+        var bytes = srpEncoding.base64urlToBytes(message);
+        if (bytes.length < HEADER_LENGTH + 16 || bytes[0] !== VERSION || bytes[1] > TYPE_TEXT) {
+            throw new SrpInvalidParameterError('message', 'malformed', "message is not a version " + VERSION + " channel message");
+        }
+        var headerBytes = bytes.subarray(0, HEADER_LENGTH);
+        var sequence = readSequence(headerBytes);
+        if (sequence !== this.receiveSequence) {
+            throw new SrpProtocolError("Expected message " + this.receiveSequence + " but got " + sequence + " which is replayed or out of order");
+        }
+        var plaintext;
+        try {
+            plaintext = new Uint8Array(await subtle().decrypt({ name: 'AES-GCM', iv: nonce(headerBytes), additionalData: additionalData(headerBytes, aad) },
+                this.receiveKey, bytes.subarray(HEADER_LENGTH)));
+        } catch (e) {
+            throw new SrpProtocolError("The message failed authentication");
+        }
+        // a second open of the same message fails the sequence check
+        if (sequence !== this.receiveSequence) {
+            throw new SrpProtocolError("Message " + sequence + " was opened concurrently");
+        }
+        this.receiveSequence++;
+        return bytes[1] === TYPE_TEXT ? srpEncoding.utf8String(plaintext) : plaintext;
+    };
+
+    /**
+     * Creates the channel of a completed login. The client and server sessions
+     * of the same login create matching channels.
+     *
+     * @param {object} session A client session after step3 or a server session after step2.
+     * @param {string} [label] Names the channel so one login can have several.
+     * @return {Promise<SecureChannel>} The channel.
+     */
+    async function create(session, label) {
+        var name = 'thinbus-srp channel' + (typeof label === 'undefined' || label === null ? '' : ' ' + label);
+        var other = session.party === 'client' ? 'server' : 'client';
+        var sendKey = await session.deriveKey(name + ' ' + session.party + ' to ' + other, 32, 'AES-GCM');
+        var receiveKey = await session.deriveKey(name + ' ' + other + ' to ' + session.party, 32, 'AES-GCM');
+        return new SecureChannel(sendKey, receiveKey);
+    }
+
+    /**
+     * Copies `createSecureChannel(label)` onto a session prototype.
+     *
+     * @param {object} prototype The session class prototype with deriveKey installed.
+     */
+    function install(prototype) {
+        prototype.createSecureChannel = function(label) {
+            return create(this, label);
+        };
+    }
+
+    return {
+        SecureChannel: SecureChannel,
+        create: create,
+        install: install
+    };
+})();
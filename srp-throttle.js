@@ -0,0 +1,342 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// Slows down online password guessing. Each failed step2 is one guess, so the
+// failures are counted by identity, which stops the guessing of one password,
+// and by client address, which stops one client trying a password against
+// many users. As the failures of a key grow a login is refused:
+//
+//   after freeAttempts   wait baseDelay * 2^(failures - freeAttempts), at most maxDelay
+//   after captchaAfter   'captcha_required' until the app has checked a CAPTCHA
+//   after lockoutAfter   'locked' for lockoutMs since the last failure
+//
+// A success resets the identity. Counters is any object with the async methods
+// get(key), increment(key, ttlMs) and reset(key), where increment resolves
+// {failures, lastFailureAt} as one step, such as Redis INCR with a PEXPIRE. The
+// events 'failure', 'captcha', 'lockout', 'blocked' and 'success' let an app
+// alert on a spike. begin and end wrap each step2 so that only one step2 of an
+// identity or a client runs at a time, else parallel guesses would all pass
+// check before any of them was counted.
+const srpThrottle = (function() {
+
+    const COUNTER_METHODS = ['get', 'increment', 'reset'];
+    const EVENTS = ['failure', 'captcha', 'lockout', 'blocked', 'success'];
+    // the counters of the step2 in progress of a key, which expire should a process die during one
+    const PENDING_PREFIX = 'pending:';
+    const PENDING_MS = 10000;
+    // how long to wait for a step2 in progress
+    const PENDING_RETRY_MS = 1000;
+    // how many of the least recently failed keys a full memoryCounters looks at to choose the one to drop
+    const EVICTION_WINDOW = 64;
+
+    // a dozen failures before a CAPTCHA as the README recommends
+    const DEFAULT_POLICIES = {
+        identity: { freeAttempts: 3, baseDelay: 1000, maxDelay: 60000, captchaAfter: 12, lockoutAfter: 20, lockoutMs: 900000, windowMs: 3600000 },
+        client: { freeAttempts: 10, baseDelay: 1000, maxDelay: 60000, captchaAfter: 30, lockoutAfter: 100, lockoutMs: 900000, windowMs: 3600000 }
+    };
+
+    /**
+     * Counters in the memory of this process. Beyond maxEntries a key is
+     * dropped so that a flood of identities cannot exhaust memory: an expired
+     * key, else the key with the fewest failures among the 64 that failed least
+     * recently. The claims of begin are kept apart so that failures cannot drop
+     * them. A flood of failures from many identities or addresses can still
+     * flush the counters of others once the counters are full, so a server
+     * under attack, like a cluster, is better served by a shared store.
+     *
+     * @param {object} [options] Optional settings.
+     * @param {number} [options.maxEntries] The most keys kept of the failures, and of the claims, default 100000.
+     * @param {function} [options.now] Returns the time in milliseconds, default Date.now.
+     * @return {object} The counters.
+     */
+    function memoryCounters(options) {
+        options = options || {};
+        var maxEntries = typeof options.maxEntries === 'number' ? options.maxEntries : 100000;
+        var now = typeof options.now === 'function' ? options.now : Date.now;
+        var counters = new Map();
+        var claims = new Map();
+
+        function mapOf(key) {
+            return key.indexOf(PENDING_PREFIX) === 0 ? claims : counters;
+        }
+
+        function live(key) {
+            var map = mapOf(key);
+            var counter = map.get(key);
+            if (typeof counter !== 'undefined' && counter.expiresAt <= now()) {
+                map.delete(key);
+                return null;
+            }
+            return counter || null;
+        }
+
+        // a Map keeps the keys in the order they last failed, so the window is at the front
+        function evict(map, time) {
+            var victim = null;
+            var entries = map.entries();
+            for (var i = 0, next = entries.next(); i < EVICTION_WINDOW && !next.done; i++, next = entries.next()) {
+                if (next.value[1].expiresAt <= time) {
+                    victim = next.value[0];
+                    break;
+                }
+                if (victim === null || next.value[1].failures < map.get(victim).failures) {
+                    victim = next.value[0];
+                }
+            }
+            map.delete(victim);
+        }
+
+        return {
+            get: async function(key) {
+                var counter = live(key);
+                return counter === null ? null : { failures: counter.failures, lastFailureAt: counter.lastFailureAt };
+            },
+            increment: async function(key, ttl) {
+                var counter = live(key) || { failures: 0 };
+                var time = now();
+                var map = mapOf(key);
+                map.delete(key);
+                while (map.size >= maxEntries) {
+                    evict(map, time);
+                }
+                map.set(key, { failures: counter.failures + 1, lastFailureAt: time, expiresAt: time + ttl });
+                return { failures: counter.failures + 1, lastFailureAt: time };
+            },
+            reset: async function(key) {
+                mapOf(key).delete(key);
+            }
+        };
+    }
+
+    function requirePolicy(name, value) {
+        if (value === false) {
+            return null;
+        }
+        var policy = Object.assign({}, DEFAULT_POLICIES[name], value || {});
+        Object.keys(DEFAULT_POLICIES[name]).forEach(function(field) {
+            if (typeof policy[field] !== 'number' || isNaN(policy[field]) || policy[field] < 0) {
+                throw new SrpConfigurationError(name, name + '.' + field + ' must be a number of at least 0 but got: ' + policy[field]);
+            }
+        });
+        return policy;
+    }
+
+    /**
+     * Whether a key with a counter may try a login now.
+     *
+     * @param {object} counter `{failures, lastFailureAt}` or null.
+     * @param {object} policy The policy of the kind of key.
+     * @param {number} time The time in milliseconds.
+     * @param {boolean} captchaSolved Whether the app has checked a CAPTCHA.
+     * @return {object} `{allowed, reason, retryAfter, captchaRequired}` where retryAfter is in milliseconds.
+     */
+    function decide(counter, policy, time, captchaSolved) {
+        var decision = { allowed: true, reason: null, retryAfter: 0, captchaRequired: false };
+        if (counter === null) {
+            return decision;
+        }
+        var failures = counter.failures;
+        var wait = 0;
+        if (failures >= policy.lockoutAfter) {
+            wait = counter.lastFailureAt + policy.lockoutMs - time;
+            decision.reason = 'locked';
+        } else if (failures >= policy.freeAttempts) {
+            var delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, failures - policy.freeAttempts));
+            wait = counter.lastFailureAt + delay - time;
+            decision.reason = 'backoff';
+        }
+        decision.captchaRequired = failures >= policy.captchaAfter;
+        if (wait > 0) {
+            decision.allowed = false;
+            decision.retryAfter = wait;
+        } else if (decision.captchaRequired && !captchaSolved) {
+            decision.allowed = false;
+            decision.reason = 'captcha_required';
+        } else {
+            decision.reason = null;
+        }
+        return decision;
+    }
+
+    /**
+     * Creates a throttle.
+     *
+     * @param {object} [options] Optional settings.
+     * @param {object} [options.counters] The counters, default memoryCounters.
+     * @param {object|boolean} [options.identity] Overrides of the policy by identity, or false to not count by identity.
+     * @param {object|boolean} [options.client] Overrides of the policy by client address, or false to not count by client.
+     * @param {function} [options.now] Returns the time in milliseconds, default Date.now.
+     * @return {object} The throttle with `check`, `begin`, `end`, `failure`, `success` and `on`.
+     */
+    function create(options) {
+        options = options || {};
+        var now = typeof options.now === 'function' ? options.now : Date.now;
+        var counters = options.counters || memoryCounters({ now: now });
+        if (COUNTER_METHODS.some(function(method) { return typeof counters[method] !== 'function'; })) {
+            throw new SrpConfigurationError('counters', 'counters must have the async methods ' + COUNTER_METHODS.join(', '));
+        }
+        var policies = { identity: requirePolicy('identity', options.identity), client: requirePolicy('client', options.client) };
+        var listeners = {};
+
+        // the kinds of key of an attempt that are counted e.g. [['identity', 'identity:alice']]
+        function keysOf(attempt) {
+            srpValidation.requireValue(attempt, "attempt");
+            var keys = [];
+            ['identity', 'client'].forEach(function(kind) {
+                if (policies[kind] !== null && typeof attempt[kind] === 'string' && attempt[kind] !== '') {
+                    keys.push([kind, kind + ':' + attempt[kind]]);
+                }
+            });
+            return keys;
+        }
+
+        function emit(event, details) {
+            (listeners[event] || []).forEach(function(listener) {
+                listener(details);
+            });
+        }
+
+        // the most restrictive decision of the keys of an attempt
+        async function evaluate(attempt) {
+            var time = now();
+            var result = { allowed: true, reason: null, retryAfter: 0, captchaRequired: false };
+            var keys = keysOf(attempt);
+            for (var i = 0; i < keys.length; i++) {
+                var counter = await counters.get(keys[i][1]);
+                var decision = decide(counter, policies[keys[i][0]], time, attempt.captchaSolved === true);
+                result.captchaRequired = result.captchaRequired || decision.captchaRequired;
+                if (!decision.allowed && (result.allowed || decision.retryAfter > result.retryAfter)) {
+                    result.allowed = false;
+                    result.reason = decision.reason;
+                    result.retryAfter = decision.retryAfter;
+                    result.kind = keys[i][0];
+                }
+            }
+            return result;
+        }
+
+        var throttle = {
+            policies: policies,
+
+            /**
+             * Registers a listener of 'failure', 'captcha', 'lockout', 'blocked' or 'success'.
+             * Each gets `{kind, identity, client, failures}` and blocked also the decision.
+             *
+             * @param {string} event The event.
+             * @param {function} listener The listener.
+             * @return {object} The throttle.
+             */
+            on: function(event, listener) {
+                if (EVENTS.indexOf(event) < 0 || typeof listener !== 'function') {
+                    throw new SrpInvalidParameterError('event', 'malformed', 'Listen to one of ' + EVENTS.join(', ') + ' with a function');
+                }
+                (listeners[event] = listeners[event] || []).push(listener);
+                return throttle;
+            },
+
+            /**
+             * Whether a login may be tried now. The most restrictive key decides.
+             *
+             * @param {object} attempt `{identity, client, captchaSolved}`.
+             * @return {Promise<object>} `{allowed, reason, retryAfter, captchaRequired}` where reason is
+             *         null, 'backoff', 'captcha_required' or 'locked', retryAfter is in milliseconds and
+             *         kind is the kind of key that refused the attempt.
+             */
+            check: async function(attempt) {
+                var result = await evaluate(attempt);
+                if (!result.allowed) {
+                    emit('blocked', { kind: result.kind, identity: attempt.identity, client: attempt.client, decision: result });
+                }
+                return result;
+            },
+
+            /**
+             * Claims the keys of an attempt for one step2 and checks it. When it
+             * is allowed call end after the step2, and after any failure.
+             *
+             * @param {object} attempt `{identity, client, captchaSolved}`.
+             * @return {Promise<object>} The decision of check, with the reason 'in_progress' while
+             *         another step2 of a key has not ended.
+             */
+            begin: async function(attempt) {
+                var keys = keysOf(attempt);
+                for (var i = 0; i < keys.length; i++) {
+                    var claim = await counters.increment(PENDING_PREFIX + keys[i][1], PENDING_MS);
+                    if (claim.failures > 1) {
+                        // the key is another's until it ends, so release only the keys claimed before it
+                        for (var j = 0; j < i; j++) {
+                            await counters.reset(PENDING_PREFIX + keys[j][1]);
+                        }
+                        var busy = { allowed: false, reason: 'in_progress', retryAfter: PENDING_RETRY_MS, captchaRequired: false, kind: keys[i][0] };
+                        emit('blocked', { kind: busy.kind, identity: attempt.identity, client: attempt.client, decision: busy });
+                        return busy;
+                    }
+                }
+                var result = await throttle.check(attempt);
+                if (!result.allowed) {
+                    await throttle.end(attempt);
+                }
+                return result;
+            },
+
+            /**
+             * Releases the keys that begin claimed. Count a failure first so
+             * that the next attempt sees it.
+             *
+             * @param {object} attempt `{identity, client}`.
+             */
+            end: async function(attempt) {
+                var keys = keysOf(attempt);
+                for (var i = 0; i < keys.length; i++) {
+                    await counters.reset(PENDING_PREFIX + keys[i][1]);
+                }
+            },
+
+            /**
+             * Counts a failed step2.
+             *
+             * @param {object} attempt `{identity, client}`.
+             * @return {Promise<object>} The decision of check for the next attempt without a CAPTCHA.
+             */
+            failure: async function(attempt) {
+                var keys = keysOf(attempt);
+                for (var i = 0; i < keys.length; i++) {
+                    var policy = policies[keys[i][0]];
+                    var counter = await counters.increment(keys[i][1], Math.max(policy.windowMs, policy.lockoutMs));
+                    var details = { kind: keys[i][0], identity: attempt.identity, client: attempt.client, failures: counter.failures };
+                    emit('failure', details);
+                    if (counter.failures === policy.captchaAfter) {
+                        emit('captcha', details);
+                    }
+                    if (counter.failures >= policy.lockoutAfter) {
+                        emit('lockout', details);
+                    }
+                }
+                return evaluate({ identity: attempt.identity, client: attempt.client });
+            },
+
+            /**
+             * Resets the identity after a login. The client keeps its count so
+             * that one valid account does not hide guessing at others.
+             *
+             * @param {object} attempt `{identity, client}`.
+             */
+            success: async function(attempt) {
+                var keys = keysOf(attempt);
+                for (var i = 0; i < keys.length; i++) {
+                    if (keys[i][0] === 'identity') {
+                        await counters.reset(keys[i][1]);
+                    }
+                }
+                emit('success', { kind: 'identity', identity: attempt.identity, client: attempt.client, failures: 0 });
+            }
+        };
+        return throttle;
+    }
+
+    return {
+        DEFAULT_POLICIES: DEFAULT_POLICIES,
+        memoryCounters: memoryCounters,
+        decide: decide,
+        create: create
+    };
+})();
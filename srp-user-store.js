@@ -0,0 +1,234 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// Stores the verifier records of users so that servers do not each write the
+// lookup of the salt and verifier for step1. A UserStore is any object with
+// the async methods:
+//
+//   get(identity)              the record or null
+//   put(identity, record)      adds or replaces the record
+//   delete(identity)           true when there was a record
+//   update(identity, updater)  stores updater(record or null) unless it is undefined
+//
+// Records are the objects of srpVerifierRecord. memoryStore keeps them in this
+// process for tests. fileStore keeps them in a JSON lines file which it
+// replaces atomically on each write, enough for a small single server:
+//
+//   {"identity":"alice","record":{"version":1,"salt":"...","verifier":"...",...}}
+const srpUserStore = (function() {
+
+    const METHODS = ['get', 'put', 'delete', 'update'];
+
+    /**
+     * Checks that a store has the UserStore methods.
+     *
+     * @param {object} store The store.
+     * @param {string} [name] The name of the option in errors, default 'userStore'.
+     * @return {object} The store.
+     * @throws SrpConfigurationError If a method is missing.
+     */
+    function requireStore(store, name) {
+        name = name || 'userStore';
+        if (!store || METHODS.some(function(method) { return typeof store[method] !== 'function'; })) {
+            throw new SrpConfigurationError(name, name + ' must have the async methods ' + METHODS.join(', '));
+        }
+        return store;
+    }
+
+    // a store over load() resolving a Map of identity to record JSON and save(map),
+    // where a write changes a copy so load may resolve a Map that it keeps
+    function create(load, save) {
+        // writes run one at a time so that update is atomic within this process
+        var queue = Promise.resolve();
+        function write(identity, change) {
+            srpValidation.requireString(identity, "identity");
+            var result = queue.then(async function() {
+                var records = new Map(await load());
+                var current = records.has(identity) ? JSON.parse(records.get(identity)) : null;
+                var next = await change(current);
+                if (typeof next === 'undefined') {
+                    return current;
+                }
+                if (next === null) {
+                    records.delete(identity);
+                } else {
+                    next = srpVerifierRecord.parse(next);
+                    records.set(identity, JSON.stringify(next));
+                }
+                await save(records);
+                return next;
+            });
+            queue = result.catch(function() {});
+            return result;
+        }
+        return {
+            get: async function(identity) {
+                srpValidation.requireString(identity, "identity");
+                var records = await load();
+                return records.has(identity) ? JSON.parse(records.get(identity)) : null;
+            },
+            put: async function(identity, record) {
+                srpVerifierRecord.parse(record);
+                await write(identity, function() {
+                    return record;
+                });
+            },
+            delete: async function(identity) {
+                var existed = false;
+                await write(identity, function(current) {
+                    existed = current !== null;
+                    return existed ? null : undefined;
+                });
+                return existed;
+            },
+            update: function(identity, updater) {
+                if (typeof updater !== 'function') {
+                    throw new SrpInvalidParameterError('updater', 'missing', 'updater must be a function (record) => record');
+                }
+                return write(identity, updater);
+            }
+        };
+    }
+
+    /**
+     * A UserStore in the memory of this process.
+     *
+     * @param {object} [records] Initial records by identity.
+     * @return {object} The store.
+     */
+    function memoryStore(records) {
+        var map = new Map();
+        Object.keys(records || {}).forEach(function(identity) {
+            map.set(identity, JSON.stringify(srpVerifierRecord.parse(records[identity])));
+        });
+        return create(async function() {
+            return map;
+        }, async function(next) {
+            map = next;
+        });
+    }
+
+    /**
+     * A UserStore in a JSON lines file with one user per line. Each write goes
+     * to a temporary file which is synced and renamed over the file, so readers
+     * and a crash only ever see a complete file. Every call reads the file so
+     * it suits thousands rather than millions of users, and only one process
+     * should write to it. Needs Node.js.
+     *
+     * @param {string} path The file, which is created on the first write.
+     * @param {object} [options] Optional settings.
+     * @param {number} [options.mode] The permissions of the file, default 0o600 as it holds verifiers.
+     * @return {object} The store.
+     */
+    function fileStore(path, options) {
+        srpValidation.requireString(path, "path");
+        options = options || {};
+        var mode = typeof options.mode === 'number' ? options.mode : 384;
+        var fs = null;
+        async function fsPromises() {
+            fs = fs || await import('node:fs/promises');
+            return fs;
+        }
+
+        async function load() {
+            var text;
+            try {
+                text = await (await fsPromises()).readFile(path, 'utf8');
+            } catch (e) {
+                if (e.code === 'ENOENT') {
+                    return new Map();
+                }
+                throw e;
+            }
+            var records = new Map();
+            text.split('\n').forEach(function(line, index) {
+                if (line.trim() === '') {
+                    return;
+                }
+                var entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (e) {
+                    entry = null;
+                }
+                if (entry === null || typeof entry !== 'object' || typeof entry.identity !== 'string' || typeof entry.record !== 'object') {
+                    throw new SrpInvalidParameterError('record', 'malformed', path + ' line ' + (index + 1) + ' is not {"identity", "record"}');
+                }
+                records.set(entry.identity, JSON.stringify(entry.record));
+            });
+            return records;
+        }
+
+        async function save(records) {
+            var fsp = await fsPromises();
+            var lines = [];
+            records.forEach(function(record, identity) {
+                lines.push('{"identity":' + JSON.stringify(identity) + ',"record":' + record + '}\n');
+            });
+            var temporary = path + '.' + randomStrings.hex(16) + '.tmp';
+            var handle = await fsp.open(temporary, 'wx', mode);
+            try {
+                await handle.writeFile(lines.join(''), 'utf8');
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+            try {
+                await fsp.rename(temporary, path);
+            } catch (e) {
+                await fsp.unlink(temporary).catch(function() {});
+                throw e;
+            }
+        }
+
+        return create(load, save);
+    }
+
+    /**
+     * Copies `step1FromStore(identity)` and `storeVerifierUpgrade(message)` onto
+     * a server session prototype.
+     *
+     * @param {object} prototype The server session class prototype.
+     * @param {object} store The UserStore.
+     */
+    function install(prototype, store) {
+        prototype.userStore = requireStore(store);
+
+        /**
+         * Looks up the record of a user and runs step1 with it. With a
+         * fakeChallengeSecret an identity that is not registered gets a fake
+         * record, see srpFakeChallenge. Send `record.salt` with B.
+         *
+         * @param {string} identity The username.
+         * @return {Promise<string>} B as hex, or null when the user is not registered and there is no fakeChallengeSecret.
+         */
+        prototype.step1FromStore = async function(identity) {
+            var record = await this.userStore.get(srpValidation.requireString(identity, "identity"));
+            if (record !== null) {
+                return this.step1(identity, record);
+            }
+            return typeof this.step1Unknown === 'function' ? this.step1Unknown(identity) : null;
+        };
+
+        /**
+         * Opens the replacement record of acceptVerifierUpgrade and stores it
+         * in place of the record of this login.
+         *
+         * @param {object} message `{iv, ciphertext}` from the client upgradeVerifier.
+         * @return {Promise<object>} The stored record.
+         */
+        prototype.storeVerifierUpgrade = async function(message) {
+            var record = await this.acceptVerifierUpgrade(message);
+            return this.userStore.update(this.I, function() {
+                return record;
+            });
+        };
+    }
+
+    return {
+        METHODS: METHODS,
+        requireStore: requireStore,
+        memoryStore: memoryStore,
+        fileStore: fileStore,
+        install: install
+    };
+})();
@@ -0,0 +1,147 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// Validation of the values exchanged between client and server. Every value
+// received from the peer goes through one of these checks before it is used
+// in any arithmetic so that a malicious peer cannot force a known shared secret.
+const srpValidation = (function() {
+    const HEX_PATTERN = /^[0-9a-fA-F]+$/;
+
+    // 512 bytes is far more salt than anyone should need
+    const MAX_SALT_HEX_LENGTH = 1024;
+
+    function fail(name, reason, message) {
+        throw new SrpInvalidParameterError(name, reason, name + " " + message);
+    }
+
+    function isMissing(value) {
+        return typeof value === 'undefined' || value === null || value === "";
+    }
+
+    // the hex length of the padded byte encoding of N
+    function hexLengthOf(N) {
+        return Math.ceil(N.bitLength() / 8) * 2;
+    }
+
+    /**
+     * Checks that a value is present.
+     *
+     * @param value Any value.
+     * @param {string} name The parameter name used in the error.
+     * @return The value.
+     */
+    function requireValue(value, name) {
+        if (isMissing(value)) {
+            fail(name, 'missing', "must not be null or empty");
+        }
+        return value;
+    }
+
+    /**
+     * Checks that a value is a non-empty string such as the identity or password.
+     *
+     * @param value The value to check.
+     * @param {string} name The parameter name used in the error.
+     * @return {string} The value.
+     */
+    function requireString(value, name) {
+        requireValue(value, name);
+        if (typeof value !== 'string') {
+            fail(name, 'missing', "must be a string");
+        }
+        return value;
+    }
+
+    /**
+     * Checks that a value is a well formed hex string no longer than `maxLength`.
+     *
+     * @param value The value to check.
+     * @param {string} name The parameter name used in the error.
+     * @param {number} maxLength The maximum number of hex characters.
+     * @return {string} The value.
+     */
+    function requireHex(value, name, maxLength) {
+        requireString(value, name);
+        if (value.length > maxLength) {
+            fail(name, 'too_long', "must not be longer than " + maxLength + " hex characters");
+        }
+        if (!HEX_PATTERN.test(value)) {
+            fail(name, 'not_hex', "must be a hex string");
+        }
+        return value;
+    }
+
+    /**
+     * Checks that a hex string encodes a value in the range `[1, N)`. This
+     * rejects A or B values that are zero modulo N (0, N, 2N, ...), negative
+     * values and anything longer than N.
+     *
+     * @param value The hex string to check.
+     * @param {string} name The parameter name used in the error.
+     * @param {BigInteger} N The safe prime.
+     * @param {function} fromHex Converts a hex string into a BigInteger.
+     * @return {BigInteger} The parsed value.
+     */
+    function requireGroupElement(value, name, N, fromHex) {
+        requireHex(value, name, hexLengthOf(N));
+        var n = fromHex(value);
+        if (n.signum() <= 0 || n.compareTo(N) >= 0) {
+            fail(name, 'out_of_range', "must be in the range [1, N)");
+        }
+        return n;
+    }
+
+    /**
+     * Checks a salt 's' which must be a non-zero hex string.
+     *
+     * @param value The salt.
+     * @param {string} name The parameter name used in the error.
+     * @return {string} The salt.
+     */
+    function requireSalt(value, name) {
+        requireHex(value, name, MAX_SALT_HEX_LENGTH);
+        if (/^0+$/.test(value)) {
+            fail(name, 'out_of_range', "must not be zero");
+        }
+        return value;
+    }
+
+    /**
+     * Checks an evidence message 'M1' or 'M2' which must be a hex string
+     * no longer than the output of the hash function.
+     *
+     * @param value The evidence message.
+     * @param {string} name The parameter name used in the error.
+     * @param {number} hashHexLength The length in hex characters of the hash output.
+     * @return {string} The evidence message.
+     */
+    function requireProof(value, name, hashHexLength) {
+        return requireHex(value, name, hashHexLength);
+    }
+
+    /**
+     * Checks that a computed BigInteger is not zero.
+     *
+     * @param {BigInteger} n The value to check.
+     * @param {string} name The parameter name used in the error.
+     * @return {BigInteger} The value.
+     */
+    function requireNonZero(n, name) {
+        requireValue(n, name);
+        if (n.signum() === 0) {
+            fail(name, 'out_of_range', "must not be zero");
+        }
+        return n;
+    }
+
+    return {
+        MAX_SALT_HEX_LENGTH: MAX_SALT_HEX_LENGTH,
+        hexLengthOf: hexLengthOf,
+        requireValue: requireValue,
+        requireString: requireString,
+        requireHex: requireHex,
+        requireGroupElement: requireGroupElement,
+        requireSalt: requireSalt,
+        requireProof: requireProof,
+        requireNonZero: requireNonZero
+    };
+})();
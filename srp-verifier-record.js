@@ -0,0 +1,226 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// A versioned record of a registered verifier that names everything needed to
+// authenticate the user: the group, the hash, the mode and the password
+// stretching. Store the serialized record in one column then create the
+// sessions with fromRecord and pass the record to server step1:
+//
+//   {"version":1,"group":"rfc5054-2048","hash":"SHA-256","mode":"thinbus",
+//    "kdf":"scrypt","kdfParams":{"N":32768,"r":8,"p":1,"dkLen":32},
+//    "salt":"...","verifier":"..."}
+//
+// Custom groups have a null group plus N and g as decimal strings.
+const srpVerifierRecord = (function() {
+
+    const VERSION = 1;
+
+    function malformed(message) {
+        throw new SrpInvalidParameterError('record', 'malformed', 'record ' + message);
+    }
+
+    function requireName(record, field) {
+        if (typeof record[field] !== 'string' || record[field] === "") {
+            malformed('must have a ' + field + ' name');
+        }
+        return record[field];
+    }
+
+    function requireDecimal(record, field) {
+        if (typeof record[field] !== 'string' || !/^[1-9][0-9]*$/.test(record[field])) {
+            malformed('of a custom group must have ' + field + ' as a decimal string');
+        }
+        return record[field];
+    }
+
+    /**
+     * Creates the record of a verifier generated by a client session.
+     *
+     * @param {object} session The client session that generated the verifier.
+     * @param {string} salt The salt 's' as hex.
+     * @param {string} verifier The verifier 'v' as hex.
+     * @return {object} The record.
+     */
+    function create(session, salt, verifier) {
+        var settings = null;
+        if (session.kdf) {
+            settings = {};
+            Object.keys(session.kdf).forEach(function(field) {
+                if (field !== 'name') {
+                    settings[field] = session.kdf[field];
+                }
+            });
+        }
+        return parse({
+            version: VERSION,
+            group: session.group ? session.group.id : null,
+            N: session.group ? undefined : session.N.toString(10),
+            g: session.group ? undefined : session.g.toString(10),
+            hash: session.hashAlgorithm,
+            mode: session.mode,
+            kdf: session.kdf ? session.kdf.name : null,
+            kdfParams: settings,
+            salt: salt,
+            verifier: verifier
+        });
+    }
+
+    function toObject(value) {
+        var record = value;
+        if (typeof value === 'string') {
+            try {
+                record = JSON.parse(value);
+            } catch (e) {
+                malformed('is not JSON: ' + e.message);
+            }
+        }
+        if (typeof record !== 'object' || record === null) {
+            malformed('must be an object or a JSON string');
+        }
+        return record;
+    }
+
+    // copies the group, hash, mode and kdf fields into parsed
+    function parseFields(record, parsed) {
+        parsed.group = null;
+        if (record.group === null || typeof record.group === 'undefined') {
+            parsed.N = requireDecimal(record, 'N');
+            parsed.g = requireDecimal(record, 'g');
+        } else {
+            try {
+                parsed.group = srpGroups.get(record.group).id;
+            } catch (e) {
+                malformed('has an unknown group ' + record.group);
+            }
+        }
+        parsed.hash = srpHashes.canonicalName(requireName(record, 'hash'));
+        if (parsed.hash === null) {
+            malformed('has an unknown hash ' + record.hash + ', expected one of ' + srpHashes.names().join(', ') + ' or a custom hash name');
+        }
+        parsed.mode = requireName(record, 'mode');
+        parsed.kdf = null;
+        parsed.kdfParams = null;
+        if (record.kdf !== null && typeof record.kdf !== 'undefined') {
+            parsed.kdf = requireName(record, 'kdf');
+            if (typeof record.kdfParams !== 'object' || record.kdfParams === null) {
+                malformed('must have kdfParams with its kdf');
+            }
+            parsed.kdfParams = {};
+            Object.keys(record.kdfParams).forEach(function(field) {
+                if (typeof record.kdfParams[field] !== 'number') {
+                    malformed('kdfParams.' + field + ' must be a number');
+                }
+                parsed.kdfParams[field] = record.kdfParams[field];
+            });
+        }
+        return parsed;
+    }
+
+    /**
+     * Checks a record and returns a copy with the fields in a fixed order.
+     *
+     * @param {string|object} value A record or its serialized form.
+     * @return {object} The record.
+     * @throws SrpInvalidParameterError If the record is malformed or of an unsupported version.
+     */
+    function parse(value) {
+        var record = toObject(value);
+        if (record.version !== VERSION) {
+            throw new SrpInvalidParameterError('record', 'unsupported_version', 'record version ' + record.version + ' is not supported, expected ' + VERSION);
+        }
+        var parsed = parseFields(record, { version: VERSION });
+        var maxLength = parsed.group === null ? Infinity : srpGroups.get(parsed.group).bits / 4;
+        parsed.salt = srpValidation.requireSalt(record.salt, 'salt');
+        parsed.verifier = srpValidation.requireHex(record.verifier, 'verifier', maxLength);
+        return parsed;
+    }
+
+    /**
+     * Checks the parameters of a record without its version, salt and verifier,
+     * such as the parameters that outdated records are upgraded to.
+     *
+     * @param {string|object} value `{group, hash, mode, kdf, kdfParams}` or its JSON.
+     * @return {object} The parameters.
+     * @throws SrpInvalidParameterError If the parameters are malformed.
+     */
+    function parseParameters(value) {
+        return parseFields(toObject(value), {});
+    }
+
+    /**
+     * Serializes a record as JSON with the fields in a fixed order.
+     *
+     * @param {object} record The record.
+     * @return {string} The JSON.
+     */
+    function serialize(record) {
+        return JSON.stringify(parse(record));
+    }
+
+    // a record is an object or JSON text where step1 expects a hex salt
+    function isRecord(value) {
+        return (typeof value === 'object' && value !== null) || (typeof value === 'string' && value.charAt(0) === '{');
+    }
+
+    /**
+     * The factory arguments that recreate the sessions of a record.
+     *
+     * @param {object} record A parsed record or parameters.
+     * @param {object} [options] Further factory options such as bigint or async.
+     *        A custom hash function must be passed as options.hash and an
+     *        argon2id provider as options.kdf.provider.
+     * @return {Array} `[N_base10, g_base10, null, options]`.
+     */
+    function factoryArguments(record, options) {
+        options = options || {};
+        var merged = {};
+        Object.keys(options).forEach(function(name) {
+            merged[name] = options[name];
+        });
+        var hashName = typeof options.hash === 'undefined' ? record.hash : srpHashes.resolve(options.hash).name;
+        if (hashName !== record.hash) {
+            throw new SrpConfigurationError('hash', 'The record uses the hash ' + record.hash + ' but options.hash is ' + hashName);
+        }
+        merged.hash = typeof options.hash === 'undefined' ? record.hash : options.hash;
+        merged.mode = record.mode;
+        merged.kdf = null;
+        if (record.kdf !== null) {
+            merged.kdf = { name: record.kdf };
+            Object.keys(record.kdfParams).forEach(function(field) {
+                merged.kdf[field] = record.kdfParams[field];
+            });
+            if (options.kdf && options.kdf.provider) {
+                merged.kdf.provider = options.kdf.provider;
+            }
+        }
+        var group = record.group === null ? { N_base10: record.N, g_base10: record.g } : srpGroups.get(record.group);
+        return [group.N_base10, group.g_base10, null, merged];
+    }
+
+    /**
+     * Checks that a session has the group, hash and mode of a record.
+     *
+     * @param {object} session A client or server session.
+     * @param {object} record A parsed record.
+     * @throws SrpConfigurationError If the session was created with other parameters.
+     */
+    function requireMatch(session, record) {
+        var sameGroup = record.group === null ?
+            (session.N.toString(10) === record.N && session.g.toString(10) === record.g) :
+            (session.group !== null && session.group.id === record.group);
+        var mismatch = !sameGroup ? 'group' : (session.hashAlgorithm !== record.hash ? 'hash' : (session.mode !== record.mode ? 'mode' : null));
+        if (mismatch !== null) {
+            throw new SrpConfigurationError('record', 'The verifier record has a different ' + mismatch + ' to this session, create the session with fromRecord');
+        }
+    }
+
+    return {
+        VERSION: VERSION,
+        create: create,
+        parse: parse,
+        parseParameters: parseParameters,
+        serialize: serialize,
+        isRecord: isRecord,
+        factoryArguments: factoryArguments,
+        requireMatch: requireMatch
+    };
+})();
@@ -0,0 +1,92 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// Moves a user to new verifier parameters, such as a larger group or a kdf,
+// when they next log in. The server never sees the password so after a login
+// with an outdated record it asks the client to register again under the new
+// parameters. The client sends the new record sealed with AES-GCM under a
+// subkey of the shared secret so only the party that just proved the password
+// can replace the verifier:
+//
+//   key = deriveKey("thinbus-srp verifier upgrade", 32)
+//   {iv, ciphertext} = AES-256-GCM(key, iv, serialize(record), aad = I)
+const srpVerifierUpgrade = (function() {
+
+    const INFO = 'thinbus-srp verifier upgrade';
+
+    function subtle() {
+        var impl = (typeof globalThis.crypto !== 'undefined' && globalThis.crypto.subtle) || null;
+        if (!impl) {
+            throw new SrpConfigurationError('upgrade', 'A verifier upgrade needs WebCrypto crypto.subtle');
+        }
+        return impl;
+    }
+
+    function deriveKey(session) {
+        return session.deriveKey(INFO, 32, 'AES-GCM');
+    }
+
+    /**
+     * Seals a replacement record for the server.
+     *
+     * @param {object} session The client session after step3.
+     * @param {object} record The replacement record.
+     * @return {Promise<object>} `{iv, ciphertext}` as hex strings.
+     */
+    async function seal(session, record) {
+        var iv = srpEncoding.hexToBytes(randomStrings.hex(24));
+        var ciphertext = await subtle().encrypt({ name: 'AES-GCM', iv: iv, additionalData: srpEncoding.utf8Bytes(session.I) },
+            await deriveKey(session), srpEncoding.utf8Bytes(srpVerifierRecord.serialize(record)));
+        return { iv: srpEncoding.bytesToHex(iv), ciphertext: srpEncoding.bytesToHex(new Uint8Array(ciphertext)) };
+    }
+
+    /**
+     * Opens a replacement record sealed by the client.
+     *
+     * @param {object} session The server session after step2.
+     * @param {object} message `{iv, ciphertext}` from seal.
+     * @return {Promise<object>} The parsed record.
+     * @throws SrpProtocolError If the message was not sealed by the client of this login.
+     */
+    async function open(session, message) {
+        srpValidation.requireValue(message, "upgrade");
+        srpValidation.requireHex(message.iv, "iv", 24);
+        srpValidation.requireHex(message.ciphertext, "ciphertext", Infinity);
+        var key = await deriveKey(session);
+        var plaintext;
+        try {
+            plaintext = await subtle().decrypt({ name: 'AES-GCM', iv: srpEncoding.hexToBytes(message.iv), additionalData: srpEncoding.utf8Bytes(session.I) },
+                key, srpEncoding.hexToBytes(message.ciphertext));
+        } catch (e) {
+            throw new SrpProtocolError("The verifier upgrade was not sealed with the session key");
+        }
+        return srpVerifierRecord.parse(srpEncoding.utf8String(new Uint8Array(plaintext)));
+    }
+
+    /**
+     * Whether a record was created with other parameters than the target.
+     * Only the kdfParams that the target names are compared so that a target
+     * of `{kdf: 'scrypt', kdfParams: {N: 65536}}` accepts the other defaults.
+     *
+     * @param {object} record A parsed record.
+     * @param {object} target Parsed parameters, see srpVerifierRecord.parseParameters.
+     * @return {boolean} True when the record should be upgraded.
+     */
+    function isOutdated(record, target) {
+        var fields = target.group === null ? ['group', 'N', 'g', 'hash', 'mode', 'kdf'] : ['group', 'hash', 'mode', 'kdf'];
+        var differs = fields.some(function(field) {
+            return record[field] !== target[field];
+        });
+        if (differs || target.kdf === null) {
+            return differs;
+        }
+        return Object.keys(target.kdfParams).some(function(field) {
+            return record.kdfParams[field] !== target.kdfParams[field];
+        });
+    }
+
+    return {
+        seal: seal,
+        open: open,
+        isOutdated: isOutdated
+    };
+})();
@@ -0,0 +1,94 @@
+// SPDX-FileCopyrightText: 2014-2025 Simon Massey
+// SPDX-License-Identifier: Apache-2.0
+// Wipes the secrets of a session with destroy() so that they do not stay on
+// the heap for as long as the session object is reachable. The limbs of a jsbn
+// BigInteger and the bytes of a Uint8Array are overwritten with zeros. A
+// native BigInt and a string cannot be changed in place so they are only
+// dropped for the garbage collector. Either way the fields are set to null and
+// the session moves to state DESTROYED in which every step throws.
+const srpWipe = (function() {
+
+    // the state after destroy which no step accepts
+    const DESTROYED = -1;
+
+    function wipeValue(value) {
+        if (value instanceof Uint8Array) {
+            value.fill(0);
+        } else if (typeof value === 'object' && typeof value.t === 'number') {
+            // jsbn keeps its limbs in the indexes 0 to t - 1
+            for (var i = 0; i < value.t; i++) {
+                value[i] = 0;
+            }
+            value.t = 0;
+            value.s = 0;
+        } else if (typeof value === 'object' && typeof value.value === 'bigint') {
+            value.value = BigInt(0);
+        }
+    }
+
+    /**
+     * Overwrites and nulls the given fields of a session.
+     *
+     * @param {object} session The session.
+     * @param {string[]} fields The names of the secret fields.
+     */
+    function wipe(session, fields) {
+        fields.forEach(function(field) {
+            if (session[field] !== null && typeof session[field] !== 'undefined') {
+                wipeValue(session[field]);
+            }
+            session[field] = null;
+        });
+    }
+
+    /**
+     * Copies `destroy()` and the DESTROYED state onto a session prototype.
+     *
+     * @param {object} prototype The session class prototype.
+     * @param {string[]} fields The names of the secret fields that destroy wipes.
+     */
+    function install(prototype, fields) {
+        prototype.DESTROYED = DESTROYED;
+
+        /**
+         * Wipes the secrets of the session which can no longer be used.
+         */
+        prototype.destroy = function() {
+            wipe(this, fields);
+            this.state = this.DESTROYED;
+        };
+    }
+
+    /**
+     * Makes the first getSessionKey after a completed login destroy the session
+     * once it has returned the key. Install it after any async or worker
+     * getSessionKey.
+     *
+     * @param {object} prototype The session class prototype with destroy installed.
+     * @param {string} ready The name of the state of a completed login e.g. 'STEP_3'.
+     */
+    function autoDestroy(prototype, ready) {
+        var getSessionKey = prototype.getSessionKey;
+        prototype.getSessionKey = function(hash) {
+            if (this.state !== this[ready]) {
+                return getSessionKey.call(this, hash);
+            }
+            var session = this;
+            function destroyThen(key) {
+                var done = session.destroy();
+                return done && typeof done.then === 'function' ? done.then(function() {
+                    return key;
+                }) : key;
+            }
+            var key = getSessionKey.call(this, hash);
+            return key !== null && typeof key === 'object' && typeof key.then === 'function' ? key.then(destroyThen) : destroyThen(key);
+        };
+    }
+
+    return {
+        DESTROYED: DESTROYED,
+        wipe: wipe,
+        install: install,
+        autoDestroy: autoDestroy
+    };
+})();
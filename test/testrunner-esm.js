@@ -2,7 +2,11 @@
 // SPDX-License-Identifier: Apache-2.0
 import { fileURLToPath, pathToFileURL } from 'url';
 import { dirname, join } from 'path';
-import { createHash } from 'crypto';
+import { createHash, createHmac } from 'crypto';
+import { Worker } from 'worker_threads';
+import { Readable } from 'stream';
+import { mkdtemp, readFile, writeFile, readdir, stat, rm, utimes } from 'fs/promises';
+import { tmpdir } from 'os';
 
 // Inject crypto into globalThis before importing modules
 globalThis.nodeCrypto = { createHash };
@@ -213,5 +217,1987 @@ try {
     throw error;
 }
 
+console.log("\n🛡️  PUBLIC VALUE VALIDATION");
+console.log("===========================");
+
+// Expects fn to throw a SrpInvalidParameterError for the named parameter and reason
+function expectInvalid(description, fn, parameter, reason) {
+    try {
+        fn();
+    } catch (e) {
+        if (!(e instanceof serverModule.SrpInvalidParameterError) && !(e instanceof clientModule.SrpInvalidParameterError)) {
+            throw new Error(`${description}: expected SrpInvalidParameterError but got ${e}`);
+        }
+        if (e.code !== 'SRP_INVALID_PARAMETER' || e.parameter !== parameter || e.reason !== reason) {
+            throw new Error(`${description}: expected ${parameter}/${reason} but got ${e.parameter}/${e.reason}`);
+        }
+        console.log(`✅ ${description} rejected (${e.message})`);
+        return;
+    }
+    throw new Error(`${description}: was not rejected`);
+}
+
+// Each malicious A is tried against a fresh challenge restored from the cached state
+// with its own challenge id as each challenge id is consumed by one step2
+function serverWithChallenge() {
+    const s = new SRP6JavascriptServerSession();
+    s.fromPrivateStoreState({ ...JSON.parse(cacheJson), cid: serverModule.randomStrings.hex(32) });
+    return s;
+}
+
+const N = serverWillDie.N;
+const someM1 = credentials.M1;
+expectInvalid("Server step2 with A = 0", () => serverWithChallenge().step2("0", someM1), "A", "out_of_range");
+expectInvalid("Server step2 with A = N", () => serverWithChallenge().step2(N.toString(16), someM1), "A", "out_of_range");
+expectInvalid("Server step2 with A = 2N", () => serverWithChallenge().step2(N.add(N).toString(16), someM1), "A", "too_long");
+expectInvalid("Server step2 with negative A", () => serverWithChallenge().step2("-1", someM1), "A", "not_hex");
+expectInvalid("Server step2 with oversized A", () => serverWithChallenge().step2("0" + "f".repeat(512), someM1), "A", "too_long");
+expectInvalid("Server step2 with non-hex M1", () => serverWithChallenge().step2(credentials.A, "xyz"), "M1", "not_hex");
+expectInvalid("Server step2 with oversized M1", () => serverWithChallenge().step2(credentials.A, someM1 + "00"), "M1", "too_long");
+expectInvalid("Server step1 with verifier = N", () => new SRP6JavascriptServerSession().step1(username, salt, N.toString(16)), "verifier", "out_of_range");
+expectInvalid("Server step1 with non-hex salt", () => new SRP6JavascriptServerSession().step1(username, "salty", verifier), "salt", "not_hex");
+expectInvalid("Server step1 with zero salt", () => new SRP6JavascriptServerSession().step1(username, "0000", verifier), "salt", "out_of_range");
+
+function clientAtStep1() {
+    const c = new SRP6JavascriptClientSession();
+    c.step1(username, password);
+    return c;
+}
+expectInvalid("Client step2 with B = 0", () => clientAtStep1().step2(salt, "0"), "B", "out_of_range");
+expectInvalid("Client step2 with B = N", () => clientAtStep1().step2(salt, N.toString(16)), "B", "out_of_range");
+expectInvalid("Client step2 with empty salt", () => clientAtStep1().step2("", B), "s", "missing");
+expectInvalid("Client step1 with empty password", () => new SRP6JavascriptClientSession().step1(username, ""), "password", "missing");
+expectInvalid("Client step3 with non-hex M2", () => {
+    const c = clientAtStep1();
+    c.step2(salt, B);
+    c.step3("not hex");
+}, "M2", "not_hex");
+
+console.log("\n🏷️  TYPED ERRORS");
+console.log("===============");
+
+// Expects fn to throw an instance of errorClass with the given code
+function expectError(description, fn, errorClass, code) {
+    try {
+        fn();
+    } catch (e) {
+        if (!(e instanceof errorClass) || !(e instanceof Error) || e.code !== code) {
+            throw new Error(`${description}: expected ${errorClass.name}/${code} but got ${e}`);
+        }
+        console.log(`✅ ${description} threw ${e.name} (${e.code})`);
+        return e;
+    }
+    throw new Error(`${description}: nothing was thrown`);
+}
+
+const wrongPasswordClient = new SRP6JavascriptClientSession();
+wrongPasswordClient.step1(username, "wrong password");
+const wrongCredentials = wrongPasswordClient.step2(salt, B);
+const badClient = expectError("Server step2 with a wrong password",
+    () => serverWithChallenge().step2(wrongCredentials.A, wrongCredentials.M1),
+    serverModule.SrpBadCredentialsError, 'SRP_BAD_CREDENTIALS');
+if (badClient.party !== 'client' || !(badClient instanceof serverModule.SrpError)) {
+    throw new Error("bad client credentials should blame the client and extend SrpError");
+}
+expectError("Client step3 with a wrong M2",
+    () => wrongPasswordClient.step3(credentials.M1),
+    clientModule.SrpBadCredentialsError, 'SRP_BAD_CREDENTIALS');
+const stateError = expectError("Client step2 before step1",
+    () => new SRP6JavascriptClientSession().step2(salt, B),
+    clientModule.SrpStateError, 'SRP_STATE');
+if (stateError.expected !== 1 || stateError.actual !== 0) {
+    throw new Error(`state error should expect STEP_1 but was ${stateError.expected}/${stateError.actual}`);
+}
+expectError("Client step1 twice",
+    () => client.step1(username, password),
+    clientModule.SrpStateError, 'SRP_STATE');
+expectError("Server step2 before step1",
+    () => new SRP6JavascriptServerSession().step2(credentials.A, credentials.M1),
+    serverModule.SrpStateError, 'SRP_STATE');
+
+console.log("\n⏱️  CONSTANT TIME PROOF COMPARISON");
+console.log("=================================");
+
+const enc = serverModule.srpEncoding;
+if (!enc.constantTimeEqual("abc", "abc") || enc.constantTimeEqual("abc", "abd") || enc.constantTimeEqual("abc", "abcd") || enc.constantTimeEqual("", "a")) {
+    throw new Error("constantTimeEqual gave a wrong answer");
+}
+console.log("✅ constantTimeEqual compares equal, different and different length strings");
+if (enc.canonicalProof("00AbC", 8) !== "00000abc" || enc.stripLeadingZeros("000") !== "0") {
+    throw new Error("canonical encoding is wrong");
+}
+console.log("✅ Canonical proof encoding pads to the hash length and ignores case");
+
+// a client that does not strip leading zeros or that sends upper case hex must still be accepted
+const paddedM1 = enc.padHex(credentials.M1, 64).toUpperCase();
+const paddedM2 = serverWithChallenge().step2(credentials.A, paddedM1);
+if (!enc.proofsEqual(paddedM2, serverWithChallenge().step2(credentials.A, credentials.M1), 64)) {
+    throw new Error("padded M1 should produce the same M2");
+}
+console.log("✅ Server accepts M1 in padded upper case encoding");
+
+console.log("\n#️⃣  PLUGGABLE HASH ALGORITHMS");
+console.log("============================");
+
+// Runs registration and a full login and returns the client and server sessions
+function roundTrip(ClientSession, ServerSession, user, pass) {
+    const registration = new ClientSession();
+    const s = registration.generateRandomSalt();
+    const v = registration.generateVerifier(s, user, pass);
+    const c = new ClientSession();
+    c.step1(user, pass);
+    const srv = new ServerSession();
+    const challenge = srv.step1(user, s, v);
+    const creds = c.step2(s, challenge);
+    const m2 = srv.step2(creds.A, creds.M1);
+    c.step3(m2);
+    if (c.getSessionKey() !== srv.getSessionKey()) {
+        throw new Error("session keys do not match");
+    }
+    return { client: c, server: srv };
+}
+
+for (const [option, className, hexLength] of [['SHA-1', 'SHA1', 40], ['sha256', 'SHA256', 64], ['SHA384', 'SHA384', 96], ['sha-512', 'SHA512', 128]]) {
+    const ClientSession = clientModule.default(rfc5054.N_base10, rfc5054.g_base10, { hash: option });
+    const ServerSession = serverModule.default(rfc5054.N_base10, rfc5054.g_base10, { hash: option });
+    if (ClientSession.name !== 'SRP6JavascriptClientSession' + className || ServerSession.name !== 'SRP6JavascriptServerSession' + className) {
+        throw new Error(`unexpected class names ${ClientSession.name} ${ServerSession.name}`);
+    }
+    const { client: c, server: srv } = roundTrip(ClientSession, ServerSession, username, password);
+    if (c.getSessionKey().length !== hexLength || c.hashAlgorithm !== srv.hashAlgorithm) {
+        throw new Error(`${option} produced a ${c.getSessionKey().length} character key`);
+    }
+    console.log(`✅ ${ClientSession.name} and ${ServerSession.name} agree using ${c.hashAlgorithm}`);
+}
+
+if (SRP6JavascriptClientSession.name !== 'SRP6JavascriptClientSessionSHA256' || client.hashAlgorithm !== 'SHA-256') {
+    throw new Error("the default should remain SHA-256");
+}
+console.log("✅ The default hash is SHA-256");
+
+const { createHash: nodeCreateHash } = await import('crypto');
+function sha3_256(x) {
+    return nodeCreateHash('sha3-256').update(x).digest('hex');
+}
+const Sha3Client = clientModule.default(rfc5054.N_base10, rfc5054.g_base10, null, { hash: sha3_256 });
+const Sha3Server = serverModule.default(rfc5054.N_base10, rfc5054.g_base10, null, { hash: { name: 'sha3_256', H: sha3_256 } });
+roundTrip(Sha3Client, Sha3Server, username, password);
+console.log(`✅ Custom hash ${Sha3Client.name} works with ${Sha3Server.name}`);
+
+expectError("Factory with an unknown hash",
+    () => clientModule.default(rfc5054.N_base10, rfc5054.g_base10, rfc5054.k_base16, { hash: 'MD5' }),
+    clientModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+expectError("Factory with an anonymous custom hash",
+    () => serverModule.default(rfc5054.N_base10, rfc5054.g_base10, rfc5054.k_base16, { hash: { H: sha3_256 } }),
+    serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+
+console.log("\n📜 RFC 5054 APPENDIX B TEST VECTORS");
+console.log("==================================");
+
+// RFC 5054 Appendix B uses the 1024-bit group, SHA-1 and fixed private values
+const rfc5054Vectors = {
+    N_base10: BigInt("0xEEAF0AB9ADB38DD69C33F80AFA8FC5E86072618775FF3C0B9EA2314C9C256576D674DF7496EA81D3383B4813D692C6E0E0D5D8E250B98BE48E495C1D6089DAD15DC7D7B46154D6B6CE8EF4AD69B15D4982559B297BCF1885C529F566660E57EC68EDBC3C05726CC02FD4CBF4976EAA9AFD5138FE8376435B9FC61D2FC0EB06E3").toString(10),
+    g_base10: "2",
+    k: "7556aa045aef2cdd07abaf0f665c3e818913186f",
+    I: "alice",
+    P: "password123",
+    s: "beb25379d1a8581eb5a727673a2441ee",
+    x: "94b7555aabe9127cc58ccf4993db6cf84d16c124",
+    v: "7e273de8696ffc4f4e337d05b4b375beb0dde1569e8fa00a9886d8129bada1f1822223ca1a605b530e379ba4729fdc59f105b4787e5186f5c671085a1447b52a48cf1970b4fb6f8400bbf4cebfbb168152e08ab5ea53d15c1aff87b2b9da6e04e058ad51cc72bfc9033b564e26480d78e955a5e29e7ab245db2be315e2099afb",
+    a: "60975527035cf2ad1989806f0407210bc81edc04e2762a56afd529ddda2d4393",
+    b: "e487cb59d31ac550471e81f00f6928e01dda08e974a004f49e61f5d105284d20",
+    A: "61d5e490f6f1b79547b0704c436f523dd0e560f0c64115bb72557ec44352e8903211c04692272d8b2d1a5358a2cf1b6e0bfcf99f921530ec8e39356179eae45e42ba92aeaced825171e1e8b9af6d9c03e1327f44be087ef06530e69f66615261eef54073ca11cf5858f0edfdfe15efeab349ef5d76988a3672fac47b0769447b",
+    B: "bd0c61512c692c0cb6d041fa01bb152d4916a1e77af46ae105393011baf38964dc46a0670dd125b95a981652236f99d9b681cbf87837ec996c6da04453728610d0c6ddb58b318885d7d82c7f8deb75ce7bd4fbaa37089e6f9c6059f388838e7a00030b331eb76840910440b1b27aaeaeeb4012b7d7665238a8e3fb004b117b58",
+    u: "ce38b9593487da98554ed47d70a7ae5f462ef019",
+    S: "b0dc82babcf30674ae450c0287745e7990a3381f63b387aaf271a10d233861e359b48220f7c4693c9ae12b0a6f67809f0876e2d013800d6c41bb59b6d5979b5c00a172b4a2a5903a0bdcaf8a709585eb2afafa8f3499b200210dcc1f10eb33943cd67fc88a2f39a4be5bec4ec0a3212dc346d7e474b29ede8a469ffeca686e5a",
+    // the RFC does not list these so they were computed independently with Python's hashlib
+    K: "017eefa1cefc5c2e626e21598987f31e0f1b11bb",
+    M1: "3f3bc67169ea71302599cf1b0f5d408b7b65d347",
+    M2: "9cab3c575a11de37d3ac1421a9f009236a48eb55"
+};
+
+const rfcOptions = { hash: 'SHA-1', mode: 'rfc5054' };
+const RfcClientSession = clientModule.default(rfc5054Vectors.N_base10, rfc5054Vectors.g_base10, rfc5054Vectors.k, rfcOptions);
+const RfcServerSession = serverModule.default(rfc5054Vectors.N_base10, rfc5054Vectors.g_base10, rfc5054Vectors.k, rfcOptions);
+
+function expectValue(name, actual, expected, source = 'RFC 5054') {
+    if (actual !== expected) {
+        throw new Error(`${source} ${name} mismatch\n expected: ${expected}\n   actual: ${actual}`);
+    }
+    console.log(`✅ ${name} matches ${source}`);
+}
+
+const rfcVerifier = new RfcClientSession().generateVerifier(rfc5054Vectors.s, rfc5054Vectors.I, rfc5054Vectors.P);
+expectValue("v", rfcVerifier, rfc5054Vectors.v);
+
+const rfcClient = new RfcClientSession();
+rfcClient.randomA = function() { return this.fromHex(rfc5054Vectors.a); };
+rfcClient.step1(rfc5054Vectors.I, rfc5054Vectors.P);
+const rfcServer = new RfcServerSession();
+rfcServer.randomB = function() { return this.fromHex(rfc5054Vectors.b); };
+expectValue("B", rfcServer.step1(rfc5054Vectors.I, rfc5054Vectors.s, rfc5054Vectors.v), rfc5054Vectors.B);
+const rfcCredentials = rfcClient.step2(rfc5054Vectors.s, rfc5054Vectors.B);
+expectValue("x", rfcClient.toHex(rfcClient.x), rfc5054Vectors.x);
+expectValue("A", rfcCredentials.A, rfc5054Vectors.A);
+expectValue("u", rfcClient.toHex(rfcClient.u), rfc5054Vectors.u);
+expectValue("S", rfcClient.getSessionKey(false), rfc5054Vectors.S);
+expectValue("M1", rfcCredentials.M1, rfc5054Vectors.M1);
+const rfcM2 = rfcServer.step2(rfcCredentials.A, rfcCredentials.M1);
+expectValue("M2", rfcM2, rfc5054Vectors.M2);
+rfcClient.step3(rfcM2);
+expectValue("K", rfcClient.getSessionKey(), rfc5054Vectors.K);
+expectValue("server K", rfcServer.getSessionKey(), rfc5054Vectors.K);
+
+const { client: rfc2048Client } = roundTrip(
+    clientModule.default(rfc5054.N_base10, rfc5054.g_base10, rfc5054.k_base16, { mode: 'rfc5054' }),
+    serverModule.default(rfc5054.N_base10, rfc5054.g_base10, rfc5054.k_base16, { mode: 'rfc5054' }),
+    username, password);
+console.log(`✅ RFC 5054 mode round trip with SHA-256 and the 2048-bit group (mode ${rfc2048Client.mode})`);
+
+expectError("Factory with an unknown mode",
+    () => serverModule.default(rfc5054.N_base10, rfc5054.g_base10, rfc5054.k_base16, { mode: 'rfc9999' }),
+    serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+
+console.log("\n📚 NAMED SRP GROUPS");
+console.log("===================");
+
+const groups = serverModule.srpGroups;
+const expectedGroups = { 'rfc5054-1024': 1024, 'rfc5054-1536': 1536, 'rfc5054-2048': 2048, 'rfc5054-3072': 3072, 'rfc5054-4096': 4096, 'rfc5054-6144': 6144, 'rfc5054-8192': 8192 };
+if (JSON.stringify(groups.ids()) !== JSON.stringify(Object.keys(expectedGroups))) {
+    throw new Error(`unexpected group ids ${groups.ids()}`);
+}
+for (const [id, bits] of Object.entries(expectedGroups)) {
+    const group = groups.get(id);
+    const N = new serverModule.BigInteger(group.N_base10, 10);
+    if (group.id !== id || group.bits !== bits || N.bitLength() !== bits || !N.testBit(0)) {
+        throw new Error(`group ${id} does not have an odd ${bits} bit N`);
+    }
+}
+console.log(`✅ ${groups.ids().length} RFC 5054 groups have an N of the advertised size`);
+
+const group2048 = groups.get('rfc5054-2048');
+if (group2048.N_base10 !== rfc5054.N_base10 || group2048.g_base10 !== rfc5054.g_base10) {
+    throw new Error("the 2048 bit group does not match the constants used by existing deployments");
+}
+const Group2048Client = clientModule.default.fromGroup('rfc5054-2048');
+if (Group2048Client.prototype.toHex(Group2048Client.prototype.k) !== rfc5054.k_base16) {
+    throw new Error("the computed SHA-256 k does not match the published k_base16");
+}
+console.log("✅ rfc5054-2048 with SHA-256 matches the published N, g and k");
+
+const Group1024Client = clientModule.default.fromGroup('rfc5054-1024', { hash: 'SHA-1' });
+if (Group1024Client.prototype.toHex(Group1024Client.prototype.k) !== rfc5054Vectors.k) {
+    throw new Error("the computed SHA-1 k does not match RFC 5054 Appendix B");
+}
+console.log("✅ rfc5054-1024 with SHA-1 computes the RFC 5054 Appendix B k");
+
+const group1536Options = { hash: 'SHA-256' };
+const { client: group1536Client } = roundTrip(
+    clientModule.default.fromGroup('rfc5054-1536', group1536Options),
+    serverModule.default.fromGroup('rfc5054-1536', group1536Options),
+    username, password);
+if (group1536Client.group.id !== 'rfc5054-1536' || group1536Client.group.bits !== 1536) {
+    throw new Error(`unexpected group metadata ${JSON.stringify(group1536Client.group)}`);
+}
+console.log(`✅ Round trip with ${group1536Client.group.id} (${group1536Client.group.bits} bits)`);
+
+if (client.group.id !== 'rfc5054-2048' || new (clientModule.default("23", "5"))().group !== null) {
+    throw new Error("sessions should report the named group of their N and g");
+}
+console.log("✅ Sessions created from N and g report their named group");
+
+expectError("fromGroup with an unknown id",
+    () => serverModule.default.fromGroup('rfc5054-1000'),
+    serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+
+// Test derivation and verification of the multiplier k
+console.log("\n🧪 MULTIPLIER K DERIVATION");
+console.log("============================");
+
+const DerivedClient = clientModule.default(rfc5054.N_base10, rfc5054.g_base10);
+const DerivedServer = serverModule.default(rfc5054.N_base10, rfc5054.g_base10, null);
+if (DerivedClient.prototype.toHex(DerivedClient.prototype.k) !== rfc5054.k_base16 ||
+    DerivedServer.prototype.toHex(DerivedServer.prototype.k) !== rfc5054.k_base16) {
+    throw new Error("an omitted k should be computed as the published k_base16");
+}
+console.log("✅ An omitted k is computed as the published k_base16");
+
+const DerivedSha1Client = clientModule.default(rfc5054Vectors.N_base10, rfc5054Vectors.g_base10, { hash: 'SHA-1' });
+if (DerivedSha1Client.prototype.hashAlgorithm !== 'SHA-1' || DerivedSha1Client.prototype.toHex(DerivedSha1Client.prototype.k) !== rfc5054Vectors.k) {
+    throw new Error("options passed in place of k should be used and k computed with their hash");
+}
+console.log("✅ Options may be passed in place of k");
+
+// the RFC style encoding of k is padded to the length of the hash output
+const paddedK = "0" + rfc5054.k_base16;
+const PaddedClient = clientModule.default(rfc5054.N_base10, rfc5054.g_base10, paddedK.toUpperCase());
+const PaddedServer = serverModule.default(rfc5054.N_base10, rfc5054.g_base10, paddedK);
+roundTrip(PaddedClient, PaddedServer, username, password);
+console.log("✅ A padded upper case k is accepted and interoperates");
+
+expectError("Client factory with a k for another hash",
+    () => clientModule.default(rfc5054.N_base10, rfc5054.g_base10, rfc5054.k_base16, { hash: 'SHA-1' }),
+    clientModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+
+expectError("Server factory with a k for another group",
+    () => serverModule.default(rfc5054Vectors.N_base10, rfc5054Vectors.g_base10, rfc5054.k_base16),
+    serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+
+expectError("Server factory with a non hex k",
+    () => serverModule.default(rfc5054.N_base10, rfc5054.g_base10, "k"),
+    serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+
+try {
+    clientModule.default(rfc5054.N_base10, rfc5054.g_base10, "1");
+    throw new Error("a wrong k should be rejected");
+} catch (e) {
+    if (e.parameter !== 'k' || e.message.indexOf(rfc5054.k_base16) < 0) {
+        throw new Error(`the error should name k and give the expected value but was: ${e.message}`);
+    }
+}
+console.log("✅ The configuration error names k and gives the expected value");
+
+// Test the async client backed by WebCrypto
+console.log("\n⏳ ASYNC CLIENT");
+console.log("================");
+
+const AsyncClientSession = clientModule.default(rfc5054.N_base10, rfc5054.g_base10, rfc5054.k_base16, { async: true });
+if (AsyncClientSession.name !== 'SRP6JavascriptClientSessionSHA256Async' || typeof globalThis.crypto.subtle.digest !== 'function') {
+    throw new Error(`unexpected async class ${AsyncClientSession.name} or no WebCrypto`);
+}
+
+const asyncVerifier = await new AsyncClientSession().generateVerifier(salt, username, password);
+if (asyncVerifier !== verifier) {
+    throw new Error("the async verifier does not match the sync verifier");
+}
+console.log("✅ Async generateVerifier matches the sync verifier");
+
+const asyncSalt = await new AsyncClientSession().generateRandomSalt();
+if (!/^[0-9a-f]{64}$/.test(asyncSalt)) {
+    throw new Error(`unexpected async salt ${asyncSalt}`);
+}
+console.log("✅ Async generateRandomSalt gives a SHA-256 hex salt");
+
+// the same private value 'a' must give the same credentials in both clients
+const fixedA = "60975527035cf2ad1989806f0407210bc81edc04e2762a56afd529ddda2d4393";
+const syncTwin = clientAtStep1();
+syncTwin.randomA = function() { return this.fromHex(fixedA); };
+const asyncTwin = new AsyncClientSession();
+asyncTwin.randomA = async function() { return this.fromHex(fixedA); };
+asyncTwin.step1(username, password);
+const asyncServer = serverWithChallenge();
+const syncTwinCredentials = syncTwin.step2(salt, B);
+const asyncTwinCredentials = await asyncTwin.step2(salt, B);
+if (asyncTwinCredentials.A !== syncTwinCredentials.A || asyncTwinCredentials.M1 !== syncTwinCredentials.M1) {
+    throw new Error("the async credentials do not match the sync credentials");
+}
+console.log("✅ Async step2 gives the same A and M1 as the sync client");
+
+const asyncM2 = asyncServer.step2(asyncTwinCredentials.A, asyncTwinCredentials.M1);
+if (await asyncTwin.step3(asyncM2) !== true || await asyncTwin.getSessionKey() !== asyncServer.getSessionKey() ||
+    await asyncTwin.getSessionKey(false) !== syncTwin.getSessionKey(false)) {
+    throw new Error("the async client should agree the session key with the server");
+}
+console.log("✅ Async client authenticates against the sync server");
+
+const asyncRoundTripClient = new AsyncClientSession();
+asyncRoundTripClient.step1(username, password);
+const asyncRoundTripServer = new SRP6JavascriptServerSession();
+const asyncRoundTripCredentials = await asyncRoundTripClient.step2(salt, asyncRoundTripServer.step1(username, salt, verifier));
+await asyncRoundTripClient.step3(asyncRoundTripServer.step2(asyncRoundTripCredentials.A, asyncRoundTripCredentials.M1));
+if (await asyncRoundTripClient.getSessionKey() !== asyncRoundTripServer.getSessionKey()) {
+    throw new Error("async round trip session keys do not match");
+}
+console.log("✅ Async round trip with a random 'a'");
+
+const AsyncRfcClientSession = clientModule.default(rfc5054Vectors.N_base10, rfc5054Vectors.g_base10, { hash: 'SHA-1', mode: 'rfc5054', async: true });
+const asyncRfcClient = new AsyncRfcClientSession();
+asyncRfcClient.randomA = async function() { return this.fromHex(rfc5054Vectors.a); };
+asyncRfcClient.step1(rfc5054Vectors.I, rfc5054Vectors.P);
+const asyncRfcCredentials = await asyncRfcClient.step2(rfc5054Vectors.s, rfc5054Vectors.B);
+expectValue("async k", asyncRfcClient.toHex(asyncRfcClient.k), rfc5054Vectors.k);
+expectValue("async x", asyncRfcClient.toHex(asyncRfcClient.x), rfc5054Vectors.x);
+expectValue("async u", asyncRfcClient.toHex(asyncRfcClient.u), rfc5054Vectors.u);
+expectValue("async M1", asyncRfcCredentials.M1, rfc5054Vectors.M1);
+await asyncRfcClient.step3(rfc5054Vectors.M2);
+expectValue("async K", await asyncRfcClient.getSessionKey(), rfc5054Vectors.K);
+
+// one implementation of each routine which hashes with HAsync in an async session
+const SyncRfcClientSession = clientModule.default(rfc5054Vectors.N_base10, rfc5054Vectors.g_base10, { hash: 'SHA-1', mode: 'rfc5054' });
+const sharedRoutines = ['generateX', 'computeU', 'computeK', 'computeM1', 'computeM2'];
+const sharedM2 = new AsyncClientSession().computeM2('0a', '0b', asyncRfcClient.fromHex('0c'));
+// the source as the constructor makes a generateX for each class
+if (sharedRoutines.some((name) => String(AsyncRfcClientSession.prototype[name]) !== String(SyncRfcClientSession.prototype[name]) ||
+    String(AsyncClientSession.prototype[name]) !== String(SRP6JavascriptClientSession.prototype[name])) || !(sharedM2 instanceof Promise) ||
+    await sharedM2 !== new SRP6JavascriptClientSession().computeM2('0a', '0b', asyncRfcClient.fromHex('0c'))) {
+    throw new Error("async sessions should share the routines of sync sessions and await their hashes");
+}
+console.log("✅ Async sessions run the routines of sync sessions with the async hash");
+
+async function expectRejection(description, fn, errorClass, code) {
+    try {
+        await fn();
+    } catch (e) {
+        if (!(e instanceof errorClass) || e.code !== code) {
+            throw new Error(`${description} rejected with ${e.name} (${e.code}) but expected ${errorClass.name} (${code})`);
+        }
+        console.log(`✅ ${description} rejected with ${e.name} (${e.code})`);
+        return;
+    }
+    throw new Error(`${description} should have rejected`);
+}
+
+await expectRejection("Async step2 with a wrong k",
+    () => {
+        const c = new (clientModule.default(rfc5054.N_base10, rfc5054.g_base10, "1", { async: true }))();
+        c.step1(username, password);
+        return c.step2(salt, B);
+    },
+    clientModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+
+await expectRejection("Async step3 with a wrong M2",
+    async () => {
+        const c = new AsyncClientSession();
+        c.step1(username, password);
+        await c.step2(salt, B);
+        return c.step3("abcd");
+    },
+    clientModule.SrpBadCredentialsError, 'SRP_BAD_CREDENTIALS');
+
+await expectRejection("Async step2 before step1",
+    () => new AsyncClientSession().step2(salt, B),
+    clientModule.SrpStateError, 'SRP_STATE');
+
+// Test the native BigInt backend against jsbn
+console.log("\n🔢 BIGINT BACKENDS");
+console.log("===================");
+
+const NativeBigInteger = clientModule.srpBigInt.NativeBigInteger;
+const JsbnBigInteger = clientModule.BigInteger;
+if (new SRP6JavascriptClientSession().bigint !== 'native' || !(new SRP6JavascriptServerSession().N instanceof serverModule.srpBigInt.NativeBigInteger)) {
+    throw new Error("the default backend should be native BigInt where the runtime has it");
+}
+const JsbnClientSession = clientModule.default(rfc5054.N_base10, rfc5054.g_base10, { bigint: 'jsbn' });
+const JsbnServerSession = serverModule.default(rfc5054.N_base10, rfc5054.g_base10, { bigint: 'jsbn' });
+if (JsbnClientSession.prototype.bigint !== 'jsbn' || !(JsbnClientSession.prototype.k instanceof JsbnBigInteger)) {
+    throw new Error("bigint: 'jsbn' should use jsbn BigInteger");
+}
+console.log("✅ The backend defaults to native BigInt and jsbn can be chosen");
+
+function sameHex(operation, nativeResult, jsbnResult) {
+    if (nativeResult.toString(16) !== jsbnResult.toString(16)) {
+        throw new Error(`native ${operation} gave ${nativeResult.toString(16)} but jsbn gave ${jsbnResult.toString(16)}`);
+    }
+}
+
+const modulusHex = new JsbnBigInteger(rfc5054.N_base10, 10).toString(16);
+const values = ["0", "1", "2", "-1", "-" + modulusHex, modulusHex, "f".repeat(600)];
+for (let i = 0; i < 6; i++) {
+    values.push((i % 2 ? "-" : "") + clientModule.randomStrings.hex(512));
+}
+const nativeN = new NativeBigInteger(modulusHex, 16);
+const jsbnN = new JsbnBigInteger(modulusHex, 16);
+for (const x of values) {
+    const nx = new NativeBigInteger(x, 16);
+    const jx = new JsbnBigInteger(x, 16);
+    sameHex("toString", nx, jx);
+    sameHex("mod", nx.mod(nativeN), jx.mod(jsbnN));
+    if (nx.signum() !== jx.signum() || nx.bitLength() !== jx.bitLength() || nx.testBit(0) !== jx.testBit(0) || nx.testBit(9) !== jx.testBit(9)) {
+        throw new Error(`native signum, bitLength or testBit differ from jsbn for ${x}`);
+    }
+    const y = values[(values.indexOf(x) + 3) % values.length];
+    const ny = new NativeBigInteger(y, 16);
+    const jy = new JsbnBigInteger(y, 16);
+    sameHex("add", nx.add(ny), jx.add(jy));
+    sameHex("subtract", nx.subtract(ny), jx.subtract(jy));
+    sameHex("multiply", nx.multiply(ny), jx.multiply(jy));
+    if (nx.compareTo(ny) !== Math.sign(jx.compareTo(jy)) || nx.equals(ny) !== jx.equals(jy)) {
+        throw new Error(`native compareTo or equals differ from jsbn for ${x} and ${y}`);
+    }
+    // negative bases occur as B - k * g^x in the client session key
+    if (jy.signum() >= 0) {
+        sameHex("modPow", nx.modPow(ny, nativeN), jx.modPow(jy, jsbnN));
+    }
+}
+sameHex("decimal parse", new NativeBigInteger(rfc5054.N_base10, 10), new JsbnBigInteger(rfc5054.N_base10, 10));
+console.log(`✅ Native arithmetic is bit-identical to jsbn for ${values.length} values`);
+
+// with the same private values every output must be the same whichever backend is used
+const fixedB = "e487cb59d31ac550471e81f00f6928e01dda08e974a004f49e61f5d105284d20";
+function fixedRun(ClientSession, ServerSession) {
+    const c = new ClientSession();
+    c.randomA = function() { return this.fromHex(fixedA); };
+    c.step1(username, password);
+    const srv = new ServerSession();
+    srv.randomB = function() { return this.fromHex(fixedB); };
+    const serverB = srv.step1(username, salt, verifier);
+    const creds = c.step2(salt, serverB);
+    const M2 = srv.step2(creds.A, creds.M1);
+    c.step3(M2);
+    return [c.generateVerifier(salt, username, password), serverB, creds.A, creds.M1, M2, c.getSessionKey(), srv.getSessionKey()].join();
+}
+if (fixedRun(SRP6JavascriptClientSession, SRP6JavascriptServerSession) !== fixedRun(JsbnClientSession, JsbnServerSession) ||
+    fixedRun(SRP6JavascriptClientSession, JsbnServerSession) !== fixedRun(JsbnClientSession, SRP6JavascriptServerSession)) {
+    throw new Error("the native and jsbn backends gave different outputs");
+}
+console.log("✅ Native and jsbn sessions give identical v, B, A, M1, M2 and K and interoperate");
+
+const rfcJsbnOptions = { hash: 'SHA-1', mode: 'rfc5054', bigint: 'jsbn' };
+const rfcJsbnClient = new (clientModule.default(rfc5054Vectors.N_base10, rfc5054Vectors.g_base10, rfcJsbnOptions))();
+rfcJsbnClient.randomA = function() { return this.fromHex(rfc5054Vectors.a); };
+rfcJsbnClient.step1(rfc5054Vectors.I, rfc5054Vectors.P);
+expectValue("jsbn M1", rfcJsbnClient.step2(rfc5054Vectors.s, rfc5054Vectors.B).M1, rfc5054Vectors.M1);
+
+expectError("Factory with an unknown bigint backend",
+    () => serverModule.default(rfc5054.N_base10, rfc5054.g_base10, { bigint: 'gmp' }),
+    serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+
+// Test the worker client with Node.js worker_threads standing in for a Web Worker
+console.log("\n👷 WORKER CLIENT");
+console.log("=================");
+
+const clientUrl = pathToFileURL(join(__dirname, '..', 'client.mjs')).href;
+const workerLog = [];
+function createNodeWorker() {
+    const worker = new Worker(`globalThis.nodeCrypto = require('crypto');
+import(${JSON.stringify(clientUrl)}).then(m => m.srpClientWorker.serve(require('worker_threads').parentPort, m.default));`, { eval: true });
+    workerLog.push('created');
+    const terminate = worker.terminate.bind(worker);
+    worker.terminate = () => {
+        workerLog.push('terminated');
+        return terminate();
+    };
+    return worker;
+}
+
+const WorkerClientSession = clientModule.default.fromGroup('rfc5054-2048', { worker: true, createWorker: createNodeWorker });
+if (WorkerClientSession.name !== 'SRP6JavascriptClientSessionSHA256Worker') {
+    throw new Error(`unexpected worker class ${WorkerClientSession.name}`);
+}
+
+const workerVerifier = await new WorkerClientSession().generateVerifier(salt, username, password);
+if (workerVerifier !== verifier || workerLog.join() !== 'created,terminated') {
+    throw new Error(`the worker verifier should match and the worker be terminated but got ${workerLog}`);
+}
+console.log("✅ generateVerifier runs in a worker which is then terminated");
+
+workerLog.length = 0;
+const workerClient = new WorkerClientSession();
+await workerClient.step1(username, password);
+const workerServer = new SRP6JavascriptServerSession();
+const workerCredentials = await workerClient.step2(salt, workerServer.step1(username, salt, verifier));
+if (workerClient.getState() !== workerClient.STEP_2 || workerLog.join() !== 'created') {
+    throw new Error("the worker should be kept between steps");
+}
+const workerM2 = workerServer.step2(workerCredentials.A, workerCredentials.M1);
+if (await workerClient.step3(workerM2) !== true || await workerClient.getSessionKey() !== workerServer.getSessionKey()) {
+    throw new Error("the worker client should agree the session key with the server");
+}
+if (workerLog.join() !== 'created,terminated' || workerClient.getState() !== workerClient.STEP_3 || workerClient.getUserID() !== username) {
+    throw new Error(`the worker should be terminated after step3 but got ${workerLog}`);
+}
+console.log("✅ A login runs in one worker which is terminated after step3 keeping the session key");
+
+workerLog.length = 0;
+await expectRejection("Worker step3 with a wrong M2",
+    async () => {
+        const c = new WorkerClientSession();
+        await c.step1(username, password);
+        await c.step2(salt, B);
+        return c.step3("abcd");
+    },
+    clientModule.SrpBadCredentialsError, 'SRP_BAD_CREDENTIALS');
+if (workerLog.join() !== 'created,terminated') {
+    throw new Error(`the worker should be terminated after a failed step3 but got ${workerLog}`);
+}
+
+await expectRejection("Worker step2 with B = 0",
+    async () => {
+        const c = new WorkerClientSession();
+        await c.step1(username, password);
+        try {
+            return await c.step2(salt, "0");
+        } finally {
+            await c.destroy();
+        }
+    },
+    clientModule.SrpInvalidParameterError, 'SRP_INVALID_PARAMETER');
+
+workerLog.length = 0;
+const abandoned = new WorkerClientSession();
+await abandoned.step1(username, password);
+await abandoned.destroy();
+await abandoned.destroy();
+if (workerLog.join() !== 'created,terminated') {
+    throw new Error(`destroy should terminate the worker once but got ${workerLog}`);
+}
+console.log("✅ destroy terminates the worker of an abandoned login");
+
+const RfcWorkerClientSession = clientModule.default(rfc5054Vectors.N_base10, rfc5054Vectors.g_base10, { hash: 'SHA-1', mode: 'rfc5054', worker: true, createWorker: createNodeWorker });
+expectValue("worker v", await new RfcWorkerClientSession().generateVerifier(rfc5054Vectors.s, rfc5054Vectors.I, rfc5054Vectors.P), rfc5054Vectors.v);
+
+expectError("Worker session with a custom hash",
+    () => clientModule.default(rfc5054.N_base10, rfc5054.g_base10, { hash: sha3_256, worker: true }),
+    clientModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+
+await expectRejection("Worker session without Web Workers or createWorker",
+    () => new (clientModule.default.fromGroup('rfc5054-2048', { worker: true }))().step1(username, password),
+    clientModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+
+console.log("\n🧂 PASSWORD STRETCHING KDF");
+console.log("==========================");
+
+const kdf = clientModule.srpKdf;
+const { pbkdf2Sync, scryptSync } = await import('crypto');
+const nacl = clientModule.srpEncoding.utf8Bytes('NaCl');
+const passwordBytes = clientModule.srpEncoding.utf8Bytes('password');
+
+// RFC 7914 section 12 using the pure JavaScript scrypt as the tests inject only createHash
+expectValue("scrypt('', '', 16, 1, 1)", clientModule.srpEncoding.bytesToHex(kdf.scrypt(new Uint8Array(0), new Uint8Array(0), 16, 1, 1, 64)),
+    "77d6576238657b203b19ca42c18a0497f16b4844e3074ae8dfdffa3fede21442fcd0069ded0948f8326a753a0fc81f17e8d3e0fb2e0d3628cf35e20c38d18906", 'RFC 7914');
+expectValue("scrypt('password', 'NaCl', 1024, 8, 16)", clientModule.srpEncoding.bytesToHex(kdf.scrypt(passwordBytes, nacl, 1024, 8, 16, 64)),
+    scryptSync('password', 'NaCl', 64, { N: 1024, r: 8, p: 16 }).toString('hex'), 'Node.js crypto');
+{
+    let turns = 0;
+    const ticker = setInterval(() => turns++, 0);
+    const asyncKey = clientModule.srpEncoding.bytesToHex(await kdf.scryptAsync(passwordBytes, nacl, 4096, 8, 1, 64));
+    clearInterval(ticker);
+    expectValue("scryptAsync('password', 'NaCl', 4096, 8, 1)", asyncKey,
+        scryptSync('password', 'NaCl', 64, { N: 4096, r: 8, p: 1 }).toString('hex'), 'Node.js crypto');
+    if (turns < 2) {
+        throw new Error(`Expected the pure JavaScript scryptAsync to yield to the event loop, got ${turns} turns`);
+    }
+    console.log(`✅ PASS: scryptAsync yields to the event loop between blocks (${turns} turns)`);
+}
+expectValue("pbkdf2('password', 'NaCl', 1000)", clientModule.srpEncoding.bytesToHex(kdf.pbkdf2(passwordBytes, nacl, 1000, 40)),
+    pbkdf2Sync('password', 'NaCl', 1000, 40, 'sha256').toString('hex'), 'Node.js crypto');
+
+// the same as a session without a kdf given the hex of KDF(P, s) as the password
+const saltBytes = Buffer.from(salt, 'hex');
+const fakeArgon2 = (p, s, params) => createHash('sha256').update(Buffer.concat([Buffer.from(s), Buffer.from(p), Buffer.from([params.iterations])])).digest();
+const kdfCases = [
+    [{ name: 'pbkdf2-sha256', iterations: 1000 }, pbkdf2Sync(password, saltBytes, 1000, 32, 'sha256').toString('hex')],
+    [{ name: 'scrypt', N: 1024, r: 8, p: 1 }, scryptSync(password, saltBytes, 32, { N: 1024, r: 8, p: 1 }).toString('hex')],
+    [{ name: 'argon2id', iterations: 3, provider: fakeArgon2 }, fakeArgon2(Buffer.from(password), saltBytes, { iterations: 3 }).toString('hex')]
+];
+for (const [option, stretched] of kdfCases) {
+    for (const mode of ['thinbus', 'rfc5054']) {
+        const KdfClient = clientModule.default.fromGroup('rfc5054-1024', { kdf: option, mode });
+        const KdfServer = serverModule.default.fromGroup('rfc5054-1024', { mode });
+        const plainVerifier = new (clientModule.default.fromGroup('rfc5054-1024', { mode }))().generateVerifier(salt, username, stretched);
+        if (new KdfClient().generateVerifier(salt, username, password) !== plainVerifier) {
+            throw new Error(`${option.name} ${mode} should hash the stretched password`);
+        }
+        roundTrip(KdfClient, KdfServer, username, password);
+    }
+    console.log(`✅ ${option.name} stretches the password in both modes and logs in`);
+}
+
+const Pbkdf2Client = clientModule.default.fromGroup('rfc5054-1024', { kdf: 'pbkdf2-sha256' });
+if (JSON.stringify(Pbkdf2Client.prototype.kdf) !== JSON.stringify({ name: 'pbkdf2-sha256', iterations: 600000, dkLen: 32 }) || SRP6JavascriptClientSession.prototype.kdf !== null) {
+    throw new Error(`unexpected kdf settings ${JSON.stringify(Pbkdf2Client.prototype.kdf)}`);
+}
+const scryptSettings = clientModule.default.fromGroup('rfc5054-1024', { kdf: { name: 'scrypt', N: 65536 } }).prototype.kdf;
+if (JSON.stringify(scryptSettings) !== JSON.stringify({ name: 'scrypt', N: 65536, r: 8, p: 1, dkLen: 32 })) {
+    throw new Error(`unexpected scrypt settings ${JSON.stringify(scryptSettings)}`);
+}
+console.log("✅ session.kdf holds the settings to store with the verifier");
+
+// WebCrypto PBKDF2 and an async provider give the same verifiers
+const asyncKdfOptions = { name: 'pbkdf2-sha256', iterations: 1000 };
+const asyncKdfVerifier = await new (clientModule.default.fromGroup('rfc5054-1024', { kdf: asyncKdfOptions, async: true }))().generateVerifier(salt, username, password);
+const syncKdfVerifier = new (clientModule.default.fromGroup('rfc5054-1024', { kdf: asyncKdfOptions }))().generateVerifier(salt, username, password);
+const asyncArgon2 = async (p, s, params) => fakeArgon2(p, s, params);
+const asyncArgon2Verifier = await new (clientModule.default.fromGroup('rfc5054-1024', { kdf: { name: 'argon2id', iterations: 3, provider: asyncArgon2 }, async: true }))().generateVerifier(salt, username, password);
+const syncArgon2Verifier = new (clientModule.default.fromGroup('rfc5054-1024', { kdf: kdfCases[2][0] }))().generateVerifier(salt, username, password);
+if (asyncKdfVerifier !== syncKdfVerifier || asyncArgon2Verifier !== syncArgon2Verifier) {
+    throw new Error("async stretching should match the synchronous session");
+}
+console.log("✅ Async sessions stretch with WebCrypto PBKDF2 and async providers");
+
+expectError("Unknown kdf",
+    () => clientModule.default.fromGroup('rfc5054-1024', { kdf: 'bcrypt' }),
+    clientModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+expectError("scrypt N that is not a power of two",
+    () => clientModule.default.fromGroup('rfc5054-1024', { kdf: { name: 'scrypt', N: 1000 } }),
+    clientModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+expectError("Zero PBKDF2 iterations",
+    () => clientModule.default.fromGroup('rfc5054-1024', { kdf: { name: 'pbkdf2-sha256', iterations: 0 } }),
+    clientModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+expectError("argon2id without a provider",
+    () => clientModule.default.fromGroup('rfc5054-1024', { kdf: 'argon2id' }),
+    clientModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+expectError("Async argon2id provider in a synchronous session",
+    () => new (clientModule.default.fromGroup('rfc5054-1024', { kdf: { name: 'argon2id', provider: asyncArgon2 } }))().generateVerifier(salt, username, password),
+    clientModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+expectError("Worker session with an argon2id provider",
+    () => clientModule.default.fromGroup('rfc5054-1024', { kdf: { name: 'argon2id', provider: fakeArgon2 }, worker: true, createWorker: createNodeWorker }),
+    clientModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+
+const workerKdfVerifier = await new (clientModule.default.fromGroup('rfc5054-1024', { kdf: kdfCases[1][0], worker: true, createWorker: createNodeWorker }))().generateVerifier(salt, username, password);
+if (workerKdfVerifier !== new (clientModule.default.fromGroup('rfc5054-1024', { kdf: kdfCases[1][0] }))().generateVerifier(salt, username, password)) {
+    throw new Error("the worker should stretch with the same kdf settings");
+}
+console.log("✅ Worker sessions receive the kdf settings");
+
+console.log("\n🗂️  VERIFIER RECORDS");
+console.log("====================");
+
+const records = clientModule.srpVerifierRecord;
+const record = client.generateVerifierRecord(salt, username, password);
+const serialized = records.serialize(record);
+if (record.group !== 'rfc5054-2048' || record.hash !== 'SHA-256' || record.mode !== 'thinbus' || record.kdf !== null || record.verifier !== verifier
+    || Object.keys(JSON.parse(serialized)).join() !== 'version,group,hash,mode,kdf,kdfParams,salt,verifier') {
+    throw new Error(`unexpected record ${serialized}`);
+}
+if (JSON.stringify(serverModule.srpVerifierRecord.parse(serialized)) !== JSON.stringify(record)) {
+    throw new Error("a serialized record should parse to the same record");
+}
+console.log("✅ generateVerifierRecord names the group, hash, mode and kdf of the verifier");
+
+// the server accepts the record or its serialized form in place of the salt and verifier
+for (const stored of [record, serialized]) {
+    const RecordServer = serverModule.default.fromRecord(serialized);
+    const RecordClient = clientModule.default.fromRecord(serialized);
+    const c = new RecordClient();
+    c.step1(username, password);
+    const srv = new RecordServer();
+    const creds = c.step2(record.salt, srv.step1(username, stored));
+    c.step3(srv.step2(creds.A, creds.M1));
+    if (c.getSessionKey() !== srv.getSessionKey() || srv.record.verifier !== verifier) {
+        throw new Error("a login from a record should agree the session key");
+    }
+}
+console.log("✅ Server step1 accepts the record or its serialized form");
+
+const scryptRecord = new (clientModule.default.fromGroup('rfc5054-1024', { hash: 'SHA-1', mode: 'rfc5054', kdf: { name: 'scrypt', N: 1024 } }))()
+    .generateVerifierRecord(salt, username, password);
+if (scryptRecord.kdf !== 'scrypt' || JSON.stringify(scryptRecord.kdfParams) !== JSON.stringify({ N: 1024, r: 8, p: 1, dkLen: 32 })) {
+    throw new Error(`unexpected kdf in ${records.serialize(scryptRecord)}`);
+}
+const ScryptRecordClient = clientModule.default.fromRecord(records.serialize(scryptRecord));
+if (ScryptRecordClient.name !== 'SRP6JavascriptClientSessionSHA1' || ScryptRecordClient.prototype.mode !== 'rfc5054' || ScryptRecordClient.prototype.kdf.N !== 1024) {
+    throw new Error("fromRecord should recreate the session class of the record");
+}
+const scryptLogin = new ScryptRecordClient();
+scryptLogin.step1(username, password);
+const scryptServer = new (serverModule.default.fromRecord(scryptRecord))();
+const scryptCreds = scryptLogin.step2(scryptRecord.salt, scryptServer.step1(username, scryptRecord));
+scryptLogin.step3(scryptServer.step2(scryptCreds.A, scryptCreds.M1));
+console.log("✅ fromRecord recreates the group, hash, mode and kdf settings for login");
+
+const toyRecord = new (clientModule.default("23", "5"))().generateVerifierRecord("ab", username, password);
+if (toyRecord.group !== null || toyRecord.N !== "23" || toyRecord.g !== "5" || serverModule.default.fromRecord(records.serialize(toyRecord)).prototype.N.toString(10) !== "23") {
+    throw new Error(`unexpected custom group record ${records.serialize(toyRecord)}`);
+}
+console.log("✅ Records of custom groups hold N and g");
+
+const asyncRecord = await new (clientModule.default.fromGroup('rfc5054-2048', { async: true }))().generateVerifierRecord(salt, username, password);
+if (asyncRecord.verifier !== verifier) {
+    throw new Error("an async session should resolve to the same record");
+}
+console.log("✅ Async sessions return a promise of the record");
+
+const sha3Record = new Sha3Client().generateVerifierRecord(salt, username, password);
+if (clientModule.default.fromRecord(sha3Record, { hash: sha3_256 }).prototype.hashAlgorithm !== 'sha3_256') {
+    throw new Error("a custom hash should be passed to fromRecord");
+}
+expectError("fromRecord of a custom hash without the function",
+    () => clientModule.default.fromRecord(sha3Record),
+    clientModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+const lowerCaseHashRecord = records.parse(Object.assign({}, record, { hash: 'sha256' }));
+if (lowerCaseHashRecord.hash !== 'SHA-256' || serverModule.default.fromRecord(lowerCaseHashRecord, { hash: 'SHA-256' }).prototype.hashAlgorithm !== 'SHA-256') {
+    throw new Error(`a record should hold the canonical hash name, got ${lowerCaseHashRecord.hash}`);
+}
+console.log("✅ Records normalise 'sha256' to 'SHA-256'");
+expectInvalid("Record with an unsupported SHA hash",
+    () => records.parse(Object.assign({}, record, { hash: 'SHA-224' })), 'record', 'malformed');
+expectInvalid("Record with a hash name no hash function can have",
+    () => records.parse(Object.assign({}, record, { hash: 'SHA 256!' })), 'record', 'malformed');
+expectError("Custom hash function with the name of a SHA algorithm",
+    () => clientModule.default.fromGroup('rfc5054-2048', { hash: { name: 'sha224', H: sha3_256 } }),
+    clientModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+expectError("fromRecord with a different hash",
+    () => serverModule.default.fromRecord(record, { hash: 'SHA-1' }),
+    serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+expectError("Server step1 with the record of another hash",
+    () => new (serverModule.default.fromGroup('rfc5054-2048', { hash: 'SHA-512' }))().step1(username, serialized),
+    serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+expectError("Server step1 with the record of another group",
+    () => new DerivedServer().step1(username, scryptRecord),
+    serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+expectError("Record of an unsupported version",
+    () => records.parse(Object.assign({}, record, { version: 2 })),
+    clientModule.SrpInvalidParameterError, 'SRP_INVALID_PARAMETER');
+expectError("Record that is not JSON",
+    () => new RfcServerSession().step1(username, '{"version":1,'),
+    serverModule.SrpInvalidParameterError, 'SRP_INVALID_PARAMETER');
+expectError("Record of an unknown group",
+    () => records.parse(Object.assign({}, record, { group: 'rfc5054-1000' })),
+    clientModule.SrpInvalidParameterError, 'SRP_INVALID_PARAMETER');
+expectError("Record with a non hex verifier",
+    () => records.parse(Object.assign({}, record, { verifier: 'xyz' })),
+    clientModule.SrpInvalidParameterError, 'SRP_INVALID_PARAMETER');
+
+console.log("\n⬆️  VERIFIER UPGRADE");
+console.log("===================");
+
+const upgradeTo = { group: 'rfc5054-3072', hash: 'SHA-512', mode: 'rfc5054', kdf: 'scrypt', kdfParams: { N: 1024 } };
+
+// a login with the record of the 2048 bit SHA-256 setup
+async function loginForUpgrade(stored, options) {
+    const c = new (clientModule.default.fromRecord(stored))();
+    c.step1(username, password);
+    const UpgradeServer = serverModule.default.fromRecord(stored, options);
+    const first = new UpgradeServer();
+    const challenge = first.step1(username, stored);
+    // the server may not keep the session between requests
+    const srv = new UpgradeServer();
+    srv.fromPrivateStoreState(JSON.parse(JSON.stringify(first.toPrivateStoreState())));
+    const creds = c.step2(records.parse(stored).salt, challenge);
+    c.step3(srv.step2(creds.A, creds.M1));
+    return { c, srv };
+}
+
+const { c: oldClient, srv: oldServer } = await loginForUpgrade(serialized, { upgradeTo });
+if (!oldServer.rehashRequired || oldServer.upgradeTo.group !== 'rfc5054-3072') {
+    throw new Error("a login with an outdated record should require a rehash");
+}
+const sealed = await oldClient.upgradeVerifier(oldServer.upgradeTo, password);
+if (JSON.stringify(sealed).indexOf(password) >= 0 || sealed.iv.length !== 24) {
+    throw new Error(`unexpected sealed upgrade ${JSON.stringify(sealed)}`);
+}
+const upgraded = await oldServer.acceptVerifierUpgrade(sealed);
+if (upgraded.group !== 'rfc5054-3072' || upgraded.hash !== 'SHA-512' || upgraded.kdf !== 'scrypt' || upgraded.kdfParams.N !== 1024 || upgraded.salt === record.salt) {
+    throw new Error(`unexpected replacement record ${records.serialize(upgraded)}`);
+}
+console.log("✅ The server flags an outdated record and opens the client's sealed replacement");
+
+const { srv: newServer } = await loginForUpgrade(records.serialize(upgraded), { upgradeTo });
+if (newServer.rehashRequired || newServer.getSessionKey().length !== 128) {
+    throw new Error("a login with the replacement record should not require a rehash");
+}
+const { srv: plainServer } = await loginForUpgrade(serialized);
+if (plainServer.rehashRequired || server.rehashRequired) {
+    throw new Error("a rehash should only be required with upgradeTo and a record");
+}
+console.log("✅ The replacement record logs in under the new parameters");
+
+await expectRejection("Upgrade opened by another login",
+    async () => (await loginForUpgrade(serialized, { upgradeTo })).srv.acceptVerifierUpgrade(sealed),
+    serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+await expectRejection("Tampered upgrade",
+    async () => {
+        const { c, srv } = await loginForUpgrade(serialized, { upgradeTo });
+        const message = await c.upgradeVerifier(upgradeTo, password);
+        const flipped = (parseInt(message.ciphertext.charAt(0), 16) ^ 1).toString(16);
+        return srv.acceptVerifierUpgrade({ iv: message.iv, ciphertext: flipped + message.ciphertext.substring(1) });
+    },
+    serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+await expectRejection("Upgrade to other parameters than upgradeTo",
+    async () => {
+        const { c, srv } = await loginForUpgrade(serialized, { upgradeTo });
+        return srv.acceptVerifierUpgrade(await c.upgradeVerifier(Object.assign({}, upgradeTo, { kdfParams: { N: 2048 } }), password));
+    },
+    serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+await expectRejection("Upgrade that was not required",
+    async () => {
+        const { c, srv } = await loginForUpgrade(records.serialize(upgraded), { upgradeTo });
+        return srv.acceptVerifierUpgrade(await c.upgradeVerifier(upgradeTo, password));
+    },
+    serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+await expectRejection("Client upgrade before step3",
+    () => new SRP6JavascriptClientSession().upgradeVerifier(upgradeTo, password),
+    clientModule.SrpStateError, 'SRP_STATE');
+await expectRejection("Server upgrade before step2",
+    () => new (serverModule.default.fromRecord(serialized, { upgradeTo }))().acceptVerifierUpgrade(sealed),
+    serverModule.SrpStateError, 'SRP_STATE');
+
+console.log("\n🗝️  DERIVED KEYS");
+console.log("================");
+
+const { hkdfSync } = await import('crypto');
+const { client: keyClient, server: keyServer } = roundTrip(SRP6JavascriptClientSession, SRP6JavascriptServerSession, username, password);
+const vaultKey = await keyClient.deriveKey('vault');
+const paddedS = Buffer.from(clientModule.srpEncoding.bigIntegerToBytes(keyClient.S, 256));
+if (vaultKey !== await keyServer.deriveKey('vault') || vaultKey !== Buffer.from(hkdfSync('sha256', paddedS, new Uint8Array(0), 'vault', 32)).toString('hex')) {
+    throw new Error("client and server should derive HKDF-SHA-256 of PAD(S)");
+}
+if (vaultKey === await keyClient.deriveKey('mac') || (await keyServer.deriveKey('vault', 16)).length !== 32) {
+    throw new Error("labels and lengths should give different keys");
+}
+const vaultBytes = await keyServer.deriveKey('vault', 32, 'bytes');
+if (!(vaultBytes instanceof Uint8Array) || clientModule.srpEncoding.bytesToHex(vaultBytes) !== vaultKey) {
+    throw new Error("bytes should be the same key as hex");
+}
+console.log("✅ Client and server derive the same labelled subkeys as hex or bytes");
+
+const aesIv = new Uint8Array(12);
+const aesCiphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: aesIv }, await keyClient.deriveKey('vault', 32, 'AES-GCM'), Buffer.from('secret'));
+const aesPlaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: aesIv }, await keyServer.deriveKey('vault', 32, { name: 'AES-GCM' }), aesCiphertext);
+const hmacSignature = await crypto.subtle.sign('HMAC', await keyClient.deriveKey('mac', 32, 'HMAC'), Buffer.from('GET /'));
+if (Buffer.from(aesPlaintext).toString() !== 'secret' || !await crypto.subtle.verify('HMAC', await keyServer.deriveKey('mac', 32, { name: 'HMAC', hash: 'SHA-256' }), hmacSignature, Buffer.from('GET /'))) {
+    throw new Error("CryptoKeys derived on each side should work together");
+}
+console.log("✅ deriveKey returns AES-GCM and HMAC CryptoKeys");
+
+const Sha512Client = clientModule.default.fromGroup('rfc5054-2048', { hash: 'SHA-512', async: true });
+const { client: sha512Client, server: sha512Server } = await (async () => {
+    const c = new Sha512Client();
+    await c.step1(username, password);
+    const srv = new (serverModule.default.fromGroup('rfc5054-2048', { hash: 'SHA-512' }))();
+    const creds = await c.step2(salt, srv.step1(username, salt, await new Sha512Client().generateVerifier(salt, username, password)));
+    await c.step3(srv.step2(creds.A, creds.M1));
+    return { client: c, server: srv };
+})();
+const sha512S = Buffer.from(clientModule.srpEncoding.bigIntegerToBytes(sha512Server.S, 256));
+if (await sha512Client.deriveKey('vault', 255 * 64) !== Buffer.from(hkdfSync('sha512', sha512S, new Uint8Array(0), 'vault', 255 * 64)).toString('hex')) {
+    throw new Error("a SHA-512 session should derive with HKDF-SHA-512");
+}
+console.log("✅ An async SHA-512 session derives with HKDF-SHA-512");
+
+await expectRejection("deriveKey before the client checked M2",
+    async () => {
+        const c = clientAtStep1();
+        c.step2(salt, B);
+        return c.deriveKey('vault');
+    },
+    clientModule.SrpStateError, 'SRP_STATE');
+await expectRejection("deriveKey before the server checked M1",
+    () => serverWithChallenge().deriveKey('vault'),
+    serverModule.SrpStateError, 'SRP_STATE');
+await expectRejection("deriveKey longer than HKDF allows",
+    () => keyServer.deriveKey('vault', 255 * 32 + 1),
+    serverModule.SrpInvalidParameterError, 'SRP_INVALID_PARAMETER');
+await expectRejection("deriveKey without a label",
+    () => keyClient.deriveKey(''),
+    clientModule.SrpInvalidParameterError, 'SRP_INVALID_PARAMETER');
+await expectRejection("deriveKey as an unknown algorithm without usages",
+    () => keyClient.deriveKey('vault', 32, 'ECDH'),
+    clientModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+
+console.log("\n📨 SECURE CHANNEL");
+console.log("=================");
+
+for (const length of [0, 1, 2, 3, 4, 5, 31, 32, 33]) {
+    const bytes = new Uint8Array(length).map((_, i) => (i * 97 + 13) & 0xff);
+    const encoded = enc.bytesToBase64url(bytes);
+    if (encoded !== Buffer.from(bytes).toString('base64url') || Buffer.compare(Buffer.from(enc.base64urlToBytes(encoded)), Buffer.from(bytes)) !== 0) {
+        throw new Error(`base64url of ${length} bytes should match Node.js`);
+    }
+}
+console.log("✅ base64url encoding matches Node.js");
+
+const clientChannel = await keyClient.createSecureChannel();
+const serverChannel = await keyServer.createSecureChannel();
+const vaultItem = JSON.stringify({ site: "example.com", secret: "hunter2 🔑" });
+const sealedItem = await clientChannel.seal(vaultItem);
+if (sealedItem.indexOf("hunter2") >= 0 || await serverChannel.open(sealedItem) !== vaultItem) {
+    throw new Error("the server should open the client's message");
+}
+const binary = new Uint8Array([0, 1, 2, 255]);
+const sealedBinary = await serverChannel.seal(binary, "/vault/1");
+const openedBinary = await clientChannel.open(sealedBinary, "/vault/1");
+if (!(openedBinary instanceof Uint8Array) || openedBinary.join() !== binary.join()) {
+    throw new Error("the client should open the server's bytes");
+}
+console.log("✅ Client and server exchange text and bytes in both directions");
+
+const [first, second] = await Promise.all([clientChannel.seal("one"), clientChannel.seal("two")]);
+await expectRejection("Channel message out of order",
+    () => serverChannel.open(second),
+    serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+if (await serverChannel.open(first) !== "one" || await serverChannel.open(second) !== "two") {
+    throw new Error("messages should open in the order they were sealed");
+}
+await expectRejection("Replayed channel message",
+    () => serverChannel.open(first),
+    serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+const echo = await clientChannel.seal("echo");
+await expectRejection("Channel message reflected to its sender",
+    () => clientChannel.open(echo),
+    clientModule.SrpProtocolError, 'SRP_PROTOCOL');
+if (await serverChannel.open(echo) !== "echo") {
+    throw new Error("a reflected message should still open on the other side");
+}
+const tampered = await clientChannel.seal("pay 10");
+const tamperedBytes = enc.base64urlToBytes(tampered);
+tamperedBytes[tamperedBytes.length - 1] ^= 1;
+await expectRejection("Tampered channel message",
+    () => serverChannel.open(enc.bytesToBase64url(tamperedBytes)),
+    serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+await expectRejection("Channel message with other associated data",
+    () => serverChannel.open(tampered, "/other"),
+    serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+if (await serverChannel.open(tampered) !== "pay 10") {
+    throw new Error("a rejected message should not advance the sequence");
+}
+await expectRejection("Channel message of another login",
+    async () => (await keyServer.createSecureChannel()).open(await (await sha512Client.createSecureChannel()).seal("hi")),
+    serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+await expectRejection("Channel message of another label",
+    async () => (await keyServer.createSecureChannel('files')).open(await (await keyClient.createSecureChannel()).seal("hi")),
+    serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+await expectRejection("Channel message that is not base64url",
+    () => serverChannel.open("not base64!"),
+    serverModule.SrpInvalidParameterError, 'SRP_INVALID_PARAMETER');
+await expectRejection("Channel before the login completed",
+    () => clientAtStep1().createSecureChannel(),
+    clientModule.SrpStateError, 'SRP_STATE');
+
+console.log("\n✍️  REQUEST SIGNING");
+console.log("==================");
+
+let clock = 1700000000000;
+const signer = await keyClient.createRequestSigner({ now: () => clock });
+const requestVerifier = await keyServer.createRequestVerifier({ now: () => clock });
+const postRequest = { method: 'post', path: '/api/vault?id=1', body: '{"secret":"hunter2"}' };
+const authorization = await signer.sign(postRequest);
+if (!/^SRP-HMAC t=1700000000000, n=[0-9a-f]{32}, s=[A-Za-z0-9_-]{43}$/.test(authorization)) {
+    throw new Error(`unexpected authorization header ${authorization}`);
+}
+const canonicalRequest = ['POST', postRequest.path, createHash('sha256').update(postRequest.body).digest('hex'), '1700000000000', authorization.split(', ')[1].slice(2)].join('\n');
+const signingKey = Buffer.from(await keyClient.deriveKey('thinbus-srp request signing'), 'hex');
+if (authorization.split('s=')[1] !== createHmac('sha256', signingKey).update(canonicalRequest).digest('base64url')) {
+    throw new Error("the signature should be the HMAC of the canonical request");
+}
+if (await requestVerifier.verify({ ...postRequest, method: 'POST', authorization }) !== true) {
+    throw new Error("the server should accept the client's signature");
+}
+const getAuthorization = await signer.sign({ method: 'GET', path: '/api/vault', body: new Uint8Array(0) });
+if (await requestVerifier.verify({ method: 'GET', path: '/api/vault', authorization: getAuthorization }) !== true) {
+    throw new Error("an empty body should sign the same as no body");
+}
+console.log("✅ Server verifies a signed request with and without a body");
+
+await expectRejection("Replayed signed request",
+    () => requestVerifier.verify({ ...postRequest, authorization }),
+    serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+await expectRejection("Signed request with another body",
+    async () => requestVerifier.verify({ ...postRequest, body: '{"secret":"other"}', authorization: await signer.sign(postRequest) }),
+    serverModule.SrpBadCredentialsError, 'SRP_BAD_CREDENTIALS');
+await expectRejection("Signed request with another path",
+    async () => requestVerifier.verify({ ...postRequest, path: '/api/admin', authorization: await signer.sign(postRequest) }),
+    serverModule.SrpBadCredentialsError, 'SRP_BAD_CREDENTIALS');
+const retried = await signer.sign(postRequest);
+await expectRejection("Signed request with a forged signature",
+    () => requestVerifier.verify({ ...postRequest, authorization: retried.slice(0, -2) + (retried.endsWith('AA') ? 'BA' : 'AA') }),
+    serverModule.SrpBadCredentialsError, 'SRP_BAD_CREDENTIALS');
+if (await requestVerifier.verify({ ...postRequest, authorization: retried }) !== true) {
+    throw new Error("a rejected signature should not use up the nonce");
+}
+const stale = await signer.sign(postRequest);
+clock += 300001;
+await expectRejection("Signed request outside the time window",
+    () => requestVerifier.verify({ ...postRequest, authorization: stale }),
+    serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+if (Object.keys(requestVerifier.seen).length !== 3) {
+    throw new Error("the verifier should keep the nonces inside the window");
+}
+await requestVerifier.verify({ ...postRequest, authorization: await signer.sign(postRequest) });
+if (Object.keys(requestVerifier.seen).length !== 1) {
+    throw new Error("the verifier should forget nonces older than the window");
+}
+await expectRejection("Signed request of another login",
+    async () => requestVerifier.verify({ ...postRequest, authorization: await (await sha512Client.createRequestSigner({ now: () => clock })).sign(postRequest) }),
+    serverModule.SrpBadCredentialsError, 'SRP_BAD_CREDENTIALS');
+await expectRejection("Request without a signature",
+    () => requestVerifier.verify(postRequest),
+    serverModule.SrpInvalidParameterError, 'SRP_INVALID_PARAMETER');
+await expectRejection("Request with a malformed signature",
+    () => requestVerifier.verify({ ...postRequest, authorization: 'Bearer abc' }),
+    serverModule.SrpInvalidParameterError, 'SRP_INVALID_PARAMETER');
+await expectRejection("Request signer before the login completed",
+    () => clientAtStep1().createRequestSigner(),
+    clientModule.SrpStateError, 'SRP_STATE');
+
+console.log("\n🔒 SEALED SERVER STATE");
+console.log("======================");
+
+const oldSecret = "old server secret of 32 bytes !!";
+const newSecret = new Uint8Array(32).fill(7);
+const sealingClient = new SRP6JavascriptClientSession();
+sealingClient.step1(username, password);
+const sealingServer = new SRP6JavascriptServerSession();
+const sealedB = sealingServer.step1(username, salt, verifier);
+const sealedToken = await sealingServer.toSealedState(oldSecret);
+if (!/^[A-Za-z0-9_-]+$/.test(sealedToken) || sealedToken.indexOf(enc.bytesToBase64url(enc.utf8Bytes(username))) >= 0) {
+    throw new Error("the sealed state should be opaque base64url");
+}
+const restoredServer = new SRP6JavascriptServerSession();
+await restoredServer.fromSealedState(sealedToken, [newSecret, oldSecret]);
+const sealedCredentials = sealingClient.step2(salt, sealedB);
+sealingClient.step3(restoredServer.step2(sealedCredentials.A, sealedCredentials.M1));
+if (restoredServer.getSessionKey() !== sealingClient.getSessionKey()) {
+    throw new Error("a restored server should complete the login");
+}
+console.log("✅ Sealed state restored with a rotated keyring completes the login");
+
+const keyId = (token) => enc.bytesToHex(enc.base64urlToBytes(token).subarray(1, 5));
+if (keyId(await serverWithChallenge().toSealedState([newSecret, oldSecret])) === keyId(sealedToken) ||
+    keyId(await serverWithChallenge().toSealedState([oldSecret])) !== keyId(sealedToken)) {
+    throw new Error("the first secret of the keyring should seal");
+}
+await expectRejection("Sealed state after its secret was retired",
+    () => new SRP6JavascriptServerSession().fromSealedState(sealedToken, newSecret),
+    serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+const tamperedState = enc.base64urlToBytes(sealedToken);
+tamperedState[30] ^= 1;
+await expectRejection("Tampered sealed state",
+    () => new SRP6JavascriptServerSession().fromSealedState(enc.bytesToBase64url(tamperedState), oldSecret),
+    serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+await expectRejection("Sealed state that is not a token",
+    () => new SRP6JavascriptServerSession().fromSealedState("abc", oldSecret),
+    serverModule.SrpInvalidParameterError, 'SRP_INVALID_PARAMETER');
+await expectRejection("Sealed state with a short secret",
+    () => serverWithChallenge().toSealedState("short"),
+    serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+await expectRejection("Sealed state before step1",
+    () => new SRP6JavascriptServerSession().toSealedState(oldSecret),
+    serverModule.SrpStateError, 'SRP_STATE');
+
+console.log("\n⏳ CHALLENGE EXPIRY AND SINGLE USE");
+console.log("==================================");
+
+if (typeof privateState.iat !== 'number' || privateState.ttl !== serverModule.srpChallenge.DEFAULT_TTL_MS || !/^[0-9a-f]{32}$/.test(privateState.cid)) {
+    throw new Error("the private store state should carry iat, ttl and cid");
+}
+await expectRejection("Second step2 of a challenge restored twice",
+    async () => {
+        const again = new SRP6JavascriptServerSession();
+        again.fromPrivateStoreState(JSON.parse(cacheJson));
+        return again.step2(credentials.A, credentials.M1);
+    },
+    serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+const guessedServer = serverWithChallenge();
+expectError("Password guess on the same session after a wrong one",
+    () => {
+        try {
+            guessedServer.step2(wrongCredentials.A, wrongCredentials.M1);
+        } catch (e) {
+            guessedServer.step2(credentials.A, credentials.M1);
+        }
+    },
+    serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+
+let challengeClock = 1700000000000;
+const ExpiringServer = serverModule.default(rfc5054.N_base10, rfc5054.g_base10, { now: () => challengeClock, challengeTtl: 1000 });
+const expiring = new ExpiringServer();
+expiring.step1(username, salt, verifier);
+const expiringState = expiring.toPrivateStoreState();
+if (expiringState.iat !== challengeClock || expiringState.ttl !== 1000) {
+    throw new Error("iat and ttl should come from the factory options");
+}
+challengeClock += 1000;
+new ExpiringServer().fromPrivateStoreState(expiringState);
+challengeClock += 1;
+expectError("Restoring an expired challenge",
+    () => new ExpiringServer().fromPrivateStoreState(expiringState),
+    serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+expectError("Restoring a challenge without a cid",
+    () => new SRP6JavascriptServerSession().fromPrivateStoreState({ ...JSON.parse(cacheJson), cid: undefined }),
+    serverModule.SrpInvalidParameterError, 'SRP_INVALID_PARAMETER');
+expectError("Restoring a challenge without an iat",
+    () => new SRP6JavascriptServerSession().fromPrivateStoreState({ ...JSON.parse(cacheJson), iat: "yesterday" }),
+    serverModule.SrpInvalidParameterError, 'SRP_INVALID_PARAMETER');
+expectError("Server factory with a negative challengeTtl",
+    () => serverModule.default(rfc5054.N_base10, rfc5054.g_base10, { challengeTtl: -1 }),
+    serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+
+const sharedStore = new Set();
+const consumed = [];
+const ClusterServer = serverModule.default(rfc5054.N_base10, rfc5054.g_base10, {
+    consumeChallenge: async (cid, expiresAt) => {
+        consumed.push(expiresAt);
+        if (sharedStore.has(cid)) {
+            return false;
+        }
+        sharedStore.add(cid);
+        return true;
+    }
+});
+const clusterClient = clientAtStep1();
+const clusterFirst = new ClusterServer();
+const clusterB = clusterFirst.step1(username, salt, verifier);
+const clusterState = JSON.stringify(clusterFirst.toPrivateStoreState());
+const clusterCredentials = clusterClient.step2(salt, clusterB);
+const clusterServer = new ClusterServer();
+clusterServer.fromPrivateStoreState(JSON.parse(clusterState));
+const clusterM2 = clusterServer.step2Async(clusterCredentials.A, clusterCredentials.M1);
+if (!(clusterM2 instanceof Promise) || !clusterClient.step3(await clusterM2) || consumed[0] !== clusterFirst.iat + clusterFirst.ttl) {
+    throw new Error("step2Async should return a promise of M2 with an async consumeChallenge hook");
+}
+await expectRejection("Challenge replayed against an async consumeChallenge hook",
+    async () => {
+        const replay = new ClusterServer();
+        replay.fromPrivateStoreState(JSON.parse(clusterState));
+        return replay.step2Async(clusterCredentials.A, clusterCredentials.M1);
+    },
+    serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+console.log("✅ An async consumeChallenge hook consumes each challenge once");
+{
+    const asyncHookClient = clientAtStep1();
+    const asyncHookServer = new ClusterServer();
+    const asyncHookCredentials = asyncHookClient.step2(salt, asyncHookServer.step1(username, salt, verifier));
+    expectError("Sync step2 with an async consumeChallenge hook",
+        () => asyncHookServer.step2(asyncHookCredentials.A, asyncHookCredentials.M1),
+        serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+}
+{
+    const syncHookClient = clientAtStep1();
+    const syncHookServer = new SRP6JavascriptServerSession();
+    const syncHookCredentials = syncHookClient.step2(salt, syncHookServer.step1(username, salt, verifier));
+    if (!syncHookClient.step3(await syncHookServer.step2Async(syncHookCredentials.A, syncHookCredentials.M1))) {
+        throw new Error("step2Async should take the default consumeChallenge hook");
+    }
+    console.log("✅ step2Async takes a consumeChallenge hook that returns a boolean");
+}
+{
+    // another session class of the process shares the default store, so a challenge taken to it is still used
+    const OtherClassServer = serverModule.default(rfc5054.N_base10, rfc5054.g_base10, rfc5054.k_base16);
+    const sharedStoreClient = clientAtStep1();
+    const firstServer = new SRP6JavascriptServerSession();
+    const sharedStoreCredentials = sharedStoreClient.step2(salt, firstServer.step1(username, salt, verifier));
+    const sharedStoreState = firstServer.toPrivateStoreState();
+    firstServer.step2(sharedStoreCredentials.A, sharedStoreCredentials.M1);
+    expectError("Challenge replayed against another session class of the process",
+        () => {
+            const replay = new OtherClassServer();
+            replay.fromPrivateStoreState(sharedStoreState);
+            return replay.step2(sharedStoreCredentials.A, sharedStoreCredentials.M1);
+        },
+        serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+}
+
+let storeTime = 0;
+const memoryConsume = serverModule.srpChallenge.memoryStore(() => storeTime);
+if (!memoryConsume('a', 10) || !memoryConsume('b', 20) || memoryConsume('a', 10)) {
+    throw new Error("memoryStore should refuse an id consumed before");
+}
+storeTime = 15;
+if (!memoryConsume('c', 30) || !memoryConsume('a', 40) || memoryConsume('b', 20)) {
+    throw new Error("memoryStore should drop the expired ids and keep the rest");
+}
+console.log("✅ memoryStore drops expired ids and keeps the live ones");
+
+console.log("\n💾 CLIENT STATE");
+console.log("================");
+
+// a login part way through with the client waiting for M2
+function loginAtStep2(ClientSession) {
+    const c = new ClientSession();
+    const srv = new SRP6JavascriptServerSession();
+    return { c, srv, challenge: srv.step1(username, salt, verifier) };
+}
+
+const { c: savedClient, srv: savedServer, challenge: savedChallenge } = loginAtStep2(SRP6JavascriptClientSession);
+savedClient.step1(username, password);
+expectError("Client toState before step2",
+    () => savedClient.toState(),
+    clientModule.SrpStateError, 'SRP_STATE');
+const savedCredentials = savedClient.step2(salt, savedChallenge);
+const savedJson = JSON.stringify(savedClient.toState());
+if (savedJson.indexOf(password) >= 0 || /"(a|x|P)"/.test(savedJson) || JSON.parse(savedJson).group !== 'rfc5054-2048') {
+    throw new Error(`the client state should not hold the password, a or x: ${savedJson}`);
+}
+const reloadedClient = new SRP6JavascriptClientSession();
+reloadedClient.fromState(JSON.parse(savedJson));
+if (!reloadedClient.step3(savedServer.step2(savedCredentials.A, savedCredentials.M1)) || reloadedClient.getSessionKey() !== savedServer.getSessionKey()) {
+    throw new Error("a restored client should finish step3");
+}
+const afterStep3 = reloadedClient.toState();
+if (afterStep3.state !== reloadedClient.STEP_3 || 'A' in afterStep3 || 'M1' in afterStep3) {
+    throw new Error("the state after step3 should only keep S");
+}
+const keptClient = new SRP6JavascriptClientSession();
+keptClient.fromState(afterStep3);
+if (await keptClient.deriveKey('vault') !== await savedServer.deriveKey('vault') || keptClient.getUserID() !== username) {
+    throw new Error("a client restored after step3 should derive the server keys");
+}
+console.log("✅ Client state restored after step2 finishes step3 and after step3 keeps the keys");
+
+const stateSecret = "browser session key 0123456789";
+const { c: sealedClient, srv: sealedServer, challenge: sealedChallenge } = loginAtStep2(AsyncClientSession);
+sealedClient.step1(username, password);
+const sealedClientCredentials = await sealedClient.step2(salt, sealedChallenge);
+const sealedClientState = await sealedClient.toState(stateSecret);
+if (typeof sealedClientState !== 'string' || sealedClientState.indexOf(sealedClientCredentials.A.slice(0, 16)) >= 0) {
+    throw new Error("a sealed client state should be an opaque token");
+}
+const unsealedClient = new AsyncClientSession();
+await unsealedClient.fromState(sealedClientState, stateSecret);
+if (!await unsealedClient.step3(sealedServer.step2(sealedClientCredentials.A, sealedClientCredentials.M1)) ||
+    await unsealedClient.getSessionKey() !== sealedServer.getSessionKey()) {
+    throw new Error("an async client restored from a sealed state should finish step3");
+}
+console.log("✅ Async client state sealed with a caller secret finishes step3");
+
+workerLog.length = 0;
+const { c: workerSaved, srv: workerSavedServer, challenge: workerChallenge } = loginAtStep2(WorkerClientSession);
+await workerSaved.step1(username, password);
+const workerSavedCredentials = await workerSaved.step2(salt, workerChallenge);
+const workerState = await workerSaved.toState();
+await workerSaved.destroy();
+const workerRestored = new WorkerClientSession();
+await workerRestored.fromState(workerState);
+if (!await workerRestored.step3(workerSavedServer.step2(workerSavedCredentials.A, workerSavedCredentials.M1)) ||
+    await workerRestored.getSessionKey() !== workerSavedServer.getSessionKey() || workerLog.join() !== 'created,terminated,created,terminated') {
+    throw new Error(`a worker client restored after step2 should finish step3 in a new worker but got ${workerLog}`);
+}
+const workerKept = new WorkerClientSession();
+const hashedAsync = [];
+workerKept.HAsync = function(x) {
+    hashedAsync.push(x);
+    return WorkerClientSession.prototype.HAsync.call(this, x);
+};
+await workerKept.fromState(await workerRestored.toState(stateSecret), stateSecret);
+if (await workerKept.getSessionKey(false) !== workerSavedServer.getSessionKey(false) || workerLog.length !== 4 ||
+    await workerKept.getSessionKey() !== workerSavedServer.getSessionKey() || hashedAsync.length !== 1) {
+    throw new Error("a worker client restored after step3 should not need a worker");
+}
+console.log("✅ Worker client state moves the login to a new worker");
+
+expectError("Client fromState with another hash",
+    () => new (clientModule.default.fromGroup('rfc5054-2048', { hash: 'SHA-512' }))().fromState(afterStep3),
+    clientModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+expectError("Client fromState without S",
+    () => new SRP6JavascriptClientSession().fromState({ ...afterStep3, S: undefined }),
+    clientModule.SrpInvalidParameterError, 'SRP_INVALID_PARAMETER');
+expectError("Client fromState of an unknown version",
+    () => new SRP6JavascriptClientSession().fromState({ ...afterStep3, version: 2 }),
+    clientModule.SrpInvalidParameterError, 'SRP_INVALID_PARAMETER');
+expectError("Client fromState on a session that has started",
+    () => keptClient.fromState(afterStep3),
+    clientModule.SrpStateError, 'SRP_STATE');
+await expectRejection("Sealed client state with another secret",
+    () => new AsyncClientSession().fromState(sealedClientState, "another secret of enough bytes"),
+    clientModule.SrpProtocolError, 'SRP_PROTOCOL');
+
+console.log("\n🧹 DESTROY");
+console.log("===========");
+
+for (const bigint of ['jsbn', 'native']) {
+    const { client: doneClient, server: doneServer } = roundTrip(
+        clientModule.default.fromGroup('rfc5054-2048', { bigint }), serverModule.default.fromGroup('rfc5054-2048', { bigint }), username, password);
+    doneClient.getSessionKey(false);
+    const secrets = [doneClient.a, doneClient.S, doneServer.b, doneServer.S];
+    doneClient.destroy();
+    doneServer.destroy();
+    const wiped = secrets.every(n => bigint === 'jsbn' ? n.t === 0 && n.signum() === 0 : n.value === BigInt(0));
+    const nulled = ['x', 'a', 'S', 'K', 'SS', 'M1str'].every(f => doneClient[f] === null) && ['v', 'b', 'S', 'K'].every(f => doneServer[f] === null);
+    if (!wiped || !nulled || doneClient.getState() !== doneClient.DESTROYED || doneServer.getSessionKey() !== null) {
+        throw new Error(`destroy should overwrite and null the ${bigint} secrets`);
+    }
+    console.log(`✅ destroy wipes the ${bigint} secrets of the client and server`);
+}
+const destroyedClient = clientAtStep1();
+destroyedClient.destroy();
+expectError("Client step2 after destroy",
+    () => destroyedClient.step2(salt, B),
+    clientModule.SrpStateError, 'SRP_STATE');
+await expectRejection("deriveKey after destroy",
+    async () => {
+        const { server: srv } = roundTrip(SRP6JavascriptClientSession, SRP6JavascriptServerSession, username, password);
+        srv.destroy();
+        return srv.deriveKey('vault');
+    },
+    serverModule.SrpStateError, 'SRP_STATE');
+
+const autoClient = new (clientModule.default(rfc5054.N_base10, rfc5054.g_base10, { autoDestroy: true }))();
+const autoServer = new (serverModule.default(rfc5054.N_base10, rfc5054.g_base10, { autoDestroy: true }))();
+autoClient.step1(username, password);
+const autoCredentials = autoClient.step2(salt, autoServer.step1(username, salt, verifier));
+autoClient.step3(autoServer.step2(autoCredentials.A, autoCredentials.M1));
+if (autoClient.getState() !== autoClient.STEP_3 || autoClient.getSessionKey() !== autoServer.getSessionKey() ||
+    autoClient.getState() !== autoClient.DESTROYED || autoServer.getState() !== autoServer.DESTROYED || autoClient.S !== null) {
+    throw new Error("autoDestroy should destroy each session once its key is returned");
+}
+const AutoAsyncClient = clientModule.default(rfc5054.N_base10, rfc5054.g_base10, { async: true, autoDestroy: true });
+const autoAsync = new AutoAsyncClient();
+await autoAsync.step1(username, password);
+const autoAsyncServer = new SRP6JavascriptServerSession();
+const autoAsyncCredentials = await autoAsync.step2(salt, autoAsyncServer.step1(username, salt, verifier));
+await autoAsync.step3(autoAsyncServer.step2(autoAsyncCredentials.A, autoAsyncCredentials.M1));
+if (await autoAsync.getSessionKey() !== autoAsyncServer.getSessionKey() || autoAsync.getState() !== autoAsync.DESTROYED) {
+    throw new Error("autoDestroy should destroy an async session once its key is returned");
+}
+console.log("✅ autoDestroy destroys sync and async sessions after the session key is exported");
+
+workerLog.length = 0;
+const destroyedWorker = new WorkerClientSession();
+await destroyedWorker.step1(username, password);
+const destroyedWorkerServer = new SRP6JavascriptServerSession();
+const destroyedWorkerCredentials = await destroyedWorker.step2(salt, destroyedWorkerServer.step1(username, salt, verifier));
+await destroyedWorker.step3(destroyedWorkerServer.step2(destroyedWorkerCredentials.A, destroyedWorkerCredentials.M1));
+if (await destroyedWorker.getSessionKey() !== destroyedWorkerServer.getSessionKey()) {
+    throw new Error("a worker session should keep its key after step3");
+}
+await destroyedWorker.destroy();
+if (await destroyedWorker.getSessionKey() !== null || destroyedWorker.getState() !== destroyedWorker.DESTROYED || workerLog.join() !== 'created,terminated') {
+    throw new Error(`destroy should wipe the key a worker session kept but got ${workerLog}`);
+}
+console.log("✅ destroy wipes the session key that a worker session kept in the page");
+
+console.log("\n🗂️  USER STORE");
+console.log("==============");
+
+const userStores = serverModule.srpUserStore;
+const storeDir = await mkdtemp(join(tmpdir(), 'thinbus-srp-'));
+const usersFile = join(storeDir, 'users.jsonl');
+for (const [kind, makeStore] of [['memory', () => userStores.memoryStore()], ['file', () => userStores.fileStore(usersFile)]]) {
+    const store = makeStore();
+    await store.put(username, record);
+    const stored = await store.get(username);
+    stored.verifier = 'ab';
+    if ((await store.get(username)).verifier !== record.verifier || await store.get('nobody') !== null) {
+        throw new Error(`${kind} store should return copies of its records and null for unknown users`);
+    }
+    // concurrent registrations of one name where only the first may win
+    let created = 0;
+    const winners = await Promise.all([1, 2, 3].map(() => store.update('carol', (current) => current === null ? (created++, upgraded) : undefined)));
+    const updatedRecord = await store.update(username, () => upgraded);
+    if (created !== 1 || winners.some((stored) => stored.salt !== upgraded.salt) || updatedRecord.group !== 'rfc5054-3072' ||
+        (await store.get(username)).salt !== upgraded.salt) {
+        throw new Error(`${kind} store update should store what the updater returns`);
+    }
+    if (await store.delete(username) !== true || await store.delete(username) !== false || await store.get(username) !== null) {
+        throw new Error(`${kind} store delete should report whether there was a record`);
+    }
+    await expectRejection(`${kind} store put of a malformed record`,
+        () => store.put(username, { version: 1, salt: 'ab' }),
+        serverModule.SrpInvalidParameterError, 'SRP_INVALID_PARAMETER');
+    await expectRejection(`${kind} store update that throws`,
+        () => store.update('dave', () => { throw new serverModule.SrpProtocolError("refused"); }),
+        serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+    if (await store.get('dave') !== null || (await store.get('carol')).salt !== upgraded.salt) {
+        throw new Error(`${kind} store should keep its records when a write fails`);
+    }
+    console.log(`✅ ${kind} store gets, puts, updates and deletes records`);
+}
+
+const reopened = userStores.fileStore(usersFile);
+const lines = (await readFile(usersFile, 'utf8')).trim().split('\n');
+if ((await reopened.get('carol')).verifier !== upgraded.verifier || lines.length !== 1 || JSON.parse(lines[0]).identity !== 'carol' ||
+    (await stat(usersFile)).mode % 512 !== 0o600 || (await readdir(storeDir)).length !== 1) {
+    throw new Error("the file store should keep one JSON line per user in a private file without temporary files");
+}
+console.log("✅ The file store replaces its JSON lines file and a new store reads it");
+
+await writeFile(usersFile, lines[0] + '\nnot json\n');
+await expectRejection("File store with a malformed line",
+    () => userStores.fileStore(usersFile).get('carol'),
+    serverModule.SrpInvalidParameterError, 'SRP_INVALID_PARAMETER');
+await rm(storeDir, { recursive: true });
+expectError("Router with a userStore without update",
+    () => serverModule.createSrpRouter({ userStore: { get: async () => null, put: async () => {} } }),
+    serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+
+const StoreServer = serverModule.default.fromRecord(serialized, { upgradeTo, userStore: userStores.memoryStore({ [username]: record }) });
+const storeServer = new StoreServer();
+const storeClient = new (clientModule.default.fromRecord(serialized))();
+storeClient.step1(username, password);
+const storeProof = storeClient.step2(record.salt, await storeServer.step1FromStore(username));
+storeClient.step3(storeServer.step2(storeProof.A, storeProof.M1));
+await storeServer.storeVerifierUpgrade(await storeClient.upgradeVerifier(storeServer.upgradeTo, password));
+if (await new StoreServer().step1FromStore('nobody') !== null || (await StoreServer.prototype.userStore.get(username)).group !== 'rfc5054-3072') {
+    throw new Error("a server with a userStore should look up records for step1 and store verifier upgrades");
+}
+console.log("✅ step1FromStore and storeVerifierUpgrade use the records of the userStore");
+
+console.log("\n🛣️  SRP ROUTER");
+console.log("==============");
+
+// drives the middleware with a parsed body, or with a raw body as a stream
+function callRouter(router, method, url, body, raw) {
+    const req = typeof raw === 'undefined' ? { method, url, body } : Object.assign(Readable.from([Buffer.from(raw)]), { method, url });
+    return new Promise((resolve, reject) => {
+        const res = {
+            statusCode: 200,
+            headers: {},
+            setHeader(name, value) {
+                this.headers[name.toLowerCase()] = value;
+            },
+            end(data) {
+                resolve({ status: this.statusCode, headers: this.headers, json: data ? JSON.parse(data) : undefined });
+            }
+        };
+        router(req, res, (error) => error ? reject(error) : resolve({ status: 'next' }));
+    });
+}
+
+const routerUsers = serverModule.srpUserStore.memoryStore();
+const router = serverModule.createSrpRouter({ userStore: routerUsers, onAuthenticated: (login) => ({ welcome: login.username }) });
+const RouterClient = clientModule.default.fromGroup('rfc5054-2048');
+const routerRecord = new RouterClient().generateVerifierRecord(salt, username, password);
+const registered = await callRouter(router, 'POST', '/register', { username, record: routerRecord });
+if (registered.status !== 201 || registered.json.username !== username || (await routerUsers.get(username)).verifier !== verifier) {
+    throw new Error(`register should store the record but got ${JSON.stringify(registered)}`);
+}
+const again = await callRouter(router, 'POST', '/register', { username, record: routerRecord });
+const otherGroup = await callRouter(router, 'POST', '/register', { username: 'bob', record: new (clientModule.default.fromGroup('rfc5054-1024'))().generateVerifierRecord(salt, 'bob', password) });
+if (again.status !== 409 || again.json.error !== 'user_exists' || otherGroup.status !== 400 || otherGroup.json.error !== 'invalid_request') {
+    throw new Error("register should refuse an existing user and a record of another group");
+}
+console.log("✅ /register stores a verifier record once and checks its group");
+
+const routerClient = new RouterClient();
+routerClient.step1(username, password);
+const challenged = await callRouter(router, 'POST', '/challenge?x=1', { username });
+if (challenged.status !== 200 || challenged.json.salt !== salt || challenged.json.parameters.group !== 'rfc5054-2048' ||
+    'verifier' in challenged.json.parameters || challenged.headers['cache-control'] !== 'no-store') {
+    throw new Error(`unexpected challenge ${JSON.stringify(challenged)}`);
+}
+const routerCredentials = routerClient.step2(challenged.json.salt, challenged.json.B);
+const authenticated = await callRouter(router, 'POST', '/authenticate',
+    null, JSON.stringify({ challengeId: challenged.json.challengeId, ...routerCredentials }));
+if (authenticated.status !== 200 || !routerClient.step3(authenticated.json.M2) || authenticated.json.welcome !== username) {
+    throw new Error(`authenticate should return M2 but got ${JSON.stringify(authenticated)}`);
+}
+const routerLogin = await router.getSession(authenticated.json.sessionId);
+if (routerLogin.sessionKey !== routerClient.getSessionKey() || routerLogin.username !== username) {
+    throw new Error("the router should keep the login under its session id");
+}
+console.log("✅ /challenge and /authenticate log the client in with a stream or parsed body");
+
+const replayed = await callRouter(router, 'POST', '/authenticate', { challengeId: challenged.json.challengeId, ...routerCredentials });
+const wrongPassword = clientAtStep1();
+const wrongChallenge = (await callRouter(router, 'POST', '/challenge', { username })).json;
+wrongPassword.P = "wrong password";
+const wrongProof = wrongPassword.step2(wrongChallenge.salt, wrongChallenge.B);
+const rejected = await callRouter(router, 'POST', '/authenticate', { challengeId: wrongChallenge.challengeId, ...wrongProof });
+if (replayed.status !== 401 || rejected.status !== 401 || rejected.json.error !== 'authentication_failed' || rejected.json.message !== replayed.json.message) {
+    throw new Error("a replayed challenge and a wrong password should both be 401 authentication_failed");
+}
+console.log("✅ A replayed challenge and a wrong password get the same 401");
+
+const routerFailures = [
+    ['missing M1', 'POST', '/authenticate', { challengeId: wrongChallenge.challengeId, A: "ab" }, undefined, 400, 'invalid_request'],
+    ['extra field', 'POST', '/challenge', { username, password }, undefined, 400, 'invalid_request'],
+    ['A that is not hex', 'POST', '/authenticate', { challengeId: wrongChallenge.challengeId, A: "xyz", M1: "ab" }, undefined, 400, 'invalid_request'],
+    ['body that is not JSON', 'POST', '/challenge', undefined, '{"username":', 400, 'invalid_request'],
+    ['body over the limit', 'POST', '/challenge', undefined, JSON.stringify({ username: "x".repeat(20000) }), 413, 'payload_too_large'],
+    ['GET', 'GET', '/challenge', undefined, undefined, 405, 'method_not_allowed']
+];
+for (const [description, method, url, body, raw, status, error] of routerFailures) {
+    const response = await callRouter(router, method, url, body, raw);
+    if (response.status !== status || response.json.error !== error) {
+        throw new Error(`${description}: expected ${status} ${error} but got ${JSON.stringify(response)}`);
+    }
+    console.log(`✅ Router ${description} answered ${status} ${error}`);
+}
+if ((await callRouter(router, 'POST', '/other', {})).status !== 'next') {
+    throw new Error("the router should pass other paths to next");
+}
+
+const loggedOut = await callRouter(router, 'POST', '/logout', { sessionId: authenticated.json.sessionId });
+if (loggedOut.status !== 204 || await router.getSession(authenticated.json.sessionId) !== null) {
+    throw new Error("logout should end the login");
+}
+console.log("✅ /logout ends the login");
+
+const closedRouter = serverModule.createSrpRouter({ userStore: serverModule.srpUserStore.memoryStore(), registration: false });
+if ((await callRouter(closedRouter, 'POST', '/register', { username, record: routerRecord })).status !== 404) {
+    throw new Error("registration: false should turn off /register");
+}
+expectError("Router without a userStore",
+    () => serverModule.createSrpRouter({}),
+    serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+
+console.log("\n⏳ CHALLENGE STORE");
+console.log("===================");
+
+const challengeStores = serverModule.srpChallengeStore;
+let storeClock = 1000;
+const storeNow = () => storeClock;
+const challengeDir = await mkdtemp(join(tmpdir(), 'thinbus-srp-'));
+const storeSecret = 'the secret of the challenge stores';
+for (const [kind, makeStore] of [['lru', (options) => challengeStores.lruStore(options)],
+    ['sealed lru', (options) => challengeStores.sealedStore(challengeStores.lruStore(options), storeSecret)],
+    ['file', (options) => challengeStores.fileStore(join(challengeDir, 'challenges'), { secret: storeSecret, ...options })]]) {
+    const store = makeStore({ now: storeNow });
+    await store.set('c1', { b: 'ab' }, 100);
+    const value = await store.get('c1');
+    value.b = 'cd';
+    if ((await store.get('c1')).b !== 'ab' || await store.get('c2') !== null) {
+        throw new Error(`${kind} challenge store should return copies and null for unknown keys`);
+    }
+    storeClock += 100;
+    if (await store.get('c1') !== null || await store.take('c1') !== null || await store.delete('c1') !== false) {
+        throw new Error(`${kind} challenge store should expire entries at their ttl`);
+    }
+    await store.set('c1', 'one', 100);
+    const other = makeStore({ now: storeNow });
+    const taken = await Promise.all([store.take('c1'), other.take('c1'), store.take('c1')]);
+    if (taken.filter((value) => value === 'one').length !== 1 || await store.get('c1') !== null) {
+        throw new Error(`${kind} challenge store take should give the value to one caller: ${JSON.stringify(taken)}`);
+    }
+    await store.set('c2', 2, 100);
+    if (await store.delete('c2') !== true || await store.get('c2') !== null) {
+        throw new Error(`${kind} challenge store delete should remove the entry`);
+    }
+    const ttlError = await store.set('c3', 3).catch((e) => e);
+    if (!(ttlError instanceof serverModule.SrpInvalidParameterError) || ttlError.parameter !== 'ttl' || ttlError.reason !== 'out_of_range') {
+        throw new Error(`${kind} challenge store set without a ttl should reject with ttl/out_of_range but got ${ttlError}`);
+    }
+    const longKey = 'é'.repeat(128);
+    await store.set(longKey, 'long', 100);
+    if (await store.take(longKey) !== 'long') {
+        throw new Error(`${kind} challenge store should hold a key of 128 multibyte characters`);
+    }
+    console.log(`✅ ${kind} challenge store gets, expires, takes once and deletes`);
+
+    const bounded = makeStore({ now: storeNow, maxEntries: 2 });
+    await bounded.set('a', 'a', 100);
+    await bounded.set('b', 'b', 100);
+    await bounded.set('expired', 'x', 1);
+    storeClock += 1;
+    await bounded.set('c', 'c', 100);
+    const size = await bounded.size();
+    if (size !== 2 || await bounded.get('c') !== 'c') {
+        throw new Error(`${kind} challenge store should keep at most maxEntries but kept ${size}`);
+    }
+    console.log(`✅ ${kind} challenge store evicts down to maxEntries`);
+}
+
+{
+    const sealedDir = join(challengeDir, 'sealed');
+    const warnings = [];
+    const sealedFiles = challengeStores.fileStore(sealedDir, { secret: storeSecret, onSweepError: (e) => warnings.push(e) });
+    await sealedFiles.set('private', { b: 'deadbeefcafe', v: 'feedface' }, 60000);
+    const [entryName] = await readdir(sealedDir);
+    const text = await readFile(join(sealedDir, entryName), 'utf8');
+    if (text.includes('deadbeefcafe') || text.includes('feedface') || (await sealedFiles.get('private')).b !== 'deadbeefcafe') {
+        throw new Error(`a fileStore should seal the values it writes: ${text}`);
+    }
+    const otherSecret = challengeStores.fileStore(sealedDir, { secret: 'another secret of 32 characters!' });
+    await expectRejection("fileStore value opened with another secret",
+        () => otherSecret.get('private'),
+        serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+    console.log("✅ A fileStore seals the values it writes");
+
+    // temporary files of a process that died between writing and renaming, or taking and deleting
+    const staleTmp = join(sealedDir, entryName + '.0123456789abcdef.tmp');
+    const staleTaken = join(sealedDir, entryName + '.fedcba9876543210.taken');
+    const freshTmp = join(sealedDir, entryName + '.00112233445566aa.tmp');
+    for (const file of [staleTmp, staleTaken, freshTmp]) {
+        await writeFile(file, '{}');
+    }
+    const longAgo = new Date(Date.now() - 120000);
+    await utimes(staleTmp, longAgo, longAgo);
+    await utimes(staleTaken, longAgo, longAgo);
+    const left = await sealedFiles.size();
+    const names = await readdir(sealedDir);
+    if (left !== 1 || names.includes(entryName + '.0123456789abcdef.tmp') || names.includes(entryName + '.fedcba9876543210.taken') ||
+        !names.includes(entryName + '.00112233445566aa.tmp') || warnings.length !== 0) {
+        throw new Error(`a sweep should delete the temporary files older than the longest ttl: ${names} ${warnings}`);
+    }
+    console.log("✅ A fileStore sweep deletes stale temporary files and keeps fresh ones");
+}
+expectError("fileStore without a secret",
+    () => challengeStores.fileStore(join(challengeDir, 'plain')),
+    serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+{
+    const inner = challengeStores.lruStore();
+    const sealedLru = challengeStores.sealedStore(inner, storeSecret);
+    await sealedLru.set('mine', 'value', 60000);
+    await inner.set('yours', await inner.get('mine'), 60000);
+    await expectRejection("Sealed value copied to another key",
+        () => sealedLru.get('yours'),
+        serverModule.SrpProtocolError, 'SRP_PROTOCOL');
+}
+
+const lru = challengeStores.lruStore({ maxEntries: 3 });
+for (const key of ['a', 'b', 'c']) {
+    await lru.set(key, key, 60000);
+}
+await lru.get('a');
+await lru.set('d', 'd', 60000);
+if (await lru.get('b') !== null || await lru.get('a') !== 'a' || lru.size() !== 3) {
+    throw new Error("the lru store should evict the least recently used entry");
+}
+console.log("✅ The lru store evicts the least recently used entry");
+
+// two routers on one challenge directory as two processes would be
+const sharedUsers = serverModule.srpUserStore.memoryStore({ [username]: routerRecord });
+const [firstRouter, secondRouter] = [1, 2].map(() => serverModule.createSrpRouter({
+    userStore: sharedUsers,
+    fakeChallengeSecret: storeSecret,
+    challengeStore: challengeStores.fileStore(join(challengeDir, 'shared'), { secret: storeSecret }),
+    sessionStore: challengeStores.fileStore(join(challengeDir, 'sessions'), { secret: storeSecret })
+}));
+const sharedClient = new (clientModule.default.fromGroup('rfc5054-2048'))();
+sharedClient.step1(username, password);
+const sharedChallenge = (await callRouter(firstRouter, 'POST', '/challenge', { username })).json;
+const sharedLogin = await callRouter(secondRouter, 'POST', '/authenticate',
+    { challengeId: sharedChallenge.challengeId, ...sharedClient.step2(sharedChallenge.salt, sharedChallenge.B) });
+if (sharedLogin.status !== 200 || !sharedClient.step3(sharedLogin.json.M2) ||
+    (await firstRouter.getSession(sharedLogin.json.sessionId)).sessionKey !== sharedClient.getSessionKey()) {
+    throw new Error(`a challenge from one router should be usable once at another: ${JSON.stringify(sharedLogin)}`);
+}
+await rm(challengeDir, { recursive: true });
+console.log("✅ Routers sharing a file challenge store log in across processes");
+
+// a full challenge store evicts challenges but not the logins of the sessionStore
+const floodedRouter = serverModule.createSrpRouter({ userStore: sharedUsers, fakeChallengeSecret: storeSecret, challengeStore: challengeStores.lruStore({ maxEntries: 2 }) });
+const floodedClient = new RouterClient();
+floodedClient.step1(username, password);
+const floodedChallenge = (await callRouter(floodedRouter, 'POST', '/challenge', { username })).json;
+const floodedLogin = await callRouter(floodedRouter, 'POST', '/authenticate',
+    { challengeId: floodedChallenge.challengeId, ...floodedClient.step2(floodedChallenge.salt, floodedChallenge.B) });
+for (let i = 0; i < 5; i++) {
+    await callRouter(floodedRouter, 'POST', '/challenge', { username: 'flood' + i });
+}
+if (floodedLogin.status !== 200 || (await floodedRouter.getSession(floodedLogin.json.sessionId)).username !== username) {
+    throw new Error("a flood of challenges should not evict a login");
+}
+console.log("✅ A flood of challenges does not evict the logins of the router");
+
+expectError("Challenge store with maxEntries 0",
+    () => challengeStores.lruStore({ maxEntries: 0 }),
+    serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+expectError("Router with a challengeStore without take",
+    () => serverModule.createSrpRouter({ userStore: sharedUsers, fakeChallengeSecret: storeSecret, challengeStore: { get: async () => null, set: async () => {}, delete: async () => false } }),
+    serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+expectError("Router with a challengeStore without a fakeChallengeSecret",
+    () => serverModule.createSrpRouter({ userStore: sharedUsers, challengeStore: challengeStores.lruStore() }),
+    serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+
+console.log("\n🎭 FAKE CHALLENGES");
+console.log("===================");
+
+const fakeSecret = 'a server secret of 32 characters';
+const FakeServer = serverModule.default.fromGroup('rfc5054-2048', { fakeChallengeSecret: fakeSecret });
+const fakeServers = [new FakeServer(), new FakeServer()];
+const fakeBs = [await fakeServers[0].step1Unknown('mallory'), await fakeServers[1].step1Unknown('mallory')];
+const otherSalts = [
+    (await serverModule.srpFakeChallenge.fakeRecord(new FakeServer(), 'trent', fakeSecret)).salt,
+    (await serverModule.srpFakeChallenge.fakeRecord(new FakeServer(), 'mallory', 'another secret of 32 characters!')).salt
+];
+if (fakeServers[0].record.salt !== fakeServers[1].record.salt || fakeServers[0].record.salt.length !== salt.length ||
+    fakeBs[0] === fakeBs[1] || fakeBs.some((fakeB) => !/^[0-9a-f]{1,512}$/.test(fakeB)) || otherSalts.includes(fakeServers[0].record.salt)) {
+    throw new Error("a fake challenge should have a stable salt per identity and secret with a fresh B");
+}
+console.log("✅ A fake challenge has the same salt for each query of an identity and a fresh B");
+
+// an unknown user and a registered user with a wrong password fail the same way
+const FakeRouterServer = serverModule.default.fromGroup('rfc5054-2048', { fakeChallengeSecret: fakeSecret, userStore: serverModule.srpUserStore.memoryStore({ [username]: routerRecord }) });
+async function failedLogin(identity) {
+    const server = new FakeRouterServer();
+    const challengeB = await server.step1FromStore(identity);
+    const c = new RouterClient();
+    c.step1(identity, "wrong password");
+    const proof = c.step2(server.record.salt, challengeB);
+    try {
+        server.step2(proof.A, proof.M1);
+    } catch (e) {
+        return e;
+    }
+    throw new Error(`step2 of ${identity} should fail`);
+}
+const [unknownFailure, wrongFailure] = [await failedLogin('mallory'), await failedLogin(username)];
+if (!(unknownFailure instanceof serverModule.SrpBadCredentialsError) || unknownFailure.constructor !== wrongFailure.constructor ||
+    unknownFailure.message !== wrongFailure.message || unknownFailure.party !== wrongFailure.party) {
+    throw new Error(`an unknown user should fail as a wrong password: ${unknownFailure} ${wrongFailure}`);
+}
+console.log("✅ step2 of an unknown user throws the SrpBadCredentialsError of a wrong password");
+
+const fakeUpgradeTo = { group: 'rfc5054-2048', hash: 'SHA-256', mode: 'thinbus', kdf: 'scrypt', kdfParams: { N: 1024 } };
+const UpgradingFakeServer = serverModule.default.fromGroup('rfc5054-2048', { fakeChallengeSecret: fakeSecret, upgradeTo: fakeUpgradeTo });
+const upgradingFake = new UpgradingFakeServer();
+await upgradingFake.step1Unknown('mallory');
+if (upgradingFake.record.kdf !== 'scrypt' || upgradingFake.record.kdfParams.N !== 1024) {
+    throw new Error("a fake record should have the kdf of new registrations");
+}
+console.log("✅ A fake record has the kdf of upgradeTo as a new registration would");
+
+const fakeRouter = serverModule.createSrpRouter({ userStore: serverModule.srpUserStore.memoryStore(), fakeChallengeSecret: fakeSecret });
+const fakeChallenges = [await callRouter(fakeRouter, 'POST', '/challenge', { username: 'mallory' }), await callRouter(fakeRouter, 'POST', '/challenge', { username: 'mallory' })];
+const fakeClient = new RouterClient();
+fakeClient.step1('mallory', password);
+const fakeAuthenticate = await callRouter(fakeRouter, 'POST', '/authenticate',
+    { challengeId: fakeChallenges[0].json.challengeId, ...fakeClient.step2(fakeChallenges[0].json.salt, fakeChallenges[0].json.B) });
+if (fakeChallenges.some((response) => response.status !== 200) || fakeChallenges[0].json.salt !== fakeChallenges[1].json.salt ||
+    JSON.stringify(fakeChallenges[0].json.parameters) !== JSON.stringify(challenged.json.parameters) ||
+    fakeAuthenticate.status !== 401 || JSON.stringify(fakeAuthenticate.json) !== JSON.stringify(rejected.json)) {
+    throw new Error(`the router should answer an unknown username as a registered one: ${JSON.stringify(fakeAuthenticate)}`);
+}
+console.log("✅ The router answers /challenge for an unknown username and fails its /authenticate with 401");
+
+// real records with a kdf that upgradeTo does not name
+const scryptParameters = { kdf: 'scrypt', kdfParams: { N: 1024, r: 8, p: 1, dkLen: 32 } };
+const scryptUsers = serverModule.srpUserStore.memoryStore({ [username]: { ...routerRecord, ...scryptParameters } });
+const scryptRouter = serverModule.createSrpRouter({ userStore: scryptUsers, fakeChallengeSecret: fakeSecret, fakeChallengeParameters: scryptParameters });
+const [knownParameters, unknownParameters] = await Promise.all([username, 'mallory'].map(async (identity) =>
+    JSON.stringify((await callRouter(scryptRouter, 'POST', '/challenge', { username: identity })).json.parameters)));
+if (knownParameters !== unknownParameters || JSON.parse(unknownParameters).kdfParams.N !== 1024) {
+    throw new Error(`fake challenges should have the parameters of the real records: ${knownParameters} ${unknownParameters}`);
+}
+console.log("✅ A fake challenge has the kdf and kdfParams of fakeChallengeParameters");
+
+expectError("fakeChallengeSecret shorter than 16 bytes",
+    () => serverModule.default.fromGroup('rfc5054-2048', { fakeChallengeSecret: 'short' }),
+    serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+expectError("fakeChallengeParameters with a kdf without kdfParams",
+    () => serverModule.default.fromGroup('rfc5054-2048', { fakeChallengeSecret: fakeSecret, fakeChallengeParameters: { kdf: 'scrypt' } }),
+    serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+
+console.log("\n🚦 THROTTLE");
+console.log("============");
+
+let throttleClock = 0;
+const throttleEvents = [];
+const throttle = serverModule.srpThrottle.create({
+    now: () => throttleClock,
+    identity: { freeAttempts: 2, baseDelay: 1000, maxDelay: 4000, captchaAfter: 6, lockoutAfter: 8, lockoutMs: 60000 },
+    client: { freeAttempts: 3 }
+});
+['failure', 'captcha', 'lockout', 'blocked', 'success'].forEach((event) => throttle.on(event, (details) => throttleEvents.push(`${event}:${details.kind}:${details.failures}`)));
+const alice = { identity: 'alice', client: '192.0.2.1' };
+async function failUntil(attempt, failures) {
+    let decision = null;
+    for (let i = 0; i < failures; i++) {
+        decision = await throttle.failure(attempt);
+        throttleClock += 4000;
+    }
+    return decision;
+}
+
+const afterTwo = await failUntil({ identity: 'alice' }, 1).then(() => throttle.failure({ identity: 'alice' }));
+const waiting = await throttle.check(alice);
+throttleClock += 1000;
+const waited = await throttle.check(alice);
+const afterThree = await throttle.failure({ identity: 'alice' });
+if (afterTwo.reason !== 'backoff' || afterTwo.retryAfter !== 1000 || waiting.allowed || waiting.retryAfter !== 1000 || waiting.kind !== 'identity' ||
+    !waited.allowed || afterThree.retryAfter !== 2000) {
+    throw new Error(`unexpected backoff ${JSON.stringify([afterTwo, waiting, waited, afterThree])}`);
+}
+console.log("✅ The throttle doubles the wait after each failure beyond freeAttempts");
+
+throttleClock += 4000;
+const capped = await failUntil({ identity: 'alice' }, 2).then(() => throttle.check({ identity: 'alice' }));
+const captcha = await throttle.failure({ identity: 'alice' });
+throttleClock += 4000;
+const [unsolved, solved] = [await throttle.check({ identity: 'alice' }), await throttle.check({ identity: 'alice', captchaSolved: true })];
+if (!capped.allowed || captcha.retryAfter !== 4000 || unsolved.reason !== 'captcha_required' || !unsolved.captchaRequired || !solved.allowed ||
+    !solved.captchaRequired || !throttleEvents.includes('captcha:identity:6')) {
+    throw new Error(`unexpected captcha signalling ${JSON.stringify([capped, captcha, unsolved, solved])}`);
+}
+console.log("✅ The throttle caps the wait and then asks for a CAPTCHA");
+
+await failUntil({ identity: 'alice' }, 1);
+const locked = await throttle.failure({ identity: 'alice' });
+throttleClock += 59999;
+const stillLocked = await throttle.check({ identity: 'alice', captchaSolved: true });
+throttleClock += 1;
+const unlocked = await throttle.check({ identity: 'alice', captchaSolved: true });
+if (locked.reason !== 'locked' || locked.retryAfter !== 60000 || stillLocked.reason !== 'locked' || !unlocked.allowed ||
+    !throttleEvents.includes('lockout:identity:8') || !throttleEvents.some((event) => event.startsWith('blocked:identity:'))) {
+    throw new Error(`unexpected lockout ${JSON.stringify([locked, stillLocked, unlocked])}`);
+}
+console.log("✅ The throttle locks an identity out for lockoutMs and emits events");
+
+// one client guessing at several users
+for (const identity of ['bob', 'carol', 'dave']) {
+    await throttle.failure({ identity, client: '192.0.2.9' });
+}
+const spraying = await throttle.check({ identity: 'erin', client: '192.0.2.9' });
+await throttle.success({ identity: 'alice', client: '192.0.2.9' });
+const afterSuccess = [await throttle.check({ identity: 'alice', client: '192.0.2.1' }), await throttle.check({ identity: 'frank', client: '192.0.2.9' })];
+if (spraying.allowed || spraying.kind !== 'client' || !afterSuccess[0].allowed || afterSuccess[1].kind !== 'client' || !throttleEvents.includes('success:identity:0')) {
+    throw new Error(`unexpected client throttling ${JSON.stringify([spraying, afterSuccess])}`);
+}
+console.log("✅ The throttle counts by client address and a success resets only the identity");
+
+const [claimed, busy] = await Promise.all([throttle.begin({ identity: 'grace', client: '192.0.2.2' }), throttle.begin({ identity: 'grace', client: '192.0.2.3' })]);
+const busyClient = await throttle.begin({ identity: 'heidi', client: '192.0.2.2' });
+await throttle.end({ identity: 'grace', client: '192.0.2.2' });
+const [afterEnd, heidiAfterEnd] = [await throttle.begin({ identity: 'grace', client: '192.0.2.3' }), await throttle.begin({ identity: 'heidi', client: '192.0.2.2' })];
+if (!claimed.allowed || busy.reason !== 'in_progress' || busy.kind !== 'identity' || busyClient.kind !== 'client' || !afterEnd.allowed || !heidiAfterEnd.allowed) {
+    throw new Error(`unexpected claims ${JSON.stringify([claimed, busy, busyClient, afterEnd, heidiAfterEnd])}`);
+}
+console.log("✅ The throttle lets one step2 of an identity or a client begin at a time");
+
+const counters = serverModule.srpThrottle.memoryCounters({ maxEntries: 2, now: () => throttleClock });
+await counters.increment('a', 1000);
+await counters.increment('b', 1000);
+await counters.increment('c', 10);
+throttleClock += 10;
+if (await counters.get('a') !== null || (await counters.get('b')).failures !== 1 || await counters.get('c') !== null) {
+    throw new Error("memory counters should evict the least recently failed key and expire keys");
+}
+console.log("✅ Memory counters are bounded and expire");
+
+const floodedCounters = serverModule.srpThrottle.memoryCounters({ maxEntries: 4, now: () => throttleClock });
+for (let i = 0; i < 5; i++) {
+    await floodedCounters.increment('identity:victim', 60000);
+}
+await floodedCounters.increment('pending:identity:victim', 10000);
+for (let i = 0; i < 20; i++) {
+    await floodedCounters.increment('identity:flood' + i, 60000);
+}
+if ((await floodedCounters.get('identity:victim')).failures !== 5 || (await floodedCounters.get('pending:identity:victim')).failures !== 1 ||
+    (await floodedCounters.get('identity:flood19')).failures !== 1) {
+    throw new Error("a flood of single failures should drop neither the counter of a key with more failures nor a claim");
+}
+console.log("✅ A flood of failures drops neither a key with more failures nor a claim");
+
+expectError("Throttle with a negative delay",
+    () => serverModule.srpThrottle.create({ identity: { baseDelay: -1 } }),
+    serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+expectError("Throttle with counters without reset",
+    () => serverModule.srpThrottle.create({ counters: { get: async () => null, increment: async () => ({}) } }),
+    serverModule.SrpConfigurationError, 'SRP_CONFIGURATION');
+expectInvalid("Throttle listener of an unknown event", () => throttle.on('spike', () => {}), "event", "malformed");
+
+let routerClock = Date.now();
+const throttledRouter = serverModule.createSrpRouter({
+    userStore: serverModule.srpUserStore.memoryStore({ [username]: routerRecord }),
+    now: () => routerClock,
+    throttle: serverModule.srpThrottle.create({ now: () => routerClock, identity: { freeAttempts: 1, captchaAfter: 2 } }),
+    clientAddress: () => '198.51.100.7',
+    verifyCaptcha: async (captcha) => captcha === 'solved'
+});
+async function throttledLogin(secret, captcha) {
+    const c = new RouterClient();
+    c.step1(username, secret);
+    const response = await callRouter(throttledRouter, 'POST', '/challenge', captcha ? { username, captcha } : { username });
+    if (response.status !== 200) {
+        return response;
+    }
+    return callRouter(throttledRouter, 'POST', '/authenticate', { challengeId: response.json.challengeId, ...c.step2(response.json.salt, response.json.B) });
+}
+const firstGuess = await throttledLogin('wrong password');
+const tooSoon = await throttledLogin(password);
+routerClock += 1000;
+const secondGuess = await throttledLogin('wrong password');
+routerClock += 2000;
+const needsCaptcha = await throttledLogin(password);
+const withCaptcha = await throttledLogin(password, 'solved');
+if (firstGuess.status !== 401 || tooSoon.status !== 429 || tooSoon.json.error !== 'too_many_attempts' || tooSoon.headers['retry-after'] !== '1' ||
+    secondGuess.status !== 401 || needsCaptcha.status !== 429 || needsCaptcha.json.error !== 'captcha_required' || !needsCaptcha.json.captchaRequired ||
+    withCaptcha.status !== 200 || (await throttledRouter.throttle.check({ identity: username })).captchaRequired) {
+    throw new Error(`unexpected throttled logins ${JSON.stringify([firstGuess, tooSoon, secondGuess, needsCaptcha, withCaptcha])}`);
+}
+console.log("✅ The router answers 429 with Retry-After, asks for a CAPTCHA and resets after a login");
+
+// parallel guesses must each see the failures before them
+const racedRouter = serverModule.createSrpRouter({
+    userStore: serverModule.srpUserStore.memoryStore({ [username]: routerRecord }),
+    throttle: serverModule.srpThrottle.create({ identity: { freeAttempts: 1 } })
+});
+const racedProofs = [];
+for (let i = 0; i < 10; i++) {
+    const c = new RouterClient();
+    c.step1(username, 'wrong password');
+    const response = (await callRouter(racedRouter, 'POST', '/challenge', { username })).json;
+    racedProofs.push({ challengeId: response.challengeId, ...c.step2(response.salt, response.B) });
+}
+const raced = await Promise.all(racedProofs.map((proof) => callRouter(racedRouter, 'POST', '/authenticate', proof)));
+const racedStatuses = raced.map((response) => response.status);
+if (racedStatuses.filter((status) => status === 401).length > 2 || racedStatuses.some((status) => status !== 401 && status !== 429)) {
+    throw new Error(`parallel wrong passwords should be throttled but got ${racedStatuses}`);
+}
+console.log("✅ The router throttles parallel wrong passwords as if they were one after another");
+
 console.log("\n🏁 All tests completed successfully!");
 process.exit(0);
\ No newline at end of file